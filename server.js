@@ -6,11 +6,19 @@ const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const nodemailer = require('nodemailer');
+const archiver = require('archiver');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Railway terminates TLS in one proxy hop; without this every client shares the proxy's IP in the rate limiters
+app.set('trust proxy', 1);
+
 // Database setup with Railway PostgreSQL
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -29,7 +37,13 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json({ limit: '10mb' }));
+// Billing webhooks are verified against the exact bytes that were signed
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl === '/api/billing/webhook') req.rawBody = buf;
+  }
+}));
 
 // Rate limiting
 const authLimiter = rateLimit({
@@ -38,6 +52,15 @@ const authLimiter = rateLimit({
   message: { error: 'Too many authentication attempts' }
 });
 
+// Every open tab refreshes once per access token lifetime, so refresh is counted per refresh token
+// rather than per IP. Rotation makes each token single-use, so a handful of attempts is plenty.
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 attempts per refresh token per 15 minutes
+  keyGenerator: (req) => (typeof req.body.refreshToken === 'string' ? hashToken(req.body.refreshToken) : req.ip),
+  message: { error: 'Too many refresh attempts' }
+});
+
 const apiLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 30, // 30 requests per minute
@@ -116,13 +139,98 @@ const initDB = async () => {
         monthly_tags_limit INTEGER NOT NULL,
         monthly_thumbnail_limit INTEGER NOT NULL,
         monthly_ctas_limit INTEGER NOT NULL,
-        features_enabled TEXT[] NOT NULL
+        monthly_revise_limit INTEGER NOT NULL DEFAULT 0,
+        monthly_voice_limit INTEGER NOT NULL DEFAULT 0,
+        monthly_series_limit INTEGER NOT NULL DEFAULT 0,
+        monthly_transcript_limit INTEGER NOT NULL DEFAULT 0,
+        features_enabled TEXT[] NOT NULL,
+        plan_rank INTEGER NOT NULL DEFAULT 0,
+        premium_voices BOOLEAN NOT NULL DEFAULT FALSE,
+        max_duration_minutes INTEGER,
+        model_tiers TEXT[] NOT NULL DEFAULT ARRAY['standard']
       );
 
+      -- Existing databases get the revise limit and feature once
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'usage_quotas' AND column_name = 'monthly_revise_limit'
+        ) THEN
+          ALTER TABLE usage_quotas ADD COLUMN monthly_revise_limit INTEGER NOT NULL DEFAULT 0;
+          UPDATE usage_quotas SET features_enabled = array_append(features_enabled, 'revise');
+        END IF;
+      END $$;
+
+      -- Same for building a voice from sample scripts
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'usage_quotas' AND column_name = 'monthly_voice_limit'
+        ) THEN
+          ALTER TABLE usage_quotas ADD COLUMN monthly_voice_limit INTEGER NOT NULL DEFAULT 0;
+          UPDATE usage_quotas SET features_enabled = array_append(features_enabled, 'voice');
+        END IF;
+      END $$;
+
+      -- And for series planning
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'usage_quotas' AND column_name = 'monthly_series_limit'
+        ) THEN
+          ALTER TABLE usage_quotas ADD COLUMN monthly_series_limit INTEGER NOT NULL DEFAULT 0;
+          UPDATE usage_quotas SET features_enabled = array_append(features_enabled, 'series');
+        END IF;
+      END $$;
+
+      -- And for transcript analysis
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'usage_quotas' AND column_name = 'monthly_transcript_limit'
+        ) THEN
+          ALTER TABLE usage_quotas ADD COLUMN monthly_transcript_limit INTEGER NOT NULL DEFAULT 0;
+          UPDATE usage_quotas SET features_enabled = array_append(features_enabled, 'transcript');
+        END IF;
+      END $$;
+
+      -- Set when an admin edits a plan, so seeded defaults below stop overwriting it
+      ALTER TABLE usage_quotas ADD COLUMN IF NOT EXISTS customized_at TIMESTAMP;
+
+      -- Quota metering - plans count requests per feature (default) or draw on one monthly pool
+      -- of tokens or credits shared by all features
+      ALTER TABLE usage_quotas ADD COLUMN IF NOT EXISTS metering VARCHAR(20) NOT NULL DEFAULT 'requests';
+      ALTER TABLE usage_quotas ADD COLUMN IF NOT EXISTS monthly_token_limit BIGINT;
+      ALTER TABLE usage_quotas ADD COLUMN IF NOT EXISTS monthly_credit_limit INTEGER;
+
+      -- Plan entitlements - existing plans, including customized ones, get the defaults once
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'usage_quotas' AND column_name = 'plan_rank'
+        ) THEN
+          ALTER TABLE usage_quotas
+            ADD COLUMN plan_rank INTEGER NOT NULL DEFAULT 0,
+            ADD COLUMN premium_voices BOOLEAN NOT NULL DEFAULT FALSE,
+            ADD COLUMN max_duration_minutes INTEGER,
+            ADD COLUMN model_tiers TEXT[] NOT NULL DEFAULT ARRAY['standard'];
+          UPDATE usage_quotas SET plan_rank = 1, premium_voices = TRUE, max_duration_minutes = 30,
+            model_tiers = ARRAY['standard', 'advanced'] WHERE access_level = 'premium';
+          UPDATE usage_quotas SET plan_rank = 2, premium_voices = TRUE, max_duration_minutes = 60,
+            model_tiers = ARRAY['standard', 'advanced'] WHERE access_level = 'pro';
+          UPDATE usage_quotas SET max_duration_minutes = 10 WHERE access_level = 'free';
+        END IF;
+      END $$;
+
       -- Voice presets
       CREATE TABLE IF NOT EXISTS voice_presets (
         id SERIAL PRIMARY KEY,
-        name VARCHAR(100) UNIQUE NOT NULL,
+        name VARCHAR(100) NOT NULL,
         display_name VARCHAR(255) NOT NULL,
         description TEXT,
         system_prompt TEXT NOT NULL,
@@ -130,54 +238,393 @@ const initDB = async () => {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
 
+      -- Private voices - owner_id NULL marks a built-in preset. Names are unique among built-ins
+      -- and per owner, so a user's voice can reuse a name another user picked.
+      ALTER TABLE voice_presets ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+      ALTER TABLE voice_presets ADD COLUMN IF NOT EXISTS style_bullets JSONB NOT NULL DEFAULT '[]';
+      ALTER TABLE voice_presets ADD COLUMN IF NOT EXISTS style_guide TEXT;
+      ALTER TABLE voice_presets ADD COLUMN IF NOT EXISTS style_profile JSONB;
+      ALTER TABLE voice_presets ADD COLUMN IF NOT EXISTS source VARCHAR(50) NOT NULL DEFAULT 'system';
+      ALTER TABLE voice_presets ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+      ALTER TABLE voice_presets DROP CONSTRAINT IF EXISTS voice_presets_name_key;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_voice_presets_system_name ON voice_presets(name) WHERE owner_id IS NULL;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_voice_presets_owner_name ON voice_presets(owner_id, name) WHERE owner_id IS NOT NULL;
+
       -- Insert usage quotas
       INSERT INTO usage_quotas (
         access_level, monthly_script_limit, monthly_hooks_limit, monthly_titles_limit,
         monthly_outline_limit, monthly_description_limit, monthly_tags_limit,
-        monthly_thumbnail_limit, monthly_ctas_limit, features_enabled
+        monthly_thumbnail_limit, monthly_ctas_limit, monthly_revise_limit, monthly_voice_limit,
+        monthly_series_limit, monthly_transcript_limit, features_enabled,
+        plan_rank, premium_voices, max_duration_minutes, model_tiers,
+        metering, monthly_token_limit, monthly_credit_limit
       ) VALUES 
-        ('free', 5, 10, 20, 5, 5, 10, 10, 10, 
-         ARRAY['script', 'hooks', 'titles', 'outline', 'description', 'tags', 'thumbnail', 'ctas']),
-        ('premium', 50, 100, 200, 50, 50, 100, 100, 100,
-         ARRAY['script', 'hooks', 'titles', 'outline', 'description', 'tags', 'thumbnail', 'ctas']),
-        ('pro', 200, 400, 800, 200, 200, 400, 400, 400,
-         ARRAY['script', 'hooks', 'titles', 'outline', 'description', 'tags', 'thumbnail', 'ctas'])
+        ('free', 5, 10, 20, 5, 5, 10, 10, 10, 10, 2, 2, 3,
+         ARRAY['script', 'hooks', 'titles', 'outline', 'description', 'tags', 'thumbnail', 'ctas', 'revise', 'voice', 'series', 'transcript'],
+         0, FALSE, 10, ARRAY['standard'],
+         'requests', 250000, 500),
+        ('premium', 50, 100, 200, 50, 50, 100, 100, 100, 100, 10, 20, 30,
+         ARRAY['script', 'hooks', 'titles', 'outline', 'description', 'tags', 'thumbnail', 'ctas', 'revise', 'voice', 'series', 'transcript'],
+         1, TRUE, 30, ARRAY['standard', 'advanced'],
+         'requests', 2500000, 5000),
+        ('pro', 200, 400, 800, 200, 200, 400, 400, 400, 400, 25, 80, 120,
+         ARRAY['script', 'hooks', 'titles', 'outline', 'description', 'tags', 'thumbnail', 'ctas', 'revise', 'voice', 'series', 'transcript'],
+         2, TRUE, 60, ARRAY['standard', 'advanced'],
+         'requests', 10000000, 20000)
       ON CONFLICT (access_level) DO UPDATE SET
-        monthly_script_limit = EXCLUDED.monthly_script_limit;
-
-      -- Insert voice presets
-      INSERT INTO voice_presets (name, display_name, description, system_prompt, is_premium) VALUES 
+        monthly_script_limit = EXCLUDED.monthly_script_limit,
+        monthly_hooks_limit = EXCLUDED.monthly_hooks_limit,
+        monthly_titles_limit = EXCLUDED.monthly_titles_limit,
+        monthly_outline_limit = EXCLUDED.monthly_outline_limit,
+        monthly_description_limit = EXCLUDED.monthly_description_limit,
+        monthly_tags_limit = EXCLUDED.monthly_tags_limit,
+        monthly_thumbnail_limit = EXCLUDED.monthly_thumbnail_limit,
+        monthly_ctas_limit = EXCLUDED.monthly_ctas_limit,
+        monthly_revise_limit = EXCLUDED.monthly_revise_limit,
+        monthly_voice_limit = EXCLUDED.monthly_voice_limit,
+        monthly_series_limit = EXCLUDED.monthly_series_limit,
+        monthly_transcript_limit = EXCLUDED.monthly_transcript_limit,
+        features_enabled = EXCLUDED.features_enabled,
+        plan_rank = EXCLUDED.plan_rank,
+        premium_voices = EXCLUDED.premium_voices,
+        max_duration_minutes = EXCLUDED.max_duration_minutes,
+        model_tiers = EXCLUDED.model_tiers,
+        metering = EXCLUDED.metering,
+        monthly_token_limit = EXCLUDED.monthly_token_limit,
+        monthly_credit_limit = EXCLUDED.monthly_credit_limit
+      WHERE usage_quotas.customized_at IS NULL;
+
+      -- Insert built-in voice presets
+      INSERT INTO voice_presets (name, display_name, description, system_prompt, style_bullets, is_premium) VALUES 
         ('default', 'Default Voice', 'Balanced, professional content creation', 
-         'You are an expert YouTube content creator with deep knowledge of viral content strategies.', FALSE),
+         'You are an expert YouTube content creator with deep knowledge of viral content strategies.',
+         '[]', FALSE),
         
         ('conversational', 'Conversational', 'Natural, flowing speaking style like talking to a friend',
          'Create content in a conversational, approachable tone. Use "you" and "I" language naturally. Include personal experiences and relatable examples.',
+         '["Natural, flowing speaking style like talking to a friend", "Use \"you\" and \"I\" language to create connection", "Include conversational fillers and transitions naturally", "Share personal experiences and relatable examples", "Ask rhetorical questions to engage viewers", "Use everyday language that feels authentic and unscripted", "Create a warm, approachable tone that invites viewers in", "Balance professionalism with accessibility"]',
          FALSE),
         
-        ('brenda_lawrence', 'Brenda Lawrence - Leadership & Process Expert', 'Executive coaching with 30+ years operational excellence',
-         'You are Brenda Lawrence - a business and executive coach, inspirational speaker, consultant, trainer, trusted advisor, and safe space creator with a strong focus on process improvement and 30+ years of operational excellence. You optimize both the LEADER AND the business systems simultaneously. Your unique positioning combines leadership evolution + process optimization + systems thinking.',
-         TRUE),
-        
         ('motivational', 'Motivational Speaker', 'High energy and inspiring tone',
          'Create motivational content that inspires action. Focus on overcoming challenges, achieving goals, and building confidence. Use powerful success stories and transformational examples.',
+         '["High energy and inspiring tone", "Focus on overcoming challenges and achieving goals", "Use powerful success stories and transformational examples", "Encourage action and personal growth", "Build confidence and self-belief"]',
          FALSE),
         
         ('educational', 'Educational Expert', 'Clear, structured, and informative approach',
          'Break down complex concepts into digestible steps. Use examples and analogies to explain difficult topics. Focus on practical learning outcomes and encourage deeper understanding.',
+         '["Clear, structured, and informative approach", "Break down complex concepts into digestible steps", "Use examples and analogies to explain difficult topics", "Focus on practical learning outcomes", "Encourage questions and deeper understanding"]',
          FALSE),
         
         ('casual_creator', 'Casual Content Creator', 'Friendly, relatable, and approachable tone',
          'Keep content light and entertaining while informative. Connect with audience through shared experiences. Maintain authenticity and genuine personality.',
+         '["Friendly, relatable, and approachable tone", "Use everyday language and personal anecdotes", "Keep content light and entertaining while informative", "Connect with audience through shared experiences", "Maintain authenticity and genuine personality"]',
          FALSE)
-      ON CONFLICT (name) DO UPDATE SET
+      ON CONFLICT (name) WHERE owner_id IS NULL DO UPDATE SET
         display_name = EXCLUDED.display_name,
         description = EXCLUDED.description,
-        system_prompt = EXCLUDED.system_prompt;
+        system_prompt = EXCLUDED.system_prompt,
+        style_bullets = EXCLUDED.style_bullets;
+
+      -- Script revisions - immutable snapshots of a saved script
+      CREATE TABLE IF NOT EXISTS script_revisions (
+        id SERIAL PRIMARY KEY,
+        script_id INTEGER REFERENCES saved_scripts(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        revision_number INTEGER NOT NULL,
+        source VARCHAR(50) NOT NULL,
+        instruction TEXT,
+        section VARCHAR(50),
+        snapshot JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (script_id, revision_number)
+      );
+
+      -- Sessions - rotating refresh tokens (stored hashed) and a per-user token version that
+      -- invalidates every access token when bumped
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        family_id UUID NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+        user_agent TEXT,
+        ip_address VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS credits_used INTEGER NOT NULL DEFAULT 0;
+
+      -- Reservations hold quota while a generation is in flight (see reserveQuota)
+      CREATE TABLE IF NOT EXISTS quota_reservations (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        feature_type VARCHAR(50) NOT NULL,
+        metering VARCHAR(20) NOT NULL,
+        units BIGINT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'reserved',
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        settled_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_quota_reservations_active ON quota_reservations(user_id, expires_at)
+        WHERE status = 'reserved';
+      DELETE FROM quota_reservations WHERE created_at < CURRENT_TIMESTAMP - INTERVAL '7 days';
+
+      -- Token accounting - real provider usage, model and estimated cost per call, plus the plan
+      -- the user was on so costs can be attributed to plans after upgrades and downgrades
+      ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS input_tokens INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS output_tokens INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS model VARCHAR(100);
+      ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS provider VARCHAR(50);
+      ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS cost_usd NUMERIC(12, 6);
+      ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS access_level VARCHAR(50);
+
+      -- Admin role and account suspension
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user';
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
+
+      -- Password or role changes, plan downgrades and suspension end every session, including ones
+      -- changed by hand in SQL. Upgrades keep them, so a user stays signed in after checkout.
+      CREATE OR REPLACE FUNCTION revoke_sessions_on_credential_change() RETURNS TRIGGER AS $$
+      BEGIN
+        IF NEW.password_hash IS DISTINCT FROM OLD.password_hash
+          OR (NEW.access_level IS DISTINCT FROM OLD.access_level
+            AND COALESCE((SELECT plan_rank FROM usage_quotas WHERE access_level = NEW.access_level), 0)
+              < COALESCE((SELECT plan_rank FROM usage_quotas WHERE access_level = OLD.access_level), 0))
+          OR NEW.role IS DISTINCT FROM OLD.role
+          OR (NEW.suspended_at IS NOT NULL AND OLD.suspended_at IS NULL) THEN
+          NEW.token_version := OLD.token_version + 1;
+          UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+          WHERE user_id = NEW.id AND revoked_at IS NULL;
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS users_revoke_sessions ON users;
+      CREATE TRIGGER users_revoke_sessions BEFORE UPDATE ON users
+        FOR EACH ROW EXECUTE FUNCTION revoke_sessions_on_credential_change();
+
+      DELETE FROM refresh_tokens WHERE expires_at < CURRENT_TIMESTAMP - INTERVAL '7 days';
+
+      -- Email verification and password reset - single-use tokens, stored hashed
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT FALSE;
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+      CREATE TABLE IF NOT EXISTS auth_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        purpose VARCHAR(50) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      DELETE FROM auth_tokens WHERE expires_at < CURRENT_TIMESTAMP - INTERVAL '7 days';
+
+      -- Admin audit log - one row per admin action with the before/after values it changed
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id SERIAL PRIMARY KEY,
+        admin_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        action VARCHAR(100) NOT NULL,
+        target_type VARCHAR(50) NOT NULL,
+        target_id VARCHAR(100) NOT NULL,
+        changes JSONB,
+        reason TEXT,
+        ip_address VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Billing - one row per provider subscription; users.access_level follows the best of them
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS billing_customer_id VARCHAR(255);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_users_billing_customer ON users(billing_customer_id)
+        WHERE billing_customer_id IS NOT NULL;
+
+      CREATE TABLE IF NOT EXISTS billing_subscriptions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        provider VARCHAR(50) NOT NULL,
+        subscription_id VARCHAR(255) NOT NULL,
+        customer_id VARCHAR(255),
+        price_id VARCHAR(255),
+        access_level VARCHAR(50) NOT NULL,
+        status VARCHAR(50) NOT NULL,
+        current_period_end TIMESTAMP,
+        cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+        last_event_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (provider, subscription_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_billing_subscriptions_user ON billing_subscriptions(user_id);
+
+      -- Webhook events already applied, so provider retries are no-ops
+      CREATE TABLE IF NOT EXISTS billing_events (
+        provider VARCHAR(50) NOT NULL,
+        event_id VARCHAR(255) NOT NULL,
+        type VARCHAR(100) NOT NULL,
+        payload JSONB,
+        processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (provider, event_id)
+      );
+
+      -- Team workspaces - scripts with a workspace_id belong to the workspace library, and usage in a
+      -- workspace is billed to the owner's plan
+      CREATE TABLE IF NOT EXISTS workspaces (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS workspace_members (
+        workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (workspace_id, user_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS workspace_invitations (
+        id SERIAL PRIMARY KEY,
+        workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        role VARCHAR(20) NOT NULL,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        expires_at TIMESTAMP NOT NULL,
+        accepted_at TIMESTAMP,
+        accepted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      ALTER TABLE saved_scripts ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE;
+      -- No foreign key: usage in a deleted workspace must not turn into the member's personal usage
+      ALTER TABLE usage_logs ADD COLUMN IF NOT EXISTS workspace_id INTEGER;
+      ALTER TABLE quota_reservations ADD COLUMN IF NOT EXISTS workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE;
+
+      CREATE INDEX IF NOT EXISTS idx_workspaces_owner ON workspaces(owner_id);
+      CREATE INDEX IF NOT EXISTS idx_workspace_members_user ON workspace_members(user_id);
+      CREATE INDEX IF NOT EXISTS idx_saved_scripts_workspace_updated ON saved_scripts(workspace_id, updated_at DESC)
+        WHERE workspace_id IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_usage_logs_workspace ON usage_logs(workspace_id, created_at)
+        WHERE workspace_id IS NOT NULL;
+
+      -- Review workflow: script status, who changed it and anchored comment threads
+      ALTER TABLE saved_scripts ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'draft';
+
+      CREATE TABLE IF NOT EXISTS script_status_history (
+        id SERIAL PRIMARY KEY,
+        script_id INTEGER REFERENCES saved_scripts(id) ON DELETE CASCADE,
+        from_status VARCHAR(20) NOT NULL,
+        to_status VARCHAR(20) NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        note TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS script_comments (
+        id SERIAL PRIMARY KEY,
+        script_id INTEGER REFERENCES saved_scripts(id) ON DELETE CASCADE,
+        parent_id INTEGER REFERENCES script_comments(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        body TEXT NOT NULL,
+        section VARCHAR(50),
+        range_start INTEGER,
+        range_end INTEGER,
+        quoted_text TEXT,
+        resolved_at TIMESTAMP,
+        resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_script_status_history_script ON script_status_history(script_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_script_comments_script ON script_comments(script_id, created_at);
+
+      -- Content calendar: publish dates and series / playlists, owned like saved scripts
+      CREATE TABLE IF NOT EXISTS content_series (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        kind VARCHAR(20) NOT NULL DEFAULT 'series',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      ALTER TABLE saved_scripts ADD COLUMN IF NOT EXISTS publish_at TIMESTAMP;
+      ALTER TABLE saved_scripts ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES content_series(id) ON DELETE SET NULL;
+      ALTER TABLE saved_scripts ADD COLUMN IF NOT EXISTS series_position INTEGER;
+
+      CREATE INDEX IF NOT EXISTS idx_content_series_user ON content_series(user_id);
+      CREATE INDEX IF NOT EXISTS idx_content_series_workspace ON content_series(workspace_id) WHERE workspace_id IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_saved_scripts_publish ON saved_scripts(publish_at) WHERE publish_at IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_saved_scripts_series ON saved_scripts(series_id, series_position) WHERE series_id IS NOT NULL;
+
+      -- Reference sources: analyzed video transcripts that scripts can be generated from
+      CREATE TABLE IF NOT EXISTS reference_sources (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE,
+        format VARCHAR(10) NOT NULL,
+        title VARCHAR(255),
+        metadata JSONB NOT NULL DEFAULT '{}',
+        transcript TEXT NOT NULL,
+        cues JSONB,
+        duration_seconds INTEGER,
+        word_count INTEGER,
+        summary TEXT,
+        key_points JSONB,
+        retention_structure JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      ALTER TABLE saved_scripts ADD COLUMN IF NOT EXISTS source_id INTEGER REFERENCES reference_sources(id) ON DELETE SET NULL;
+
+      CREATE INDEX IF NOT EXISTS idx_reference_sources_user ON reference_sources(user_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_reference_sources_workspace ON reference_sources(workspace_id, created_at DESC)
+        WHERE workspace_id IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_saved_scripts_source ON saved_scripts(source_id) WHERE source_id IS NOT NULL;
 
       -- Create indexes
       CREATE INDEX IF NOT EXISTS idx_usage_logs_user_date ON usage_logs(user_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_usage_logs_created ON usage_logs(created_at);
       CREATE INDEX IF NOT EXISTS idx_saved_scripts_user_updated ON saved_scripts(user_id, updated_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_script_revisions_script ON script_revisions(script_id, revision_number DESC);
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id) WHERE revoked_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target_type, target_id, created_at DESC);
+
+      -- Full-text search over title, topic and script content
+      ALTER TABLE saved_scripts ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (
+          setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+          setweight(to_tsvector('english', coalesce(topic, '')), 'B') ||
+          setweight(to_tsvector('english', coalesce(script_content, '')), 'C')
+        ) STORED;
+      CREATE INDEX IF NOT EXISTS idx_saved_scripts_search ON saved_scripts USING GIN(search_vector);
     `);
+
+    // Bootstrap admins - ADMIN_EMAILS is a comma-separated list of accounts to promote
+    const adminEmails = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim()).filter(Boolean);
+    if (adminEmails.length > 0) {
+      await pool.query(
+        "UPDATE users SET role = 'admin' WHERE email = ANY($1) AND role <> 'admin'",
+        [adminEmails]
+      );
+    }
+
+    await migratePersonaVoice();
     
     console.log('✅ Database schema initialized successfully');
   } catch (error) {
@@ -185,10 +632,9 @@ const initDB = async () => {
   }
 };
 
-initDB();
-
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
+// Authentication middleware - the token version check makes revoked sessions fail immediately,
+// and access level is always read fresh rather than trusted from the token
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -196,107 +642,625 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ error: 'Invalid token' });
-    req.user = user;
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired', code: 'TOKEN_EXPIRED' });
+    }
+    return res.status(403).json({ error: 'Invalid token' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT access_level, token_version, preferred_voice, role, suspended_at FROM users WHERE id = $1',
+      [payload.userId]
+    );
+
+    if (result.rows.length === 0 || result.rows[0].token_version !== payload.tokenVersion) {
+      return res.status(401).json({ error: 'Session has been revoked', code: 'TOKEN_REVOKED' });
+    }
+
+    if (result.rows[0].suspended_at) {
+      return res.status(403).json({ error: 'Account suspended', code: 'ACCOUNT_SUSPENDED' });
+    }
+
+    req.user = {
+      ...payload,
+      accessLevel: result.rows[0].access_level,
+      preferredVoice: result.rows[0].preferred_voice,
+      role: result.rows[0].role
+    };
     next();
-  });
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+};
+
+// Public routes that show more to signed-in users; a bad token is still rejected
+const authenticateOptional = (req, res, next) => (
+  req.headers['authorization'] ? authenticateToken(req, res, next) : next()
+);
+
+// Use after authenticateToken
+const requireAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
+// Generation requests that omit voicePreset use the voice saved on the user's profile
+const applyPreferredVoice = (req, res, next) => {
+  if (!req.body.voicePreset) {
+    req.body.voicePreset = req.user.preferredVoice || 'default';
+  }
+  next();
 };
 
-// Quota checking
-const checkQuota = async (userId, featureType) => {
+// Workspace context - an X-Workspace-Id header (or ?workspaceId=) moves script, generation and quota
+// routes from the user's personal library to a shared workspace. Roles rank viewer < editor < owner.
+const WORKSPACE_ROLES = ['viewer', 'editor', 'owner'];
+
+const getWorkspaceMembership = async (workspaceId, userId) => {
+  const result = await pool.query(`
+    SELECT w.id, w.name, w.owner_id, m.role, o.access_level
+    FROM workspaces w
+    JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = $2
+    JOIN users o ON o.id = w.owner_id
+    WHERE w.id = $1
+  `, [workspaceId, userId]);
+
+  const row = result.rows[0];
+  return row ? { id: row.id, name: row.name, ownerId: row.owner_id, role: row.role, accessLevel: row.access_level } : null;
+};
+
+const hasWorkspaceRole = (membership, minRole) => (
+  WORKSPACE_ROLES.indexOf(membership.role) >= WORKSPACE_ROLES.indexOf(minRole)
+);
+
+// Sets req.workspace to the caller's membership; non-members get a 404 so workspace ids are not probed
+const loadWorkspace = async (req, res, next, rawId, minRole) => {
+  if (!/^\d+$/.test(String(rawId))) {
+    return res.status(400).json({ error: 'Invalid workspace id' });
+  }
+
   try {
-    const user = await pool.query('SELECT access_level FROM users WHERE id = $1', [userId]);
-    if (user.rows.length === 0) return { allowed: false, reason: 'User not found' };
+    const membership = await getWorkspaceMembership(parseInt(rawId), req.user.userId);
+    if (!membership) {
+      return res.status(404).json({ error: 'Workspace not found' });
+    }
+    if (!hasWorkspaceRole(membership, minRole)) {
+      return res.status(403).json({ error: `This needs the ${minRole} role in the workspace`, role: membership.role });
+    }
+    req.workspace = membership;
+    next();
+  } catch (error) {
+    console.error('Workspace lookup error:', error);
+    res.status(500).json({ error: 'Workspace lookup failed' });
+  }
+};
 
-    const accessLevel = user.rows[0].access_level;
-    
-    const quota = await pool.query('SELECT * FROM usage_quotas WHERE access_level = $1', [accessLevel]);
-    if (quota.rows.length === 0) return { allowed: false, reason: 'No quota found' };
+// Use after authenticateToken; without a workspace the request stays personal (req.workspace = null)
+const workspaceContext = (minRole = 'viewer') => (req, res, next) => {
+  const rawId = req.headers['x-workspace-id'] || req.query.workspaceId;
+  req.workspace = null;
+  if (!rawId) return next();
+  loadWorkspace(req, res, next, rawId, minRole);
+};
 
-    const quotaData = quota.rows[0];
-    
-    if (!quotaData.features_enabled.includes(featureType)) {
+// For /api/workspaces/:id routes
+const requireWorkspaceRole = (minRole) => (req, res, next) => loadWorkspace(req, res, next, req.params.id, minRole);
+
+// Sessions
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user) => jwt.sign(
+  { 
+    userId: user.id, 
+    email: user.email, 
+    accessLevel: user.access_level,
+    firstName: user.first_name,
+    tokenVersion: user.token_version
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Issues a refresh token; rotations pass the family of the token they replace
+const createRefreshToken = async (db, userId, req, familyId = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  const result = await db.query(`
+    INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at, user_agent, ip_address)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(days => $4), $5, $6)
+    RETURNING id
+  `, [userId, hashToken(refreshToken), familyId, REFRESH_TOKEN_TTL_DAYS, req.headers['user-agent'] || null, req.ip]);
+
+  return { refreshToken, id: result.rows[0].id };
+};
+
+const issueSession = async (user, req) => {
+  const { refreshToken } = await createRefreshToken(pool, user.id, req);
+  return {
+    token: signAccessToken(user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Ends every session of a user: refresh tokens are revoked and outstanding access tokens stop
+// verifying. Password and role changes and plan downgrades do this automatically via the users trigger.
+const revokeAllSessions = async (db, userId) => {
+  await db.query('UPDATE users SET token_version = token_version + 1 WHERE id = $1', [userId]);
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+};
+
+// Mailer - MAIL_TRANSPORT=smtp | console | file; every transport implements send({ to, subject, text, html })
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail({ from: process.env.MAIL_FROM || 'no-reply@localhost', ...message })
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async ({ to, subject, text }) => {
+    console.log(`📧 Mail to ${to}: ${subject}\n${text}`);
+  }
+});
+
+// Writes each message as JSON into MAIL_DIR so local tools and tests can read the links back
+const createFileTransport = () => {
+  const directory = process.env.MAIL_DIR || path.join(os.tmpdir(), 'youtube-script-ai-mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      await fs.promises.writeFile(
+        path.join(directory, filename),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    }
+  };
+};
+
+const MAIL_TRANSPORTS = {
+  smtp: createSmtpTransport,
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+const mailer = (MAIL_TRANSPORTS[process.env.MAIL_TRANSPORT] ||
+  (process.env.SMTP_HOST ? createSmtpTransport : createConsoleTransport))();
+
+// Auth tokens for links sent by email
+const AUTH_TOKEN_TTL_MINUTES = {
+  verify_email: 24 * 60,
+  reset_password: 60
+};
+
+const frontendUrl = (pathname) => `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}${pathname}`;
+
+const appUrl = (pathname, token) => frontendUrl(`${pathname}?token=${encodeURIComponent(token)}`);
+
+// Issues a new token for the purpose and invalidates any earlier unused ones
+const createAuthToken = async (db, userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.query(
+    'UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+  await db.query(`
+    INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))
+  `, [userId, purpose, hashToken(token), AUTH_TOKEN_TTL_MINUTES[purpose]]);
+
+  return token;
+};
+
+// Marks a valid token used and returns its user id, or null if it is unknown, used or expired
+const consumeAuthToken = async (db, token, purpose) => {
+  const result = await db.query(`
+    UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+    WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    RETURNING user_id
+  `, [hashToken(String(token)), purpose]);
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await createAuthToken(pool, user.id, 'verify_email');
+  const link = appUrl('/verify-email', token);
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.first_name || 'there'},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${user.first_name || 'there'},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify email</a></p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createAuthToken(pool, user.id, 'reset_password');
+  const link = appUrl('/reset-password', token);
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.first_name || 'there'},\n\nSomeone asked to reset the password for this account. If it was you, open this link:\n${link}\n\nThe link expires in 1 hour and can only be used once. If you did not ask for this, you can ignore this email.`,
+    html: `<p>Hi ${user.first_name || 'there'},</p><p>Someone asked to reset the password for this account. If it was you:</p><p><a href="${link}">Reset password</a></p><p>The link expires in 1 hour and can only be used once. If you did not ask for this, you can ignore this email.</p>`
+  });
+};
+
+const WORKSPACE_INVITATION_TTL_DAYS = 7;
+
+// Workspace names and inviter names are user-supplied, so they are escaped in HTML mail
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+));
+
+const sendWorkspaceInvitationEmail = async ({ email, token, workspaceName, inviterName, role }) => {
+  const link = appUrl('/workspaces/accept', token);
+
+  await mailer.send({
+    to: email,
+    subject: `You are invited to ${workspaceName}`,
+    text: `Hi,\n\n${inviterName} invited you to join the ${workspaceName} workspace as ${role === 'editor' ? 'an editor' : 'a viewer'}. Sign in with this email address and open this link to accept:\n${link}\n\nThe invitation expires in ${WORKSPACE_INVITATION_TTL_DAYS} days.`,
+    html: `<p>Hi,</p><p>${escapeHtml(inviterName)} invited you to join the <strong>${escapeHtml(workspaceName)}</strong> workspace as ${role === 'editor' ? 'an editor' : 'a viewer'}. Sign in with this email address to accept:</p><p><a href="${link}">Accept invitation</a></p><p>The invitation expires in ${WORKSPACE_INVITATION_TTL_DAYS} days.</p>`
+  });
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Quota checking - feature type -> usage_quotas limit column
+const QUOTA_LIMIT_COLUMNS = {
+  script: 'monthly_script_limit',
+  hooks: 'monthly_hooks_limit',
+  titles: 'monthly_titles_limit',
+  outline: 'monthly_outline_limit',
+  description: 'monthly_description_limit',
+  tags: 'monthly_tags_limit',
+  thumbnail: 'monthly_thumbnail_limit',
+  ctas: 'monthly_ctas_limit',
+  revise: 'monthly_revise_limit',
+  voice: 'monthly_voice_limit',
+  series: 'monthly_series_limit',
+  transcript: 'monthly_transcript_limit'
+};
+
+const QUOTA_METERINGS = ['requests', 'tokens', 'credits'];
+
+// Token and credit plans draw every feature from one monthly pool
+const POOL_LIMIT_COLUMNS = { tokens: 'monthly_token_limit', credits: 'monthly_credit_limit' };
+const POOL_USAGE_COLUMNS = { tokens: 'tokens_used', credits: 'credits_used' };
+
+// One credit is worth CREDIT_VALUE_USD of upstream cost; unpriced models fall back to 1 credit per 1000 tokens
+const CREDIT_VALUE_USD = parseFloat(process.env.CREDIT_VALUE_USD) || 0.001;
+
+const toCredits = (costUsd, tokens) => (costUsd !== null && costUsd !== undefined
+  ? Math.ceil(costUsd / CREDIT_VALUE_USD)
+  : Math.ceil(tokens / 1000));
+
+// Usage billed to a user's plan: their personal usage plus everything in workspaces they own.
+// Works for usage_logs and quota_reservations; $1 is the paying user.
+const BILLED_TO_USER = `((user_id = $1 AND workspace_id IS NULL)
+  OR workspace_id IN (SELECT id FROM workspaces WHERE owner_id = $1))`;
+
+// Reservations hold the worst case of a request until it settles. Prompt size is not known up
+// front, so token reservations assume PROMPT_TOKEN_ESTIMATE input tokens plus the output cap.
+const RESERVATION_TTL_MINUTES = 15;
+const PROMPT_TOKEN_ESTIMATE = 2000;
+const QUOTA_LOCK_NAMESPACE = 7301;
+
+const estimateReservation = (metering, featureType, modelTier) => {
+  if (metering === 'requests') return 1;
+
+  const { model, maxTokens } = getModelConfig(featureType, modelTier);
+  const tokens = PROMPT_TOKEN_ESTIMATE + maxTokens;
+  if (metering === 'tokens') return tokens;
+  return toCredits(estimateCost(model, PROMPT_TOKEN_ESTIMATE, maxTokens), tokens);
+};
+
+// Checks the plan and reserves this request's share of it in one transaction. An advisory lock on
+// the paying user serializes concurrent requests, and in-flight reservations count as used, so
+// parallel requests cannot overrun the limit. In a workspace the owner's plan pays and every
+// member draws on the same pool. Settle the result with settleQuota once the request ends.
+const reserveQuota = async (userId, featureType, { modelTier, workspace = null } = {}) => {
+  const payerId = workspace ? workspace.ownerId : userId;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1, $2)', [QUOTA_LOCK_NAMESPACE, payerId]);
+
+    const planResult = await client.query(`
+      SELECT q.* FROM users u JOIN usage_quotas q ON q.access_level = u.access_level WHERE u.id = $1
+    `, [payerId]);
+    if (planResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { allowed: false, reason: 'No quota found' };
+    }
+    const plan = planResult.rows[0];
+
+    if (!plan.features_enabled.includes(featureType)) {
+      await client.query('ROLLBACK');
       return { allowed: false, reason: 'Feature not available in your plan' };
     }
+    if (!QUOTA_LIMIT_COLUMNS[featureType]) {
+      await client.query('ROLLBACK');
+      return { allowed: false, reason: 'Unknown feature type' };
+    }
 
-    const usage = await pool.query(`
-      SELECT COUNT(*) as count FROM usage_logs 
-      WHERE user_id = $1 AND feature_type = $2 AND success = true
-      AND created_at >= DATE_TRUNC('month', CURRENT_TIMESTAMP)
-    `, [userId, featureType]);
+    // A pool limit of NULL means the pool is unlimited
+    const metering = POOL_LIMIT_COLUMNS[plan.metering] ? plan.metering : 'requests';
+    const pooled = metering !== 'requests';
+    const rawLimit = pooled ? plan[POOL_LIMIT_COLUMNS[metering]] : plan[QUOTA_LIMIT_COLUMNS[featureType]];
+    const limit = rawLimit === null ? null : Number(rawLimit);
+
+    const usage = await client.query(`
+      SELECT
+        (SELECT ${pooled ? `COALESCE(SUM(${POOL_USAGE_COLUMNS[metering]}), 0)` : 'COUNT(*)'} FROM usage_logs
+         WHERE ${BILLED_TO_USER} AND success = true AND ($2::text IS NULL OR feature_type = $2)
+         AND created_at >= DATE_TRUNC('month', CURRENT_TIMESTAMP)) as used,
+        (SELECT COALESCE(SUM(units), 0) FROM quota_reservations
+         WHERE ${BILLED_TO_USER} AND status = 'reserved' AND expires_at > CURRENT_TIMESTAMP
+         AND metering = $3 AND ($2::text IS NULL OR feature_type = $2)) as reserved
+    `, [payerId, pooled ? null : featureType, metering]);
+
+    const currentUsage = Number(usage.rows[0].used);
+    const reserved = Number(usage.rows[0].reserved);
+    const units = estimateReservation(metering, featureType, modelTier);
+
+    if (limit !== null && currentUsage + reserved + units > limit) {
+      await client.query('ROLLBACK');
+      return {
+        allowed: false,
+        metering,
+        currentUsage,
+        reserved,
+        limit,
+        reason: pooled
+          ? `Not enough ${metering} left this month (${Math.max(limit - currentUsage - reserved, 0)} of ${limit} remaining)`
+          : currentUsage >= limit ? `Monthly limit of ${limit} reached` : `Monthly limit of ${limit} reached (requests still in progress)`
+      };
+    }
 
-    const currentUsage = parseInt(usage.rows[0].count);
-    
-    let limit;
-    switch (featureType) {
-      case 'script': limit = quotaData.monthly_script_limit; break;
-      case 'hooks': limit = quotaData.monthly_hooks_limit; break;
-      case 'titles': limit = quotaData.monthly_titles_limit; break;
-      case 'outline': limit = quotaData.monthly_outline_limit; break;
-      case 'description': limit = quotaData.monthly_description_limit; break;
-      case 'tags': limit = quotaData.monthly_tags_limit; break;
-      case 'thumbnail': limit = quotaData.monthly_thumbnail_limit; break;
-      case 'ctas': limit = quotaData.monthly_ctas_limit; break;
-      default: return { allowed: false, reason: 'Unknown feature type' };
-    }
-
-    return { 
-      allowed: currentUsage < limit, 
-      currentUsage, 
-      limit,
-      reason: currentUsage >= limit ? `Monthly limit of ${limit} reached` : null
-    };
+    const reservation = await client.query(`
+      INSERT INTO quota_reservations (user_id, workspace_id, feature_type, metering, units, expires_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(mins => $6))
+      RETURNING id
+    `, [userId, workspace ? workspace.id : null, featureType, metering, units, RESERVATION_TTL_MINUTES]);
+
+    await client.query('COMMIT');
+    return { allowed: true, metering, currentUsage, reserved, limit, units, reservationId: reservation.rows[0].id };
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('Quota check error:', error);
     return { allowed: false, reason: 'Quota check failed' };
+  } finally {
+    client.release();
   }
 };
 
-// Usage logging
-const logUsage = async (userId, featureType, success = true, processingTime = 0, tokensUsed = 0, errorMessage = null, metadata = {}) => {
+// Call after logUsage: a successful request is now counted in usage_logs, so its reservation is
+// committed; a failed one is released. Either way it stops holding quota.
+const settleQuota = async (quota, success) => {
+  if (!quota || !quota.reservationId) return;
   try {
     await pool.query(`
-      INSERT INTO usage_logs (user_id, feature_type, success, processing_time_ms, tokens_used, error_message, metadata)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-    `, [userId, featureType, success, processingTime, tokensUsed, errorMessage, JSON.stringify(metadata)]);
+      UPDATE quota_reservations SET status = $2, settled_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'reserved'
+    `, [quota.reservationId, success ? 'committed' : 'released']);
   } catch (error) {
-    console.error('Usage logging error:', error);
+    console.error('Quota settle error:', error);
+  }
+};
+
+// Plan entitlements - what a plan may use at all, as opposed to how much (reserveQuota)
+// "8-10" or "10 minutes" -> 10; null when no number is given
+const parseDurationMinutes = (duration) => {
+  const numbers = String(duration || '').match(/\d+/g);
+  return numbers ? Math.max(...numbers.map(Number)) : null;
+};
+
+// Requests whose duration sets the script length
+const DURATION_FEATURES = ['script', 'outline', 'package'];
+
+const PLAN_NAMES = { free: 'Free', premium: 'Premium', pro: 'Pro' };
+const planName = (accessLevel) => PLAN_NAMES[accessLevel] || accessLevel;
+
+// Returns null when the request is allowed, otherwise { status, body }. A 403 body names the
+// cheapest plan that would allow the request (requiredPlan is null if no plan does).
+const checkEntitlement = async (user, featureType, { voicePreset, duration, modelTier } = {}) => {
+  if (modelTier !== undefined && !MODEL_TIERS.includes(modelTier)) {
+    return { status: 400, body: { error: 'Unknown model tier', allowed: MODEL_TIERS } };
+  }
+
+  const plansResult = await pool.query('SELECT * FROM usage_quotas ORDER BY plan_rank, access_level');
+  const plans = plansResult.rows;
+  const plan = plans.find(candidate => candidate.access_level === user.accessLevel);
+  if (!plan) {
+    return { status: 403, body: { error: 'No plan found for your account', code: 'PLAN_NOT_FOUND' } };
+  }
+
+  const rules = [];
+
+  // Only metered features appear in features_enabled; a package is gated asset by asset
+  if (QUOTA_LIMIT_COLUMNS[featureType]) {
+    rules.push({
+      entitlement: 'feature',
+      allows: (candidate) => candidate.features_enabled.includes(featureType),
+      error: `${featureType} is not included in the ${planName(plan.access_level)} plan`
+    });
+  }
+
+  if (voicePreset) {
+    const voice = await getVoice(voicePreset, user.userId);
+    if (voice && voice.is_premium) {
+      rules.push({
+        entitlement: 'premium_voice',
+        allows: (candidate) => candidate.premium_voices,
+        error: `The ${voice.display_name} voice is only available on premium plans`
+      });
+    }
+  }
+
+  const minutes = DURATION_FEATURES.includes(featureType) ? parseDurationMinutes(duration) : null;
+  if (minutes !== null) {
+    rules.push({
+      entitlement: 'duration',
+      allows: (candidate) => candidate.max_duration_minutes === null || minutes <= candidate.max_duration_minutes,
+      error: `The ${planName(plan.access_level)} plan allows scripts up to ${plan.max_duration_minutes} minutes`
+    });
+  }
+
+  if (modelTier) {
+    rules.push({
+      entitlement: 'model',
+      allows: (candidate) => candidate.model_tiers.includes(modelTier),
+      error: `The ${modelTier} model is not included in the ${planName(plan.access_level)} plan`
+    });
   }
+
+  const denied = rules.find(rule => !rule.allows(plan));
+  if (!denied) return null;
+
+  const unlocking = plans.find(candidate => candidate.plan_rank > plan.plan_rank && denied.allows(candidate));
+  return {
+    status: 403,
+    body: {
+      error: unlocking ? `${denied.error}. Upgrade to ${planName(unlocking.access_level)} to unlock it.` : denied.error,
+      code: 'PLAN_UPGRADE_REQUIRED',
+      entitlement: denied.entitlement,
+      feature: featureType,
+      currentPlan: plan.access_level,
+      requiredPlan: unlocking ? unlocking.access_level : null
+    }
+  };
 };
 
-// Voice prompt system
-const getVoicePrompt = async (voicePreset) => {
+// Shared by the generation routes; use after authenticateToken, applyPreferredVoice and any
+// workspaceContext, since a workspace is held to its owner's plan
+const requireEntitlement = (featureType) => async (req, res, next) => {
   try {
-    const voice = await pool.query('SELECT * FROM voice_presets WHERE name = $1', [voicePreset]);
-    if (voice.rows.length === 0) {
-      return 'You are an expert YouTube content creator focused on creating viral, engaging content.';
+    const { voicePreset, duration, modelTier } = req.body;
+    const user = req.workspace ? { ...req.user, accessLevel: req.workspace.accessLevel } : req.user;
+    const denial = await checkEntitlement(user, featureType, { voicePreset, duration, modelTier });
+    if (denial) {
+      return res.status(denial.status).json(denial.body);
     }
-    return voice.rows[0].system_prompt;
+    next();
+  } catch (error) {
+    console.error('Entitlement check error:', error);
+    res.status(500).json({ error: 'Entitlement check failed' });
+  }
+};
+
+// Usage logging - `usage` is the request's usage meter (see createUsageMeter), or null when no
+// upstream call was made. tokens_used is input plus output tokens; credits_used is derived from the cost.
+// access_level records the plan that paid: the workspace owner's for workspace usage.
+const logUsage = async (userId, featureType, success = true, processingTime = 0, usage = null, errorMessage = null, metadata = {}) => {
+  const meter = usage || createUsageMeter();
+  const tokens = meter.inputTokens + meter.outputTokens;
+  try {
+    await pool.query(`
+      INSERT INTO usage_logs (
+        user_id, feature_type, success, processing_time_ms, tokens_used, error_message, metadata,
+        input_tokens, output_tokens, model, provider, cost_usd, credits_used, workspace_id, access_level
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, (
+        SELECT access_level FROM users WHERE id = COALESCE((SELECT owner_id FROM workspaces WHERE id = $14), $1)
+      ))
+    `, [
+      userId, featureType, success, processingTime, tokens, errorMessage,
+      JSON.stringify(metadata), meter.inputTokens, meter.outputTokens, meter.model, meter.provider, meter.costUsd,
+      toCredits(meter.costUsd, tokens), meter.workspaceId
+    ]);
+  } catch (error) {
+    console.error('Usage logging error:', error);
+  }
+};
+
+// Voice prompt system - built-in presets (owner_id NULL) plus each user's private voices
+const DEFAULT_VOICE_PROMPT = 'You are an expert YouTube content creator focused on creating viral, engaging content.';
+
+const VOICE_PRESET_COLUMNS = `
+  id, name, display_name, description, system_prompt, style_bullets, style_guide, style_profile,
+  is_premium, owner_id, source, created_at, updated_at
+`;
+
+// A user's own voice wins over a built-in one with the same name
+const getVoice = async (voicePreset, userId = null) => {
+  try {
+    const voice = await pool.query(`
+      SELECT ${VOICE_PRESET_COLUMNS} FROM voice_presets
+      WHERE name = $1 AND (owner_id IS NULL OR owner_id = $2)
+      ORDER BY owner_id NULLS LAST
+      LIMIT 1
+    `, [voicePreset, userId]);
+    return voice.rows[0] || null;
   } catch (error) {
     console.error('Voice prompt error:', error);
-    return 'You are an expert YouTube content creator focused on creating viral, engaging content.';
-  }
-};
-
-// Voice prompt additions (from your frontend)
-const getVoicePromptAdditions = (voicePreset) => {
-  switch (voicePreset) {
-    case 'conversational':
-      return `
-CONVERSATIONAL VOICE:
-- Natural, flowing speaking style like talking to a friend
-- Use "you" and "I" language to create connection
-- Include conversational fillers and transitions naturally
-- Share personal experiences and relatable examples
-- Ask rhetorical questions to engage viewers
-- Use everyday language that feels authentic and unscripted
-- Create a warm, approachable tone that invites viewers in
-- Balance professionalism with accessibility`;
-
-    case 'brenda_lawrence':
-      return `
-BRENDA LAWRENCE VOICE & APPROACH:
+    return null;
+  }
+};
+
+// Style bullets under a "<NAME> VOICE:" heading, followed by any free-form style guide
+const formatVoiceStyle = (voice) => {
+  if (!voice) return '';
+
+  const parts = [];
+  const bullets = toStringList(voice.style_bullets);
+  if (bullets.length > 0) {
+    const heading = voice.display_name.toUpperCase().replace(/ VOICE$/, '');
+    parts.push(`${heading} VOICE:\n${bullets.map(bullet => `- ${bullet}`).join('\n')}`);
+  }
+  if (voice.style_guide) {
+    parts.push(voice.style_guide.trim());
+  }
+
+  return parts.length > 0 ? `\n${parts.join('\n\n')}` : '';
+};
+
+const buildVoiceContext = async (voicePreset, userId = null) => {
+  const voice = await getVoice(voicePreset || 'default', userId);
+  const voicePrompt = voice ? voice.system_prompt : DEFAULT_VOICE_PROMPT;
+  return `${voicePrompt}
+
+${formatVoiceStyle(voice)}`;
+};
+
+// The Brenda Lawrence persona used to be a built-in premium voice. It belongs to one account,
+// so with PERSONA_VOICE_OWNER_EMAIL set it becomes that user's private voice and the built-in
+// copy is removed; until then the existing built-in row keeps working with its full guide.
+const PERSONA_VOICE = {
+  name: 'brenda_lawrence',
+  displayName: 'Brenda Lawrence - Leadership & Process Expert',
+  description: 'Executive coaching with 30+ years operational excellence',
+  systemPrompt: 'You are Brenda Lawrence - a business and executive coach, inspirational speaker, consultant, trainer, trusted advisor, and safe space creator with a strong focus on process improvement and 30+ years of operational excellence. You optimize both the LEADER AND the business systems simultaneously. Your unique positioning combines leadership evolution + process optimization + systems thinking.',
+  styleGuide: `BRENDA LAWRENCE VOICE & APPROACH:
 You are speaking as Brenda Lawrence - a business and executive coach, inspirational speaker, consultant, trainer, trusted advisor, and safe space creator with a strong focus on process improvement and 30+ years of operational excellence.
 
 YOUR UNIQUE POSITIONING:
@@ -329,366 +1293,1039 @@ SPEAKING STYLE:
 - Deep operational knowledge meets executive coaching expertise
 - Strategic vulnerability focused on business systems and leadership effectiveness
 - Community-driven growth where leaders learn from each other's challenges
-- Values-driven approach that scales businesses without sacrificing culture`;
-
-    case 'motivational':
-      return `
-MOTIVATIONAL SPEAKER VOICE:
-- High energy and inspiring tone
-- Focus on overcoming challenges and achieving goals
-- Use powerful success stories and transformational examples
-- Encourage action and personal growth
-- Build confidence and self-belief`;
-
-    case 'educational':
-      return `
-EDUCATIONAL EXPERT VOICE:
-- Clear, structured, and informative approach
-- Break down complex concepts into digestible steps
-- Use examples and analogies to explain difficult topics
-- Focus on practical learning outcomes
-- Encourage questions and deeper understanding`;
-
-    case 'casual_creator':
-      return `
-CASUAL CONTENT CREATOR VOICE:
-- Friendly, relatable, and approachable tone
-- Use everyday language and personal anecdotes
-- Keep content light and entertaining while informative
-- Connect with audience through shared experiences
-- Maintain authenticity and genuine personality`;
-
-    default:
-      return '';
-  }
+- Values-driven approach that scales businesses without sacrificing culture`
 };
 
-// ROUTES
+const migratePersonaVoice = async () => {
+  const ownerEmail = process.env.PERSONA_VOICE_OWNER_EMAIL;
 
-// Health check
-app.get('/health', async (req, res) => {
-  try {
-    await pool.query('SELECT NOW()');
-    res.json({ 
-      status: 'healthy', 
-      timestamp: new Date().toISOString(),
-      database: 'connected',
-      environment: process.env.NODE_ENV
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      status: 'unhealthy', 
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+  if (!ownerEmail) {
+    await pool.query(
+      'UPDATE voice_presets SET style_guide = $1 WHERE name = $2 AND owner_id IS NULL AND style_guide IS NULL',
+      [PERSONA_VOICE.styleGuide, PERSONA_VOICE.name]
+    );
+    return;
   }
-});
-
-// Authentication routes
-app.post('/api/auth/register', authLimiter, async (req, res) => {
-  try {
-    const { email, password, firstName, lastName } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password required' });
-    }
+  const owner = await pool.query('SELECT id FROM users WHERE email = $1', [ownerEmail]);
+  if (owner.rows.length === 0) {
+    console.warn(`PERSONA_VOICE_OWNER_EMAIL ${ownerEmail} does not match any user, persona voice left as is`);
+    return;
+  }
+  const ownerId = owner.rows[0].id;
+
+  await pool.query(`
+    INSERT INTO voice_presets (name, display_name, description, system_prompt, style_guide, owner_id, source)
+    VALUES ($1, $2, $3, $4, $5, $6, 'manual')
+    ON CONFLICT (owner_id, name) WHERE owner_id IS NOT NULL DO NOTHING
+  `, [PERSONA_VOICE.name, PERSONA_VOICE.displayName, PERSONA_VOICE.description, PERSONA_VOICE.systemPrompt, PERSONA_VOICE.styleGuide, ownerId]);
+
+  const removed = await pool.query('DELETE FROM voice_presets WHERE name = $1 AND owner_id IS NULL', [PERSONA_VOICE.name]);
+  if (removed.rowCount > 0) {
+    await pool.query(
+      "UPDATE users SET preferred_voice = 'default' WHERE preferred_voice = $1 AND id <> $2",
+      [PERSONA_VOICE.name, ownerId]
+    );
+    console.log(`🎙️ Persona voice moved to ${ownerEmail}`);
+  }
+};
 
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
-    }
+// LLM provider layer - every generation goes through generateText/streamText
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'anthropic';
+
+const FEATURE_MAX_TOKENS = {
+  script: 2000,
+  hooks: 1000,
+  titles: 800,
+  outline: 1200,
+  description: 1000,
+  tags: 600,
+  thumbnail: 400,
+  ctas: 800,
+  revise: 2000,
+  voice: 1200,
+  series: 1500,
+  transcript: 2000
+};
 
-    const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
-    if (existingUser.rows.length > 0) {
-      return res.status(400).json({ error: 'User already exists' });
+// Parses an SSE response body and yields the payload of every "data:" line
+const readSSEData = async function* (body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = rawEvent
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+      if (data) yield data;
     }
+  }
+};
 
-    const passwordHash = await bcrypt.hash(password, 12);
-
-    const newUser = await pool.query(`
-      INSERT INTO users (email, password_hash, first_name, last_name, access_level, subscription_status)
-      VALUES ($1, $2, $3, $4, 'free', 'active')
-      RETURNING id, email, first_name, last_name, access_level, subscription_status, created_at
-    `, [email, passwordHash, firstName, lastName]);
+// Upstream client - per-feature timeouts, jittered retries and a circuit breaker per provider
+const UPSTREAM_TIMEOUTS = {
+  script: 120000,
+  hooks: 45000,
+  titles: 30000,
+  outline: 45000,
+  description: 45000,
+  tags: 30000,
+  thumbnail: 30000,
+  ctas: 30000,
+  revise: 90000,
+  voice: 60000,
+  series: 45000,
+  transcript: 90000
+};
 
-    const user = newUser.rows[0];
+const UPSTREAM_MAX_RETRIES = process.env.LLM_MAX_RETRIES !== undefined ? parseInt(process.env.LLM_MAX_RETRIES) : 2;
+const UPSTREAM_MAX_DELAY_MS = 30000;
+const BREAKER_FAILURE_THRESHOLD = parseInt(process.env.LLM_BREAKER_THRESHOLD) || 5;
+const BREAKER_COOLDOWN_MS = parseInt(process.env.LLM_BREAKER_COOLDOWN_MS) || 30000;
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+
+class UpstreamError extends Error {
+  constructor(message, { status = null, code = 'UPSTREAM_ERROR', retryAfter = null } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
 
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email, 
-        accessLevel: user.access_level,
-        firstName: user.first_name 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+const circuitBreakers = {};
 
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        accessLevel: user.access_level,
-        subscriptionStatus: user.subscription_status,
-        createdAt: user.created_at
-      }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed' });
+const getBreaker = (name) => {
+  if (!circuitBreakers[name]) {
+    circuitBreakers[name] = { state: 'closed', failures: 0, openedAt: null, trialInFlight: false };
   }
-});
+  return circuitBreakers[name];
+};
 
-app.post('/api/auth/login', authLimiter, async (req, res) => {
-  try {
-    const { email, password } = req.body;
+// Throws straight away while the breaker is open; after the cooldown one trial request is let through
+const acquireBreaker = (name) => {
+  const breaker = getBreaker(name);
+  if (breaker.state === 'closed') return;
 
-    const userResult = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
-    if (userResult.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+  const remainingMs = breaker.openedAt + BREAKER_COOLDOWN_MS - Date.now();
+  if (breaker.state === 'open' && remainingMs <= 0) {
+    breaker.state = 'half_open';
+  }
 
-    const user = userResult.rows[0];
-    const isValidPassword = await bcrypt.compare(password, user.password_hash);
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+  if (breaker.state === 'half_open' && !breaker.trialInFlight) {
+    breaker.trialInFlight = true;
+    return;
+  }
 
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email, 
-        accessLevel: user.access_level,
-        firstName: user.first_name 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+  throw new UpstreamError('The AI provider is temporarily unavailable. Please try again shortly.', {
+    status: 503,
+    code: 'UPSTREAM_UNAVAILABLE',
+    retryAfter: Math.max(1, Math.ceil(remainingMs / 1000))
+  });
+};
 
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        accessLevel: user.access_level,
-        subscriptionStatus: user.subscription_status,
-        preferredVoice: user.preferred_voice
-      }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+const recordBreakerSuccess = (name) => {
+  const breaker = getBreaker(name);
+  if (breaker.state !== 'closed') {
+    console.log(`✅ Circuit breaker for ${name} closed`);
   }
-});
+  Object.assign(breaker, { state: 'closed', failures: 0, openedAt: null, trialInFlight: false });
+};
 
-// User profile
-app.get('/api/user/profile', authenticateToken, async (req, res) => {
-  try {
-    const userProfile = await pool.query(`
-      SELECT 
-        u.*,
-        COALESCE(usage_stats.script_count, 0) as scripts_this_month,
-        COALESCE(usage_stats.hooks_count, 0) as hooks_this_month,
-        COALESCE(usage_stats.titles_count, 0) as titles_this_month,
-        q.*
-      FROM users u
-      LEFT JOIN (
-        SELECT 
-          user_id,
-          COUNT(CASE WHEN feature_type = 'script' AND success = true THEN 1 END) as script_count,
-          COUNT(CASE WHEN feature_type = 'hooks' AND success = true THEN 1 END) as hooks_count,
-          COUNT(CASE WHEN feature_type = 'titles' AND success = true THEN 1 END) as titles_count
-        FROM usage_logs 
-        WHERE created_at >= DATE_TRUNC('month', CURRENT_TIMESTAMP)
-        GROUP BY user_id
-      ) usage_stats ON u.id = usage_stats.user_id
-      LEFT JOIN usage_quotas q ON u.access_level = q.access_level
-      WHERE u.id = $1
-    `, [req.user.userId]);
+const recordBreakerFailure = (name) => {
+  const breaker = getBreaker(name);
+  breaker.failures += 1;
+  breaker.trialInFlight = false;
 
-    if (userProfile.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+  if (breaker.state === 'half_open' || breaker.failures >= BREAKER_FAILURE_THRESHOLD) {
+    if (breaker.state !== 'open') {
+      console.error(`❌ Circuit breaker for ${name} opened after ${breaker.failures} failures`);
     }
-
-    const userData = userProfile.rows[0];
-    
-    res.json({
-      user: {
-        id: userData.id,
-        email: userData.email,
-        firstName: userData.first_name,
-        lastName: userData.last_name,
-        accessLevel: userData.access_level,
-        subscriptionStatus: userData.subscription_status,
-        preferredVoice: userData.preferred_voice,
-        createdAt: userData.created_at
-      },
-      usage: {
-        script: parseInt(userData.scripts_this_month || 0),
-        hooks: parseInt(userData.hooks_this_month || 0),
-        titles: parseInt(userData.titles_this_month || 0)
-      },
-      quotas: {
-        monthly_script_limit: userData.monthly_script_limit,
-        monthly_hooks_limit: userData.monthly_hooks_limit,
-        monthly_titles_limit: userData.monthly_titles_limit,
-        features_enabled: userData.features_enabled
-      }
-    });
-  } catch (error) {
-    console.error('Profile fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch profile' });
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
   }
-});
-
-// Content generation endpoints
-app.post('/api/generate/script', authenticateToken, apiLimiter, generationLimiter, async (req, res) => {
-  const startTime = Date.now();
-  
-  try {
-    const { topic, audience, duration, tone, videoType, keywords, customPrompt, voicePreset } = req.body;
-    
-    const quotaCheck = await checkQuota(req.user.userId, 'script');
-    if (!quotaCheck.allowed) {
-      return res.status(429).json({ error: quotaCheck.reason });
-    }
-
-    const voicePrompt = await getVoicePrompt(voicePreset || 'default');
-    const voiceAdditions = getVoicePromptAdditions(voicePreset);
-    
-    const fullPrompt = `${voicePrompt}
+};
 
-${voiceAdditions}
+const releaseBreakerTrial = (name) => {
+  getBreaker(name).trialInFlight = false;
+};
 
-Create an EXTREMELY retentive script for a ${duration}-minute ${videoType} video about "${topic}" that guarantees viewers watch until the end.
+const getBreakerStatus = () => Object.fromEntries(
+  Object.entries(circuitBreakers).map(([name, breaker]) => [name, {
+    state: breaker.state,
+    consecutiveFailures: breaker.failures,
+    openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+    retryAt: breaker.state === 'open' ? new Date(breaker.openedAt + BREAKER_COOLDOWN_MS).toISOString() : null
+  }])
+);
+
+// retry-after is either delta-seconds or an HTTP date
+const parseRetryAfter = (header) => {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
 
-TARGET: ${audience} | TONE: ${tone} | KEYWORDS: ${keywords || 'N/A'}
-${customPrompt ? `SPECIAL INSTRUCTIONS: ${customPrompt}` : ''}
+const retryDelay = (attempt, retryAfterMs) => {
+  if (retryAfterMs !== null && retryAfterMs !== undefined) {
+    return Math.min(retryAfterMs, UPSTREAM_MAX_DELAY_MS);
+  }
+  const ceiling = Math.min(UPSTREAM_MAX_DELAY_MS, 500 * 2 ** attempt);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+};
 
-RETENTION SYSTEM REQUIREMENTS:
-- Hook must create immediate curiosity gap within 3 seconds
-- Use pattern interrupts every 30-45 seconds to reset attention
-- Include retention loops ("I'll show you this in just a minute...")
-- Build tension and promise resolution throughout
-- Use power words and emotional triggers
-- Appeal to casual, core, and new viewers simultaneously
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// `read` consumes the response inside the timeout; a stream sets attempt.committed once it has
+// emitted text, after which the request is never retried
+const upstreamRequest = async (providerName, feature, url, init, read, { signal } = {}) => {
+  acquireBreaker(providerName);
+  const timeoutMs = parseInt(process.env[`LLM_TIMEOUT_MS_${feature.toUpperCase()}`]) || UPSTREAM_TIMEOUTS[feature] || 60000;
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const onCallerAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onCallerAbort, { once: true });
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const attemptState = { committed: false };
+    let retryable = false;
+    let retryAfterMs = null;
+
+    try {
+      let response;
+      try {
+        response = await fetch(url, { ...init, signal: controller.signal });
+      } catch (error) {
+        retryable = true;
+        throw error;
+      }
 
-SCRIPT STRUCTURE WITH RETENTION TACTICS:
+      if (!response.ok) {
+        retryable = RETRYABLE_STATUSES.includes(response.status);
+        retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        throw new UpstreamError(`API request failed: ${response.status}`, { status: response.status });
+      }
 
-🎯 HOOK (0-15 seconds) - CRITICAL FOR CTR & RETENTION:
-- Open with bold statement, shocking statistic, or curiosity gap
-- NO introductions yet - dive straight into value
-- Create immediate "what happens next?" feeling
-- Promise specific, tangible outcome
+      const result = await read(response, attemptState);
+      recordBreakerSuccess(providerName);
+      return result;
 
-🔥 INTRO (15-45 seconds) - COMMIT VIEWERS:
-- Quick personal introduction (credibility)
-- Restate the promise with more specificity  
-- Preview what's coming ("By the end of this video, you'll know exactly how to...")
-- Set expectations and create anticipation
+    } catch (error) {
+      if (signal && signal.aborted) {
+        releaseBreakerTrial(providerName);
+        throw error;
+      }
 
-📖 MAIN CONTENT - RETENTION OPTIMIZED:
-Break into 3-4 segments with:
-- Cliffhangers between sections
-- "But here's what's really interesting..." transitions
-- Story loops that get resolved later
-- Specific examples and case studies
-- "And this next part is crucial..." retention phrases
-- Pattern interrupts every 30-45 seconds
-- Callbacks to earlier points
+      const timedOut = controller.signal.aborted;
+      if (timedOut) retryable = true;
 
-💡 REVELATION SECTION (70% through):
-- Deliver on main promise
-- Include "aha moment" 
-- Provide specific, actionable steps
-- Use "But wait, there's more..." technique
+      if (!retryable) {
+        // The provider answered, so it is up - a 4xx or parse error is not an outage
+        recordBreakerSuccess(providerName);
+        throw error;
+      }
 
-🚀 CONCLUSION & CTA (Final 15%):
-- Summarize key takeaways
-- Strong call to action for subscription
-- Tease next video content
-- End with hook for next video
+      if (!attemptState.committed && attempt < UPSTREAM_MAX_RETRIES) {
+        const delay = retryDelay(attempt, retryAfterMs);
+        console.warn(`Upstream ${providerName} ${feature} attempt ${attempt + 1} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+        clearTimeout(timer);
+        await sleep(delay);
+        if (signal && signal.aborted) {
+          releaseBreakerTrial(providerName);
+          throw error;
+        }
+        continue;
+      }
 
-RETENTION TECHNIQUES TO INCLUDE:
-- Open loops: "I'll explain why this matters in just a moment..."
-- Pattern interrupts: "But first, let me tell you about..."
-- Curiosity gaps: "The real secret is something most people never realize..."
-- Social proof: "This helped [specific person] achieve [specific result]..."
-- Urgency: "If you don't do this, you'll miss out on..."
-- Personal stakes: "When I first discovered this..."
+      recordBreakerFailure(providerName);
+      if (timedOut) {
+        throw new UpstreamError(`The AI provider did not respond within ${Math.ceil(timeoutMs / 1000)} seconds`, {
+          status: 504,
+          code: 'UPSTREAM_TIMEOUT'
+        });
+      }
+      throw error instanceof UpstreamError ? error : new UpstreamError(`API request failed: ${error.message}`);
 
-Make this script so engaging that viewers literally cannot stop watching. Every sentence should pull them deeper into the content. Word count: approximately ${parseInt(duration.split('-')[0]) * 150} words.
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onCallerAbort);
+    }
+  }
+};
 
-Act as if you're creating a script that MUST get millions of views and 90%+ retention rate.`;
+const anthropicProvider = {
+  name: 'anthropic',
+  defaultModel: 'claude-sonnet-4-20250514',
+  advancedModel: 'claude-opus-4-20250514',
+  isConfigured: () => Boolean(process.env.ANTHROPIC_API_KEY),
 
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
+  buildRequest: (model, maxTokens, prompt, stream) => ({
+    url: "https://api.anthropic.com/v1/messages",
+    init: {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
         "x-api-key": process.env.ANTHROPIC_API_KEY,
+        "anthropic-version": "2023-06-01"
       },
       body: JSON.stringify({
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 2000,
-        messages: [{ role: "user", content: fullPrompt }]
+        model,
+        max_tokens: maxTokens,
+        stream,
+        messages: [{ role: "user", content: prompt }]
       })
-    });
-
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status}`);
     }
+  }),
+
+  complete({ feature, model, maxTokens, prompt, signal }) {
+    const { url, init } = this.buildRequest(model, maxTokens, prompt, false);
+
+    return upstreamRequest(this.name, feature, url, init, async (response) => {
+      const data = await response.json();
+      return {
+        text: data.content[0].text,
+        usage: {
+          inputTokens: data.usage ? data.usage.input_tokens : 0,
+          outputTokens: data.usage ? data.usage.output_tokens : 0
+        }
+      };
+    }, { signal });
+  },
+
+  stream({ feature, model, maxTokens, prompt, signal }, onText) {
+    const { url, init } = this.buildRequest(model, maxTokens, prompt, true);
+
+    return upstreamRequest(this.name, feature, url, init, async (response, attempt) => {
+      let text = '';
+      const usage = { inputTokens: 0, outputTokens: 0 };
+
+      for await (const data of readSSEData(response.body)) {
+        const event = JSON.parse(data);
+        if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta') {
+          attempt.committed = true;
+          text += event.delta.text;
+          onText(event.delta.text);
+        } else if (event.type === 'message_start' && event.message && event.message.usage) {
+          usage.inputTokens = event.message.usage.input_tokens || 0;
+        } else if (event.type === 'message_delta' && event.usage) {
+          usage.outputTokens = event.usage.output_tokens || 0;
+        } else if (event.type === 'error') {
+          throw new UpstreamError(`API stream error: ${event.error ? event.error.message : 'unknown'}`);
+        }
+      }
 
-    const data = await response.json();
-    const scriptContent = data.content[0].text;
-    
-    const processingTime = Date.now() - startTime;
-    const words = scriptContent.trim().split(/\s+/).length;
-    const estimatedDuration = Math.round((words / 150) * 100) / 100;
-    
-    await logUsage(req.user.userId, 'script', true, processingTime, words, null, 
-      { topic, audience, duration, tone, videoType, voicePreset });
-
-    res.json({
-      script: scriptContent,
-      stats: { words, estimatedDuration, processingTime }
-    });
-
-  } catch (error) {
-    const processingTime = Date.now() - startTime;
-    console.error('Script generation error:', error);
-    await logUsage(req.user.userId, 'script', false, processingTime, 0, error.message, 
-      { topic, audience, duration, tone, videoType, voicePreset });
-    res.status(500).json({ error: 'Script generation failed' });
+      return { text, usage };
+    }, { signal });
   }
-});
+};
 
-app.post('/api/generate/hooks', authenticateToken, apiLimiter, generationLimiter, async (req, res) => {
-  try {
-    const { topic, audience, videoType, tone, voicePreset } = req.body;
-    
-    const quotaCheck = await checkQuota(req.user.userId, 'hooks');
-    if (!quotaCheck.allowed) {
-      return res.status(429).json({ error: quotaCheck.reason });
+// Any server speaking the OpenAI chat completions API (OpenAI, Azure proxies, vLLM, Ollama, ...)
+const openaiProvider = {
+  name: 'openai',
+  defaultModel: 'gpt-4o-mini',
+  advancedModel: 'gpt-4o',
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL),
+
+  buildRequest: (model, maxTokens, prompt, stream) => {
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+    const headers = { "Content-Type": "application/json" };
+    if (process.env.OPENAI_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
     }
 
-    const voicePrompt = await getVoicePrompt(voicePreset || 'default');
-    const voiceAdditions = getVoicePromptAdditions(voicePreset);
-    
-    const prompt = `${voicePrompt}
+    return {
+      url: `${baseUrl}/chat/completions`,
+      init: {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          model,
+          max_tokens: maxTokens,
+          stream,
+          ...(stream ? { stream_options: { include_usage: true } } : {}),
+          messages: [{ role: "user", content: prompt }]
+        })
+      }
+    };
+  },
+
+  complete({ feature, model, maxTokens, prompt, signal }) {
+    const { url, init } = this.buildRequest(model, maxTokens, prompt, false);
+
+    return upstreamRequest(this.name, feature, url, init, async (response) => {
+      const data = await response.json();
+      return {
+        text: data.choices[0].message.content || '',
+        usage: {
+          inputTokens: data.usage ? data.usage.prompt_tokens : 0,
+          outputTokens: data.usage ? data.usage.completion_tokens : 0
+        }
+      };
+    }, { signal });
+  },
+
+  stream({ feature, model, maxTokens, prompt, signal }, onText) {
+    const { url, init } = this.buildRequest(model, maxTokens, prompt, true);
+
+    return upstreamRequest(this.name, feature, url, init, async (response, attempt) => {
+      let text = '';
+      const usage = { inputTokens: 0, outputTokens: 0 };
+
+      for await (const data of readSSEData(response.body)) {
+        if (data === '[DONE]') break;
+
+        const chunk = JSON.parse(data);
+        const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+        if (delta && delta.content) {
+          attempt.committed = true;
+          text += delta.content;
+          onText(delta.content);
+        }
+        if (chunk.usage) {
+          usage.inputTokens = chunk.usage.prompt_tokens || 0;
+          usage.outputTokens = chunk.usage.completion_tokens || 0;
+        }
+      }
 
-${voiceAdditions}
+      return { text, usage };
+    }, { signal });
+  }
+};
 
-Create 8 ULTRA-RETENTIVE YouTube hooks for "${topic}" that guarantee viewers can't stop watching.
+// Deterministic offline provider for local demos and integration tests (LLM_PROVIDER=mock)
+const hashString = (value) => {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) - hash + value.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+};
 
-AUDIENCE: ${audience} | TYPE: ${videoType} | TONE: ${tone}
+const mockSubject = (prompt) => {
+  const quoted = prompt.match(/"([^"\n]{2,120})"/);
+  return quoted ? quoted[1] : 'this topic';
+};
 
-HOOK REQUIREMENTS - EACH MUST:
-- Create immediate curiosity gap within 3 seconds
-- Appeal to casual, core, AND new viewers
+const MOCK_RESPONSES = {
+  script: (subject, seed) => [
+    'HOOK',
+    `Most people get ${subject} completely wrong, and by the end of this video you will know exactly why. (take ${seed})`,
+    '',
+    'INTRO',
+    `I have spent years working on ${subject}, and today I am going to walk you through the three ideas that changed everything for me.`,
+    '',
+    'MAIN CONTENT',
+    `First, the foundation of ${subject} is simpler than it looks. But here is what is really interesting.`,
+    `Second, the common advice about ${subject} skips the most important step. And this next part is crucial.`,
+    `Third, small consistent changes to ${subject} compound faster than big one-off efforts.`,
+    '',
+    'REVELATION',
+    `The real secret of ${subject} is that the system matters more than the motivation. Here are the exact steps.`,
+    '',
+    'CONCLUSION',
+    `So that is ${subject} in a nutshell. Subscribe, and in the next video I will show you what to do after this.`
+  ].join('\n'),
+  hooks: (subject) => JSON.stringify([
+    { type: 'SHOCKING REVELATION', text: `Everything you were told about ${subject} is backwards.`, psychology: 'Counterintuitive claims open a curiosity gap.' },
+    { type: 'CURIOSITY GAP', text: `There is one thing about ${subject} almost nobody notices.`, psychology: 'Promising hidden knowledge keeps viewers watching.' },
+    { type: 'PERSONAL STAKES', text: `If you ignore this about ${subject}, you are leaving results on the table.`, psychology: 'Loss aversion drives attention.' },
+    { type: 'SPECIFIC OUTCOME', text: `By the end of this video you will have a working plan for ${subject}.`, psychology: 'A concrete payoff sets expectations.' }
+  ]),
+  titles: (subject) => JSON.stringify([
+    `The Truth About ${subject} Nobody Tells You`,
+    `${subject}: 3 Mistakes to Avoid`,
+    `How I Fixed ${subject} in 30 Days`,
+    `Why ${subject} Is Easier Than You Think`
+  ]),
+  outline: () => JSON.stringify({
+    sections: [
+      { title: 'HOOK', timestamp: '0:00-0:15', points: ['Bold opening claim', 'Promise the payoff'] },
+      { title: 'INTRO', timestamp: '0:15-0:45', points: ['Credibility', 'Preview of the three ideas'] },
+      { title: 'MAIN CONTENT', timestamp: '0:45-7:00', points: ['Idea one', 'Idea two', 'Idea three'] },
+      { title: 'REVELATION', timestamp: '7:00-8:30', points: ['Core insight', 'Action steps'] },
+      { title: 'CONCLUSION', timestamp: '8:30-10:00', points: ['Recap', 'Subscribe and next video tease'] }
+    ]
+  }),
+  description: (subject) => JSON.stringify({
+    description: `Everything you need to know about ${subject}.\nIn this video we break it down step by step.\n\n- The foundation\n- The common mistake\n- The system that works\n\nSubscribe for more.\n#youtube #${subject.replace(/[^a-z0-9]/gi, '').toLowerCase() || 'video'}`
+  }),
+  tags: (subject) => JSON.stringify([subject, `${subject} tips`, `${subject} for beginners`, `how to ${subject}`, `${subject} mistakes`]),
+  thumbnail: () => JSON.stringify(['STOP DOING THIS', 'THE REAL SECRET', '3 SIMPLE STEPS', 'I WAS WRONG']),
+  revise: (subject, seed, prompt) => {
+    const heading = prompt.match(/Keep its heading line exactly as "([^"\n]*)"/);
+    if (heading) {
+      return `${heading[1]}\nHere is the revised take on this part of ${subject}, tighter and punchier than before. (revision ${seed})`;
+    }
+    return MOCK_RESPONSES.script(subject, seed).replace('HOOK\n', 'HOOK\n(Revised) ');
+  },
+  voice: () => JSON.stringify({
+    systemPrompt: 'You are a warm, direct YouTube educator who explains ideas through personal stories and practical next steps.',
+    styleBullets: [
+      'Open with a short personal story before the main point',
+      'Speak directly to the viewer with "you" and "I"',
+      'Keep sentences short and punchy, with one idea each',
+      'Close every section with a concrete action step'
+    ],
+    profile: {
+      tone: 'Warm and direct',
+      pacing: 'Fast openings, slower explanations',
+      vocabulary: 'Plain, everyday language',
+      structure: 'Story, lesson, action step',
+      signaturePhrases: ['Here is the thing', 'Let me show you']
+    }
+  }),
+  ctas: (subject) => JSON.stringify([
+    { placement: 'early', text: `If ${subject} matters to you, subscribe now so you do not miss part two.` },
+    { placement: 'mid-roll', text: 'Tell me in the comments which of these you have tried.' },
+    { placement: 'end-screen', text: 'Watch this next video to put it into practice.' },
+    { placement: 'pinned-comment', text: 'Which tip are you trying first? Reply below.' }
+  ]),
+  transcript: (subject) => JSON.stringify({
+    summary: `The video walks through ${subject}, starting from a common misconception and ending with a step-by-step system viewers can copy.`,
+    keyPoints: [
+      `Most beginners approach ${subject} in the wrong order`,
+      'Small daily habits matter more than one big push',
+      'Tracking results makes the system stick',
+      'A simple checklist removes decision fatigue'
+    ],
+    retentionStructure: [
+      { section: 'HOOK', start: '0:00', end: '0:15', technique: 'Counterintuitive claim', notes: 'Opens by calling the usual advice wrong' },
+      { section: 'INTRO', start: '0:15', end: '0:50', technique: 'Promise and preview', notes: 'Lists the three steps to come' },
+      { section: 'MAIN CONTENT', start: '0:50', end: '6:30', technique: 'Open loops', notes: 'Each step teases the next' },
+      { section: 'CONCLUSION', start: '6:30', end: '8:00', technique: 'Recap and next-video tease', notes: 'Ends on a question for the comments' }
+    ]
+  }),
+  series: (subject, seed, prompt) => {
+    const count = parseInt((prompt.match(/exactly (\d+) episodes/) || [])[1]) || 3;
+    const angles = ['the basics', 'common mistakes', 'the system that works', 'advanced tactics', 'real examples', 'what comes next'];
+    return JSON.stringify({
+      episodes: Array.from({ length: count }, (_, index) => {
+        const angle = angles[index % angles.length];
+        return {
+          topic: `${subject}: ${angle}`,
+          title: `${subject} Part ${index + 1}: ${angle.replace(/\b\w/g, letter => letter.toUpperCase())}`,
+          hook: `In part ${index + 1} we tackle ${angle} of ${subject}, and it changes everything.`
+        };
+      })
+    });
+  }
+};
+
+const mockProvider = {
+  name: 'mock',
+  defaultModel: 'mock-1',
+  advancedModel: 'mock-1-advanced',
+  isConfigured: () => true,
+
+  async complete({ feature, prompt }) {
+    const build = MOCK_RESPONSES[feature] || MOCK_RESPONSES.script;
+    const text = build(mockSubject(prompt), hashString(prompt) % 1000, prompt);
+    return {
+      text,
+      usage: {
+        inputTokens: Math.ceil(prompt.length / 4),
+        outputTokens: Math.ceil(text.length / 4)
+      }
+    };
+  },
+
+  async stream(options, onText) {
+    const result = await this.complete(options);
+    for (const piece of result.text.match(/\S+\s*/g) || []) {
+      if (options.signal && options.signal.aborted) {
+        throw new Error('Request aborted');
+      }
+      onText(piece);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return result;
+  }
+};
+
+const LLM_PROVIDERS = {
+  anthropic: anthropicProvider,
+  openai: openaiProvider,
+  mock: mockProvider
+};
+
+const getProvider = () => {
+  const provider = LLM_PROVIDERS[LLM_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${LLM_PROVIDER}"`);
+  }
+  return provider;
+};
+
+// Model tiers a plan can unlock (usage_quotas.model_tiers); requests pick one with `modelTier`
+const MODEL_TIERS = ['standard', 'advanced'];
+
+// Model per feature: LLM_MODEL_<FEATURE> overrides LLM_MODEL, which overrides the provider default.
+// The advanced tier reads LLM_MODEL_<FEATURE>_ADVANCED and LLM_MODEL_ADVANCED the same way.
+const getModelConfig = (feature, modelTier = 'standard') => {
+  const provider = getProvider();
+  const envKey = feature.toUpperCase();
+  const model = modelTier === 'advanced'
+    ? process.env[`LLM_MODEL_${envKey}_ADVANCED`] || process.env.LLM_MODEL_ADVANCED || provider.advancedModel
+    : process.env[`LLM_MODEL_${envKey}`] || process.env.LLM_MODEL || provider.defaultModel;
+  return {
+    provider,
+    model,
+    maxTokens: parseInt(process.env[`LLM_MAX_TOKENS_${envKey}`]) || FEATURE_MAX_TOKENS[feature] || 1000
+  };
+};
+
+// USD per million tokens. Keys match a model id exactly or as a prefix, so dated snapshots such as
+// claude-sonnet-4-20250514 use the claude-sonnet-4 price. LLM_PRICES (JSON, same shape) adds or
+// overrides entries, e.g. {"my-model": {"input": 1, "output": 2}}.
+const DEFAULT_LLM_PRICES = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'mock-1': { input: 0, output: 0 }
+};
+
+const loadPriceTable = () => {
+  try {
+    return { ...DEFAULT_LLM_PRICES, ...JSON.parse(process.env.LLM_PRICES || '{}') };
+  } catch (error) {
+    console.error('Invalid LLM_PRICES, using default prices:', error.message);
+    return DEFAULT_LLM_PRICES;
+  }
+};
+
+const LLM_PRICES = loadPriceTable();
+const unpricedModels = new Set();
+
+const findModelPrice = (model) => {
+  if (!model) return null;
+  if (LLM_PRICES[model]) return LLM_PRICES[model];
+  const prefix = Object.keys(LLM_PRICES)
+    .filter(key => model.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? LLM_PRICES[prefix] : null;
+};
+
+// Null when the model has no price, so reports can tell unknown cost apart from free
+const estimateCost = (model, inputTokens, outputTokens) => {
+  const price = findModelPrice(model);
+  if (!price) {
+    if (!unpricedModels.has(model)) {
+      unpricedModels.add(model);
+      console.warn(`No price configured for model ${model}; add it to LLM_PRICES to track its cost`);
+    }
+    return null;
+  }
+  return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+};
+
+// Collects token usage and cost across every upstream call made for one request, repair
+// calls included. Generators take it as `meter` and hand it to generateText/streamText.
+// Pass the request's workspace so the usage is logged against the workspace pool.
+const createUsageMeter = (workspace = null) => ({
+  inputTokens: 0,
+  outputTokens: 0,
+  costUsd: null,
+  calls: 0,
+  model: null,
+  provider: null,
+  workspaceId: workspace ? workspace.id : null
+});
+
+const recordUsage = (meter, { usage = {}, model, provider }) => {
+  if (!meter) return;
+  const inputTokens = usage.inputTokens || 0;
+  const outputTokens = usage.outputTokens || 0;
+  const cost = estimateCost(model, inputTokens, outputTokens);
+
+  meter.inputTokens += inputTokens;
+  meter.outputTokens += outputTokens;
+  meter.calls += 1;
+  meter.model = model;
+  meter.provider = provider;
+  if (cost !== null) meter.costUsd = (meter.costUsd || 0) + cost;
+};
+
+const generateText = async (feature, prompt, { signal, modelTier, meter } = {}) => {
+  const { provider, model, maxTokens } = getModelConfig(feature, modelTier);
+  const result = await provider.complete({ feature, model, maxTokens, prompt, signal });
+  recordUsage(meter, { usage: result.usage, model, provider: provider.name });
+  return { ...result, model, provider: provider.name };
+};
+
+const streamText = async (feature, prompt, onText, { signal, modelTier, meter } = {}) => {
+  const { provider, model, maxTokens } = getModelConfig(feature, modelTier);
+  const result = await provider.stream({ feature, model, maxTokens, prompt, signal }, onText);
+  recordUsage(meter, { usage: result.usage, model, provider: provider.name });
+  return { ...result, model, provider: provider.name };
+};
+
+const sendSSE = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Structured output - JSON is pulled from anywhere in the response and checked against a schema
+class StructuredOutputError extends Error {
+  constructor(feature, detail) {
+    super(`${feature} generation returned malformed output`);
+    this.name = 'StructuredOutputError';
+    this.code = 'INVALID_MODEL_OUTPUT';
+    this.feature = feature;
+    this.detail = detail;
+  }
+}
+
+// Index of the bracket closing the JSON value opened at `start`, or -1
+const findJSONEnd = (text, start) => {
+  const stack = [];
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '[' || char === '{') stack.push(char === '[' ? ']' : '}');
+    else if (char === ']' || char === '}') {
+      if (stack.pop() !== char) return -1;
+      if (stack.length === 0) return i;
+    }
+  }
+
+  return -1;
+};
+
+// Yields every JSON object or array in the response, outer values before nested ones
+const extractJSONCandidates = function* (text) {
+  const cleaned = text.trim().replace(/```(?:json)?[ \t]*\n?/gi, '');
+
+  for (let start = 0; start < cleaned.length; start++) {
+    if (cleaned[start] !== '[' && cleaned[start] !== '{') continue;
+
+    const end = findJSONEnd(cleaned, start);
+    if (end === -1) continue;
+
+    try {
+      yield JSON.parse(cleaned.slice(start, end + 1));
+    } catch (error) {
+      // Not valid JSON after all - keep scanning
+    }
+  }
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const toStringList = (value) => {
+  if (!Array.isArray(value)) return [];
+  const seen = new Set();
+  return value
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim())
+    .filter(item => {
+      const key = item.toLowerCase();
+      if (!item || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+const requireStringArray = (data, label) => {
+  if (!Array.isArray(data)) throw new Error(`Expected an array of ${label}`);
+  const invalid = data.findIndex(item => !isNonEmptyString(item));
+  if (invalid !== -1) throw new Error(`Item ${invalid} is not a non-empty string`);
+  const list = toStringList(data);
+  if (list.length === 0) throw new Error(`Response contained no ${label}`);
+  return list;
+};
+
+// Expected shape per feature - `shape` is shown to the model when asking for a repair
+const OUTPUT_SCHEMAS = {
+  hooks: {
+    shape: '[{"type": "Hook Category", "text": "Exact hook text", "psychology": "Why this works"}]',
+    validate: (data) => {
+      if (!Array.isArray(data) || data.length === 0) throw new Error('Expected a non-empty array of hooks');
+      return data.map((hook, index) => {
+        const missing = ['type', 'text', 'psychology'].filter(field => !hook || !isNonEmptyString(hook[field]));
+        if (missing.length > 0) throw new Error(`Hook ${index} is missing ${missing.join(', ')}`);
+        return { type: hook.type.trim(), text: hook.text.trim(), psychology: hook.psychology.trim() };
+      });
+    }
+  },
+  titles: {
+    shape: '["Title one", "Title two"]',
+    validate: (data) => requireStringArray(data, 'titles')
+  },
+  outline: {
+    shape: '{"sections": [{"title": "Section name", "timestamp": "0:00-0:15", "points": ["Talking point"]}]}',
+    validate: (data) => {
+      if (!data || !Array.isArray(data.sections)) throw new Error('Expected an object with a sections array');
+      const sections = data.sections
+        .filter(section => section && isNonEmptyString(section.title))
+        .map(section => ({
+          title: section.title.trim(),
+          timestamp: typeof section.timestamp === 'string' ? section.timestamp.trim() : '',
+          points: toStringList(section.points)
+        }));
+      if (sections.length === 0) throw new Error('Outline contained no sections');
+      return sections;
+    }
+  },
+  description: {
+    shape: '{"description": "Full description text"}',
+    validate: (data) => {
+      if (!data || !isNonEmptyString(data.description)) throw new Error('Expected an object with a description string');
+      return data.description.trim();
+    }
+  },
+  tags: {
+    shape: '["tag one", "tag two"]',
+    validate: (data) => requireStringArray(data, 'tags')
+  },
+  thumbnail: {
+    shape: '["TEXT ONE", "TEXT TWO"]',
+    validate: (data) => requireStringArray(data, 'thumbnail text options')
+  },
+  ctas: {
+    shape: '[{"placement": "early | mid-roll | end-screen | pinned-comment", "text": "Exact CTA text"}]',
+    validate: (data) => {
+      if (!Array.isArray(data)) throw new Error('Expected an array of calls to action');
+      const callToActions = data
+        .filter(cta => cta && isNonEmptyString(cta.text))
+        .map(cta => ({
+          placement: isNonEmptyString(cta.placement) ? cta.placement.trim() : 'general',
+          text: cta.text.trim()
+        }));
+      if (callToActions.length === 0) throw new Error('Response contained no calls to action');
+      return callToActions;
+    }
+  },
+  voice: {
+    shape: '{"systemPrompt": "One paragraph describing the creator", "styleBullets": ["Style rule"], "profile": {"tone": "", "pacing": "", "vocabulary": "", "structure": "", "signaturePhrases": ["Phrase"]}}',
+    validate: (data) => {
+      if (!data || !isNonEmptyString(data.systemPrompt)) throw new Error('Expected an object with a systemPrompt string');
+      const styleBullets = requireStringArray(data.styleBullets, 'style bullets');
+      const profile = data.profile && typeof data.profile === 'object' && !Array.isArray(data.profile) ? data.profile : {};
+      return { systemPrompt: data.systemPrompt.trim(), styleBullets, profile };
+    }
+  },
+  transcript: {
+    shape: '{"summary": "What the video covers", "keyPoints": ["Key point"], "retentionStructure": [{"section": "HOOK", "start": "0:00", "end": "0:15", "technique": "Retention technique", "notes": "How it is used"}]}',
+    validate: (data) => {
+      if (!data || !isNonEmptyString(data.summary)) throw new Error('Expected an object with a summary string');
+      const keyPoints = requireStringArray(data.keyPoints, 'key points');
+      if (!Array.isArray(data.retentionStructure)) throw new Error('Expected a retentionStructure array');
+      const retentionStructure = data.retentionStructure
+        .filter(section => section && isNonEmptyString(section.section) && isNonEmptyString(section.technique))
+        .map(section => ({
+          section: section.section.trim(),
+          start: isNonEmptyString(section.start) ? section.start.trim() : null,
+          end: isNonEmptyString(section.end) ? section.end.trim() : null,
+          technique: section.technique.trim(),
+          notes: isNonEmptyString(section.notes) ? section.notes.trim() : ''
+        }));
+      if (retentionStructure.length === 0) throw new Error('Retention structure contained no sections');
+      return { summary: data.summary.trim(), keyPoints, retentionStructure };
+    }
+  },
+  series: {
+    shape: '{"episodes": [{"topic": "Specific episode topic", "title": "Working title", "hook": "Opening line"}]}',
+    validate: (data) => {
+      if (!data || !Array.isArray(data.episodes)) throw new Error('Expected an object with an episodes array');
+      const episodes = data.episodes
+        .filter(episode => episode && ['topic', 'title', 'hook'].every(field => isNonEmptyString(episode[field])))
+        .map(episode => ({ topic: episode.topic.trim(), title: episode.title.trim(), hook: episode.hook.trim() }));
+      if (episodes.length === 0) throw new Error('Series plan contained no complete episodes');
+      return episodes;
+    }
+  }
+};
+
+// First JSON value in the response that passes the feature's schema
+const parseStructured = (feature, text) => {
+  let lastError = new Error('No JSON value found in response');
+
+  for (const candidate of extractJSONCandidates(text)) {
+    try {
+      return OUTPUT_SCHEMAS[feature].validate(candidate);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+};
+
+// Generates, validates, and on malformed output asks the model once to repair its answer
+const generateStructured = async (feature, prompt, options = {}) => {
+  const { shape } = OUTPUT_SCHEMAS[feature];
+  const first = await generateText(feature, prompt, options);
+
+  try {
+    return parseStructured(feature, first.text);
+  } catch (error) {
+    console.warn(`Malformed ${feature} output, requesting repair:`, error.message);
+
+    const repairPrompt = `Your previous response could not be used because: ${error.message}
+
+Return ONLY valid JSON with exactly this shape, with no commentary and no code fences:
+${shape}
+
+PREVIOUS RESPONSE:
+${first.text.slice(0, 8000)}`;
+
+    const repaired = await generateText(feature, repairPrompt, options);
+    try {
+      return parseStructured(feature, repaired.text);
+    } catch (repairError) {
+      throw new StructuredOutputError(feature, repairError.message);
+    }
+  }
+};
+
+// Errors with one of these codes carry a message that is safe to show the user
+const GENERATION_ERROR_STATUS = {
+  INVALID_MODEL_OUTPUT: 502,
+  UPSTREAM_UNAVAILABLE: 503,
+  UPSTREAM_TIMEOUT: 504
+};
+
+const describeGenerationError = (error, fallbackMessage) => {
+  if (!GENERATION_ERROR_STATUS[error.code]) {
+    return { status: 500, body: { error: fallbackMessage } };
+  }
+  return {
+    status: GENERATION_ERROR_STATUS[error.code],
+    body: { error: error.message, code: error.code, ...(error.detail ? { detail: error.detail } : {}) }
+  };
+};
+
+const sendGenerationError = (res, error, fallbackMessage) => {
+  const { status, body } = describeGenerationError(error, fallbackMessage);
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(status).json(body);
+};
+
+// Speaking rate behind estimatedDuration, target word counts and subtitle timing
+const WORDS_PER_MINUTE = 150;
+
+const countWords = (text) => text.trim().split(/\s+/).filter(Boolean).length;
+
+const buildScriptStats = (scriptContent) => {
+  const words = countWords(scriptContent);
+  const estimatedDuration = Math.round((words / WORDS_PER_MINUTE) * 100) / 100;
+  return { words, estimatedDuration };
+};
+
+const buildScriptPrompt = async ({ topic, audience, duration, tone, videoType, keywords, customPrompt, voicePreset, userId, reference }) => {
+  const voiceContext = await buildVoiceContext(voicePreset, userId);
+  const targetWords = (parseInt(String(duration || '10').split('-')[0]) || 10) * WORDS_PER_MINUTE;
+
+  return `${voiceContext}
+
+Create an EXTREMELY retentive script for a ${duration}-minute ${videoType} video about "${topic}" that guarantees viewers watch until the end.
+
+TARGET: ${audience} | TONE: ${tone} | KEYWORDS: ${keywords || 'N/A'}
+${customPrompt ? `SPECIAL INSTRUCTIONS: ${customPrompt}` : ''}
+${reference ? `\n${buildReferenceContext(reference)}\n` : ''}
+
+RETENTION SYSTEM REQUIREMENTS:
+- Hook must create immediate curiosity gap within 3 seconds
+- Use pattern interrupts every 30-45 seconds to reset attention
+- Include retention loops ("I'll show you this in just a minute...")
+- Build tension and promise resolution throughout
+- Use power words and emotional triggers
+- Appeal to casual, core, and new viewers simultaneously
+
+SCRIPT STRUCTURE WITH RETENTION TACTICS:
+
+🎯 HOOK (0-15 seconds) - CRITICAL FOR CTR & RETENTION:
+- Open with bold statement, shocking statistic, or curiosity gap
+- NO introductions yet - dive straight into value
+- Create immediate "what happens next?" feeling
+- Promise specific, tangible outcome
+
+🔥 INTRO (15-45 seconds) - COMMIT VIEWERS:
+- Quick personal introduction (credibility)
+- Restate the promise with more specificity  
+- Preview what's coming ("By the end of this video, you'll know exactly how to...")
+- Set expectations and create anticipation
+
+📖 MAIN CONTENT - RETENTION OPTIMIZED:
+Break into 3-4 segments with:
+- Cliffhangers between sections
+- "But here's what's really interesting..." transitions
+- Story loops that get resolved later
+- Specific examples and case studies
+- "And this next part is crucial..." retention phrases
+- Pattern interrupts every 30-45 seconds
+- Callbacks to earlier points
+
+💡 REVELATION SECTION (70% through):
+- Deliver on main promise
+- Include "aha moment" 
+- Provide specific, actionable steps
+- Use "But wait, there's more..." technique
+
+🚀 CONCLUSION & CTA (Final 15%):
+- Summarize key takeaways
+- Strong call to action for subscription
+- Tease next video content
+- End with hook for next video
+
+RETENTION TECHNIQUES TO INCLUDE:
+- Open loops: "I'll explain why this matters in just a moment..."
+- Pattern interrupts: "But first, let me tell you about..."
+- Curiosity gaps: "The real secret is something most people never realize..."
+- Social proof: "This helped [specific person] achieve [specific result]..."
+- Urgency: "If you don't do this, you'll miss out on..."
+- Personal stakes: "When I first discovered this..."
+
+Make this script so engaging that viewers literally cannot stop watching. Every sentence should pull them deeper into the content. Word count: approximately ${targetWords} words.
+
+Act as if you're creating a script that MUST get millions of views and 90%+ retention rate.`;
+};
+
+// Package asset generators - each returns data shaped like its saved_scripts column
+const generateScript = async (params) => {
+  const fullPrompt = await buildScriptPrompt(params);
+  const { text: scriptContent } = await generateText('script', fullPrompt, { modelTier: params.modelTier, meter: params.meter });
+  return { script: scriptContent, stats: buildScriptStats(scriptContent) };
+};
+
+const generateHooks = async ({ topic, audience, videoType, tone, voicePreset, userId, modelTier, meter }) => {
+  const voiceContext = await buildVoiceContext(voicePreset, userId);
+
+  const prompt = `${voiceContext}
+
+Create 8 ULTRA-RETENTIVE YouTube hooks for "${topic}" that guarantee viewers can't stop watching.
+
+AUDIENCE: ${audience} | TYPE: ${videoType} | TONE: ${tone}
+
+HOOK REQUIREMENTS - EACH MUST:
+- Create immediate curiosity gap within 3 seconds
+- Appeal to casual, core, AND new viewers
 - Promise specific, tangible value
 - Use psychological triggers (fear, greed, curiosity, urgency)
 - NO introductions - straight to value
@@ -718,46 +2355,11 @@ Format as JSON: [{"type": "Hook Category", "text": "Exact hook text", "psycholog
 
 CRITICAL: These hooks must be so compelling that viewers literally cannot scroll away. Act as if each hook determines whether you get 100 views or 1 million views.`;
 
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": process.env.ANTHROPIC_API_KEY,
-      },
-      body: JSON.stringify({
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 1000,
-        messages: [{ role: "user", content: prompt }]
-      })
-    });
-
-    const data = await response.json();
-    let responseText = data.content[0].text.trim();
-    responseText = responseText.replace(/```json\n?/g, "").replace(/```\n?/g, "");
-    
-    const hooksData = JSON.parse(responseText);
-    
-    await logUsage(req.user.userId, 'hooks', true, 0, 0, null, { topic, audience, videoType, tone });
-    
-    res.json({ hooks: hooksData });
-
-  } catch (error) {
-    console.error('Hooks generation error:', error);
-    await logUsage(req.user.userId, 'hooks', false, 0, 0, error.message, { topic, audience, videoType, tone });
-    res.status(500).json({ error: 'Hooks generation failed' });
-  }
-});
-
-app.post('/api/generate/titles', authenticateToken, apiLimiter, generationLimiter, async (req, res) => {
-  try {
-    const { topic, audience, videoType } = req.body;
-    
-    const quotaCheck = await checkQuota(req.user.userId, 'titles');
-    if (!quotaCheck.allowed) {
-      return res.status(429).json({ error: quotaCheck.reason });
-    }
+  return { hooks: await generateStructured('hooks', prompt, { modelTier, meter }) };
+};
 
-    const prompt = `Create 10 VIRAL YouTube titles for "${topic}" using proven formulas that guarantee millions of views.
+const generateTitles = async ({ topic, audience, videoType, modelTier, meter }) => {
+  const prompt = `Create 10 VIRAL YouTube titles for "${topic}" using proven formulas that guarantee millions of views.
 
 AUDIENCE: ${audience} | TYPE: ${videoType}
 
@@ -784,98 +2386,3985 @@ PROVEN TITLE FORMULAS TO USE:
 
 Format as JSON array of strings. These titles should be so compelling that they achieve 10%+ CTR rates.`;
 
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": process.env.ANTHROPIC_API_KEY,
-      },
-      body: JSON.stringify({
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 800,
-        messages: [{ role: "user", content: prompt }]
-      })
-    });
+  return { titles: await generateStructured('titles', prompt, { modelTier, meter }) };
+};
 
-    const data = await response.json();
-    let responseText = data.content[0].text.trim();
-    responseText = responseText.replace(/```json\n?/g, "").replace(/```\n?/g, "");
-    
-    const titlesData = JSON.parse(responseText);
-    
-    await logUsage(req.user.userId, 'titles', true, 0, 0, null, { topic, audience, videoType });
-    
-    res.json({ titles: titlesData });
+const generateOutline = async ({ topic, audience, duration, tone, videoType, voicePreset, userId, modelTier, meter }) => {
+  const voiceContext = await buildVoiceContext(voicePreset, userId);
 
-  } catch (error) {
-    console.error('Titles generation error:', error);
-    await logUsage(req.user.userId, 'titles', false, 0, 0, error.message, { topic, audience, videoType });
-    res.status(500).json({ error: 'Titles generation failed' });
-  }
-});
+  const prompt = `${voiceContext}
 
-// Saved scripts endpoints
-app.post('/api/scripts/save', authenticateToken, async (req, res) => {
-  try {
-    const {
-      title, topic, audience, duration, tone, videoType, voicePreset,
-      scriptContent, hooks, titles, outline, description, tags, thumbnailText, callToActions, scriptStats
-    } = req.body;
+Create a detailed, retention-focused outline for a ${duration || '10'}-minute ${videoType || 'YouTube'} video about "${topic}".
 
-    const result = await pool.query(`
-      INSERT INTO saved_scripts (
-        user_id, title, topic, audience, duration, tone, video_type, voice_preset,
-        script_content, hooks, titles, outline, description, tags, thumbnail_text,
-        call_to_actions, script_stats
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
-      RETURNING id, created_at
-    `, [
-      req.user.userId, title || topic, topic, audience, duration, tone, videoType, voicePreset,
-      scriptContent, JSON.stringify(hooks || []), JSON.stringify(titles || []), outline,
-      description, JSON.stringify(tags || []), JSON.stringify(thumbnailText || []),
-      JSON.stringify(callToActions || []), JSON.stringify(scriptStats || {})
-    ]);
+AUDIENCE: ${audience} | TONE: ${tone}
 
-    res.json({
-      success: true,
-      scriptId: result.rows[0].id,
-      savedAt: result.rows[0].created_at
-    });
+Follow the same structure used for full scripts:
+- HOOK (0-15 seconds)
+- INTRO (15-45 seconds)
+- MAIN CONTENT (3-4 segments, each with a cliffhanger into the next)
+- REVELATION (around 70% through)
+- CONCLUSION & CTA (final 15%)
 
-  } catch (error) {
-    console.error('Save script error:', error);
-    res.status(500).json({ error: 'Failed to save script' });
-  }
-});
+For every section give an approximate timestamp and 2-5 concrete talking points.
 
-app.get('/api/scripts/saved', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query(`
-      SELECT * FROM saved_scripts 
-      WHERE user_id = $1 
-      ORDER BY updated_at DESC
-    `, [req.user.userId]);
+Format as JSON: {"sections": [{"title": "Section name", "timestamp": "0:00-0:15", "points": ["Talking point"]}]}`;
 
-    res.json({ scripts: result.rows });
+  const sections = await generateStructured('outline', prompt, { modelTier, meter });
+  const outline = sections
+    .map(section => {
+      const heading = section.timestamp ? `${section.title} (${section.timestamp})` : section.title;
+      return [heading, ...section.points.map(point => `- ${point}`)].join('\n');
+    })
+    .join('\n\n');
 
-  } catch (error) {
-    console.error('Get saved scripts error:', error);
-    res.status(500).json({ error: 'Failed to retrieve saved scripts' });
-  }
-});
+  return { outline, sections };
+};
 
-app.delete('/api/scripts/:id', authenticateToken, async (req, res) => {
-  try {
-    const result = await pool.query(
-      'DELETE FROM saved_scripts WHERE id = $1 AND user_id = $2 RETURNING id',
-      [req.params.id, req.user.userId]
-    );
+const generateDescription = async ({ topic, audience, tone, videoType, keywords, voicePreset, userId, modelTier, meter }) => {
+  const voiceContext = await buildVoiceContext(voicePreset, userId);
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Script not found' });
-    }
+  const prompt = `${voiceContext}
 
-    res.json({ success: true });
+Write a search-optimized YouTube description for a ${videoType || 'YouTube'} video about "${topic}".
+
+AUDIENCE: ${audience} | TONE: ${tone} | KEYWORDS: ${keywords || 'N/A'}
+
+DESCRIPTION REQUIREMENTS:
+- First 2 lines must hook the viewer and contain the main keyword (they show above "Show more")
+- A short paragraph expanding on what the viewer will learn
+- A bulleted list of 3-5 key takeaways
+- A subscribe call to action
+- 3-5 relevant hashtags on the final line
+- Under 5000 characters, no placeholder links
+
+Format as JSON: {"description": "Full description text with line breaks as \\n"}`;
+
+  return { description: await generateStructured('description', prompt, { modelTier, meter }) };
+};
+
+const generateTags = async ({ topic, audience, videoType, keywords, voicePreset, userId, modelTier, meter }) => {
+  const voiceContext = await buildVoiceContext(voicePreset, userId);
+
+  const prompt = `${voiceContext}
+
+Create 15-20 YouTube tags for a ${videoType || 'YouTube'} video about "${topic}".
+
+AUDIENCE: ${audience} | KEYWORDS: ${keywords || 'N/A'}
+
+TAG REQUIREMENTS:
+- Mix broad, mid-tail and long-tail search phrases
+- Include the exact main keyword and common misspellings or variations
+- No hashtags, no duplicates, each tag under 30 characters
+- Total length of all tags under 500 characters
+
+Format as JSON array of strings.`;
+
+  return { tags: await generateStructured('tags', prompt, { modelTier, meter }) };
+};
+
+const generateThumbnailText = async ({ topic, audience, tone, videoType, voicePreset, userId, modelTier, meter }) => {
+  const voiceContext = await buildVoiceContext(voicePreset, userId);
+
+  const prompt = `${voiceContext}
+
+Create 8 thumbnail text overlays for a ${videoType || 'YouTube'} video about "${topic}".
+
+AUDIENCE: ${audience} | TONE: ${tone}
+
+THUMBNAIL TEXT REQUIREMENTS:
+- 2-5 words each, readable on a phone screen
+- Complement the title rather than repeat it
+- Create curiosity or emotional tension
+- Use power words and numbers where they fit
+
+Format as JSON array of strings.`;
+
+  return { thumbnailText: await generateStructured('thumbnail', prompt, { modelTier, meter }) };
+};
+
+const generateCallToActions = async ({ topic, audience, tone, videoType, voicePreset, userId, modelTier, meter }) => {
+  const voiceContext = await buildVoiceContext(voicePreset, userId);
+
+  const prompt = `${voiceContext}
+
+Create 6 calls to action for a ${videoType || 'YouTube'} video about "${topic}".
+
+AUDIENCE: ${audience} | TONE: ${tone}
+
+CTA REQUIREMENTS:
+- Cover these placements: "early" (first minute), "mid-roll", "end-screen", "pinned-comment"
+- Sound natural when spoken in the chosen voice, never pushy
+- Give the viewer a specific reason to act (subscribe, comment, watch next)
+
+Format as JSON: [{"placement": "early | mid-roll | end-screen | pinned-comment", "text": "Exact CTA text"}]`;
+
+  return { callToActions: await generateStructured('ctas', prompt, { modelTier, meter }) };
+};
+
+// Transcript analysis prompt input - timed transcripts are grouped into paragraphs of about
+// TRANSCRIPT_PARAGRAPH_SECONDS so the model can place the retention structure in time
+const TRANSCRIPT_PARAGRAPH_SECONDS = 30;
+const TRANSCRIPT_PROMPT_LENGTH = 60000;
+
+const transcriptForPrompt = ({ cues, text }) => {
+  let body = text;
+  if (cues.length > 0) {
+    const paragraphs = [];
+    for (const cue of cues) {
+      const current = paragraphs[paragraphs.length - 1];
+      if (current && cue.start - current.start < TRANSCRIPT_PARAGRAPH_SECONDS) current.lines.push(cue.text);
+      else paragraphs.push({ start: cue.start, lines: [cue.text] });
+    }
+    body = paragraphs.map(paragraph => `[${formatClock(paragraph.start)}] ${paragraph.lines.join(' ')}`).join('\n');
+  }
+
+  return body.length > TRANSCRIPT_PROMPT_LENGTH
+    ? { body: `${body.slice(0, TRANSCRIPT_PROMPT_LENGTH)}\n[transcript truncated]`, truncated: true }
+    : { body, truncated: false };
+};
+
+const analyzeTranscript = async ({ transcript, metadata, modelTier, meter }) => {
+  const { body, truncated } = transcriptForPrompt(transcript);
+  const details = [
+    metadata.title && `TITLE: "${metadata.title}"`,
+    metadata.channel && `CHANNEL: ${metadata.channel}`,
+    transcript.durationSeconds && `LENGTH: ${formatClock(transcript.durationSeconds)}`,
+    metadata.description && `DESCRIPTION: ${metadata.description.slice(0, 1000)}`
+  ].filter(Boolean).join('\n');
+
+  const prompt = `Analyze this YouTube video transcript as research for writing a new video on the same subject.
+
+${details}
+
+TRANSCRIPT${transcript.cues.length > 0 ? ' ([m:ss] marks when each paragraph starts)' : ''}:
+${body}
+
+ANALYSIS REQUIREMENTS:
+- summary: 3-5 sentences on what the video covers and the promise it makes to the viewer
+- keyPoints: 5-10 distinct facts, arguments or steps the video relies on, each one sentence
+- retentionStructure: the video's sections in order (hook, intro, each main segment, payoff, call to action),
+  with approximate start and end times when the transcript is timed, the retention technique each
+  section uses (curiosity gap, open loop, pattern interrupt, story, stakes...) and a short note on how
+
+Format as JSON: {"summary": "...", "keyPoints": ["..."], "retentionStructure": [{"section": "HOOK", "start": "0:00", "end": "0:15", "technique": "Curiosity gap", "notes": "..."}]}`;
+
+  const analysis = await generateStructured('transcript', prompt, { modelTier, meter });
+  return { ...analysis, truncated };
+};
+
+// Analysis of a reference source, added to script prompts generated from it
+const buildReferenceContext = (source) => {
+  const title = source.title ? `"${source.title}"` : 'a reference video';
+  const channel = source.metadata && source.metadata.channel ? ` by ${source.metadata.channel}` : '';
+  const structure = (source.retention_structure || [])
+    .map(section => {
+      const timing = section.start ? ` (${section.start}${section.end ? `-${section.end}` : ''})` : '';
+      return `- ${section.section}${timing}: ${section.technique}${section.notes ? ` - ${section.notes}` : ''}`;
+    })
+    .join('\n');
+
+  return `REFERENCE MATERIAL from ${title}${channel}. Use it for research and structure only: write an original script
+in your own words, cover the key points where they fit the topic, improve on weak sections, and never copy its phrasing.
+
+Summary: ${source.summary}
+
+Key points:
+${(source.key_points || []).map(point => `- ${point}`).join('\n')}
+
+Retention structure of the reference:
+${structure}`;
+};
+
+const generateSeriesPlan = async ({ topic, episodes, audience, tone, videoType, voicePreset, userId, modelTier, meter }) => {
+  const voiceContext = await buildVoiceContext(voicePreset, userId);
+
+  const prompt = `${voiceContext}
+
+Plan a YouTube series of exactly ${episodes} episodes on the broad topic "${topic}".
+
+AUDIENCE: ${audience} | TONE: ${tone} | TYPE: ${videoType}
+
+SERIES REQUIREMENTS:
+- Each episode covers one distinct, specific angle of the topic that can stand on its own
+- Order episodes so each builds on the last and the first is the easiest entry point
+- Working titles of 60 characters or less with a clear promise
+- A hook for each episode: the first line spoken on camera, under 30 words
+- No two episodes overlap enough to cannibalize each other's search traffic
+
+Format as JSON: {"episodes": [{"topic": "Specific episode topic", "title": "Working title", "hook": "Opening line"}]}`;
+
+  const plan = await generateStructured('series', prompt, { modelTier, meter });
+  return { episodes: plan.slice(0, episodes) };
+};
+
+// Script ownership scope - a workspace library or the user's personal scripts. scopeCondition
+// takes the placeholder that scopeKey(scope) is bound to.
+const scriptScope = (req) => ({ userId: req.user.userId, workspaceId: req.workspace ? req.workspace.id : null });
+
+const scopeCondition = (scope, placeholder, alias = '') => (scope.workspaceId
+  ? `${alias}workspace_id = ${placeholder}`
+  : `${alias}user_id = ${placeholder} AND ${alias}workspace_id IS NULL`);
+
+const scopeKey = (scope) => scope.workspaceId || scope.userId;
+
+// Ids from paths, query strings and bodies are checked before they reach an integer column
+const isRowId = (value) => /^\d+$/.test(String(value));
+
+// Saved script persistence - accepts the camelCase fields used by /api/scripts/save
+const insertSavedScript = async (db, { userId, workspaceId = null }, fields) => {
+  const {
+    title, topic, audience, duration, tone, videoType, voicePreset,
+    scriptContent, hooks, titles, outline, description, tags, thumbnailText, callToActions, scriptStats,
+    seriesId, seriesPosition, publishAt, sourceId
+  } = fields;
+
+  const result = await db.query(`
+    INSERT INTO saved_scripts (
+      user_id, title, topic, audience, duration, tone, video_type, voice_preset,
+      script_content, hooks, titles, outline, description, tags, thumbnail_text,
+      call_to_actions, script_stats, workspace_id, series_id, series_position, publish_at, source_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22)
+    RETURNING id, created_at
+  `, [
+    userId, title || topic, topic, audience, duration, tone, videoType, voicePreset,
+    scriptContent, JSON.stringify(hooks || []), JSON.stringify(titles || []), outline,
+    description, JSON.stringify(tags || []), JSON.stringify(thumbnailText || []),
+    JSON.stringify(callToActions || []), JSON.stringify(scriptStats || {}), workspaceId,
+    seriesId || null, seriesPosition || null, publishAt || null, sourceId || null
+  ]);
+
+  return result;
+};
+
+// Script sections as laid out in the script prompt; headings are matched case-sensitively
+const SCRIPT_SECTIONS = ['HOOK', 'INTRO', 'MAIN CONTENT', 'REVELATION', 'CONCLUSION'];
+const SECTION_HEADING_PATTERN = /^(HOOK|INTRO(?:DUCTION)?|MAIN CONTENT|REVELATION|CONCLUSION)\b/;
+
+const normalizeSectionName = (name) => {
+  const upper = String(name || '').trim().toUpperCase();
+  if (upper.startsWith('INTRO')) return 'INTRO';
+  return SCRIPT_SECTIONS.find(section => upper.startsWith(section)) || null;
+};
+
+// Splits script text into sections by heading line; `start`/`end` are character offsets and
+// include the heading itself. Text before the first heading is not part of any section.
+const matchSectionHeading = (line) => (
+  line.length <= 80 ? line.replace(/^[^A-Za-z]+/, '').match(SECTION_HEADING_PATTERN) : null
+);
+
+const splitScriptSections = (content) => {
+  const sections = [];
+  let offset = 0;
+
+  for (const line of content.split('\n')) {
+    const match = matchSectionHeading(line);
+    if (match) {
+      if (sections.length > 0) sections[sections.length - 1].end = offset;
+      sections.push({ name: normalizeSectionName(match[1]), heading: line, start: offset, end: content.length });
+    }
+    offset += line.length + 1;
+  }
+
+  return sections;
+};
+
+const SCRIPT_SNAPSHOT_FIELDS = [
+  'title', 'topic', 'audience', 'duration', 'tone', 'video_type', 'voice_preset', 'script_content',
+  'hooks', 'titles', 'outline', 'description', 'tags', 'thumbnail_text', 'call_to_actions', 'script_stats'
+];
+
+// Explicit column list so the search_vector column never reaches API responses
+const SCRIPT_COLUMNS = [
+  'id', 'user_id', 'workspace_id', 'status', 'publish_at', 'series_id', 'series_position', 'source_id',
+  ...SCRIPT_SNAPSHOT_FIELDS, 'created_at', 'updated_at'
+].join(', ');
+
+const SCRIPT_SUMMARY_COLUMNS = [
+  'id', 'title', 'topic', 'audience', 'duration', 'tone', 'video_type', 'voice_preset', 'status',
+  'publish_at', 'series_id', 'series_position', 'script_stats', 'created_at', 'updated_at', 'LEFT(script_content, 200) as excerpt'
+].join(', ');
+
+// Stores the current state of a saved_scripts row as the next revision
+const recordRevision = async (db, scriptRow, { userId, source, instruction = null, section = null }) => {
+  const snapshot = Object.fromEntries(SCRIPT_SNAPSHOT_FIELDS.map(field => [field, scriptRow[field]]));
+
+  const result = await db.query(`
+    INSERT INTO script_revisions (script_id, user_id, revision_number, source, instruction, section, snapshot)
+    SELECT $1, $2, COALESCE(MAX(revision_number), 0) + 1, $3, $4, $5, $6
+    FROM script_revisions WHERE script_id = $1
+    RETURNING id, revision_number, source, instruction, section, user_id, created_at
+  `, [scriptRow.id, userId, source, instruction, section, JSON.stringify(snapshot)]);
+
+  return result.rows[0];
+};
+
+const generateRevision = async ({ script, instruction, section, modelTier, meter }) => {
+  const voiceContext = await buildVoiceContext(script.voice_preset, script.user_id);
+  const content = script.script_content || '';
+  const target = section ? splitScriptSections(content).find(candidate => candidate.name === section) : null;
+
+  if (target) {
+    const prompt = `${voiceContext}
+
+You are revising one section of an existing ${script.duration ? `${script.duration}-minute ` : ''}YouTube script about "${script.topic}".
+
+FULL SCRIPT FOR CONTEXT:
+${content}
+
+SECTION TO REVISE (${section}):
+${content.slice(target.start, target.end).trim()}
+
+REVISION INSTRUCTION: ${instruction}
+
+Rewrite ONLY the ${section} section. Keep its heading line exactly as "${target.heading.trim()}", keep the voice and retention tactics consistent with the rest of the script, and make sure it still flows into the next section.
+
+Return only the revised section text, starting with the heading line, with no commentary.`;
+
+    const { text } = await generateText('revise', prompt, { modelTier, meter });
+    const revisedSection = text.trim();
+    return `${content.slice(0, target.start)}${revisedSection}\n\n${content.slice(target.end).replace(/^\s+/, '')}`.trim();
+  }
+
+  const prompt = `${voiceContext}
+
+You are revising an existing ${script.duration ? `${script.duration}-minute ` : ''}YouTube script about "${script.topic}".
+
+CURRENT SCRIPT:
+${content}
+
+REVISION INSTRUCTION: ${instruction}
+
+Apply the instruction to the script. Keep the HOOK, INTRO, MAIN CONTENT, REVELATION and CONCLUSION structure and headings, keep everything the instruction does not ask you to change as close to the original as possible, and keep the voice consistent.
+
+Return only the full revised script, with no commentary.`;
+
+  const { text } = await generateText('revise', prompt, { modelTier, meter });
+  return text.trim();
+};
+
+// camelCase request fields -> saved_scripts columns
+const SCRIPT_FIELD_COLUMNS = {
+  title: 'title',
+  topic: 'topic',
+  audience: 'audience',
+  duration: 'duration',
+  tone: 'tone',
+  videoType: 'video_type',
+  voicePreset: 'voice_preset',
+  scriptContent: 'script_content',
+  hooks: 'hooks',
+  titles: 'titles',
+  outline: 'outline',
+  description: 'description',
+  tags: 'tags',
+  thumbnailText: 'thumbnail_text',
+  callToActions: 'call_to_actions',
+  scriptStats: 'script_stats'
+};
+
+const SCRIPT_JSON_COLUMNS = ['hooks', 'titles', 'tags', 'thumbnail_text', 'call_to_actions', 'script_stats'];
+
+// Applies column changes to a saved script and records the result as a new revision in one
+// transaction. The first change to a script also stores its pre-change state as revision 1.
+// Editing an approved script reopens it as a draft, recorded against the editor in the status
+// history; recorded and published scripts are final. Resolves to null when the script is not in
+// the scope (see scriptScope), or { status, error } when it can no longer be edited.
+const updateScriptWithRevision = async (scriptId, scope, columns, { source, instruction = null, section = null }) => {
+  const { userId } = scope;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT ${SCRIPT_COLUMNS} FROM saved_scripts WHERE id = $1 AND ${scopeCondition(scope, '$2')} FOR UPDATE`,
+      [scriptId, scopeKey(scope)]
+    );
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const { status } = current.rows[0];
+    if (FINAL_SCRIPT_STATUSES.includes(status)) {
+      await client.query('ROLLBACK');
+      return { status: 409, error: `A ${status} script can no longer be edited`, currentStatus: status };
+    }
+
+    const existing = await client.query('SELECT 1 FROM script_revisions WHERE script_id = $1 LIMIT 1', [scriptId]);
+    if (existing.rows.length === 0) {
+      await recordRevision(client, current.rows[0], { userId, source: 'original' });
+    }
+
+    const reopen = status === 'approved';
+    const names = Object.keys(columns);
+    const assignments = names.map((name, index) => `${name} = $${index + 1}`);
+    const values = names.map(name => SCRIPT_JSON_COLUMNS.includes(name) ? JSON.stringify(columns[name]) : columns[name]);
+    if (reopen) assignments.push("status = 'draft'");
+
+    const updateResult = await client.query(`
+      UPDATE saved_scripts
+      SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+      WHERE id = $${names.length + 1}
+      RETURNING ${SCRIPT_COLUMNS}
+    `, [...values, scriptId]);
+    const updated = updateResult.rows[0];
+
+    const revision = await recordRevision(client, updated, { userId, source, instruction, section });
+
+    let change = null;
+    if (reopen) {
+      const changeResult = await client.query(`
+        INSERT INTO script_status_history (script_id, from_status, to_status, user_id, note)
+        VALUES ($1, 'approved', 'draft', $2, 'Edited after approval')
+        RETURNING *
+      `, [scriptId, userId]);
+      change = changeResult.rows[0];
+    }
+
+    await client.query('COMMIT');
+    return { updated, revision, change };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const formatRevision = (row) => ({
+  id: row.id,
+  revisionNumber: row.revision_number,
+  source: row.source,
+  instruction: row.instruction,
+  section: row.section,
+  createdBy: row.user_id,
+  createdAt: row.created_at
+});
+
+// Line diff via longest common subsequence; consecutive lines of the same kind are grouped.
+// Matching leading and trailing lines are taken first, so the O(n*m) table only covers the changed
+// middle; a middle longer than MAX_DIFF_LINES on either side is shown as removed and re-added.
+const MAX_DIFF_LINES = 400;
+
+const diffLines = (before, after) => {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  const hunks = [];
+  const push = (type, line) => {
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === type) last.lines.push(line);
+    else hunks.push({ type, lines: [line] });
+  };
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) push('equal', a[start++]);
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const m = endA - start;
+  const n = endB - start;
+  if (m > MAX_DIFF_LINES || n > MAX_DIFF_LINES) {
+    for (let i = start; i < endA; i++) push('remove', a[i]);
+    for (let j = start; j < endB; j++) push('add', b[j]);
+  } else {
+    const lcs = Array.from({ length: m + 1 }, () => new Uint32Array(n + 1));
+    for (let i = m - 1; i >= 0; i--) {
+      for (let j = n - 1; j >= 0; j--) {
+        lcs[i][j] = a[start + i] === b[start + j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < m && j < n) {
+      if (a[start + i] === b[start + j]) { push('equal', a[start + i]); i++; j++; }
+      else if (lcs[i + 1][j] >= lcs[i][j + 1]) { push('remove', a[start + i]); i++; }
+      else { push('add', b[start + j]); j++; }
+    }
+    while (i < m) push('remove', a[start + i++]);
+    while (j < n) push('add', b[start + j++]);
+  }
+
+  for (let i = endA; i < a.length; i++) push('equal', a[i]);
+
+  return hunks;
+};
+
+// Review workflow - scripts move draft -> in_review -> approved -> recorded -> published.
+// Rejecting a review or reopening an approved script sends it back to draft.
+const SCRIPT_STATUSES = ['draft', 'in_review', 'approved', 'recorded', 'published'];
+
+const SCRIPT_STATUS_TRANSITIONS = {
+  draft: ['in_review'],
+  in_review: ['approved', 'draft'],
+  approved: ['recorded', 'draft'],
+  recorded: ['published'],
+  published: []
+};
+
+// Statuses whose script content is final (see updateScriptWithRevision)
+const FINAL_SCRIPT_STATUSES = ['recorded', 'published'];
+
+const MAX_STATUS_NOTE_LENGTH = 2000;
+
+const formatStatusChange = (row) => ({
+  id: row.id,
+  fromStatus: row.from_status,
+  toStatus: row.to_status,
+  note: row.note,
+  changedBy: row.user_id,
+  createdAt: row.created_at
+});
+
+// Moves a script in the scope to `toStatus` and records the change. `from` limits the statuses
+// the move may start from (used by the review endpoints). With `review`, a workspace script can
+// only be approved or rejected by someone other than its author and whoever requested the review;
+// the personal library has nobody else to ask. Returns { script, change } or { status, error }
+// when the script is missing or the move is not allowed.
+const changeScriptStatus = async (scriptId, scope, toStatus, { note = null, from = null, review = false } = {}) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT id, status, user_id FROM saved_scripts WHERE id = $1 AND ${scopeCondition(scope, '$2')} FOR UPDATE`,
+      [scriptId, scopeKey(scope)]
+    );
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { status: 404, error: 'Script not found' };
+    }
+
+    const fromStatus = current.rows[0].status;
+    if ((from && !from.includes(fromStatus)) || !SCRIPT_STATUS_TRANSITIONS[fromStatus].includes(toStatus)) {
+      await client.query('ROLLBACK');
+      return {
+        status: 409,
+        error: `Cannot move a script from ${fromStatus} to ${toStatus}`,
+        currentStatus: fromStatus,
+        allowed: SCRIPT_STATUS_TRANSITIONS[fromStatus]
+      };
+    }
+
+    if (review && scope.workspaceId) {
+      const requested = await client.query(`
+        SELECT user_id FROM script_status_history
+        WHERE script_id = $1 AND to_status = 'in_review'
+        ORDER BY created_at DESC, id DESC LIMIT 1
+      `, [scriptId]);
+      const requestedBy = requested.rows.length > 0 ? requested.rows[0].user_id : null;
+      if (current.rows[0].user_id === scope.userId || requestedBy === scope.userId) {
+        await client.query('ROLLBACK');
+        return { status: 403, error: 'Another workspace member must review a script you wrote or sent for review' };
+      }
+    }
+
+    const updated = await client.query(`
+      UPDATE saved_scripts SET status = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id, status, updated_at
+    `, [scriptId, toStatus]);
+    const change = await client.query(`
+      INSERT INTO script_status_history (script_id, from_status, to_status, user_id, note)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [scriptId, fromStatus, toStatus, scope.userId, note]);
+
+    await client.query('COMMIT');
+    return { script: updated.rows[0], change: change.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Comments - threaded by parent_id. Top-level comments may be anchored to a section and/or a
+// character range of script_content; the quoted text is stored so the anchor can be found again
+// after later edits.
+const MAX_COMMENT_LENGTH = 5000;
+
+// Validates the anchor fields of a new comment against the current script content.
+// Returns the columns to store, or { error }.
+const parseCommentAnchor = (content, { section, range }) => {
+  const anchor = { section: null, range_start: null, range_end: null, quoted_text: null };
+  const text = content || '';
+
+  if (section) {
+    const name = normalizeSectionName(section);
+    const sections = splitScriptSections(text);
+    if (!name || !sections.some(candidate => candidate.name === name)) {
+      return { error: `Section ${section} was not found in this script` };
+    }
+    anchor.section = name;
+  }
+
+  if (range !== undefined && range !== null) {
+    const { start, end } = range;
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > text.length) {
+      return { error: `range must have integer start < end within the script (0-${text.length})` };
+    }
+    anchor.range_start = start;
+    anchor.range_end = end;
+    anchor.quoted_text = text.slice(start, end);
+  }
+
+  return anchor;
+};
+
+// Re-locates a range anchor in the current content: unchanged, moved (quoted text found
+// elsewhere) or outdated (quoted text no longer present)
+const resolveCommentAnchor = (row, content) => {
+  if (row.range_start === null) {
+    return row.section ? { section: row.section } : null;
+  }
+
+  const text = content || '';
+  let start = row.range_start;
+  let state = 'current';
+  if (text.slice(row.range_start, row.range_end) !== row.quoted_text) {
+    const found = text.indexOf(row.quoted_text);
+    start = found === -1 ? null : found;
+    state = found === -1 ? 'outdated' : 'moved';
+  }
+
+  return {
+    section: row.section,
+    start,
+    end: start === null ? null : start + row.quoted_text.length,
+    quotedText: row.quoted_text,
+    state
+  };
+};
+
+const formatComment = (row, content) => ({
+  id: row.id,
+  parentId: row.parent_id,
+  body: row.body,
+  author: {
+    userId: row.user_id,
+    firstName: row.first_name,
+    lastName: row.last_name
+  },
+  anchor: row.parent_id ? null : resolveCommentAnchor(row, content),
+  resolved: Boolean(row.resolved_at),
+  resolvedAt: row.resolved_at,
+  resolvedBy: row.resolved_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// Nests replies under their parents, oldest first
+const buildCommentThreads = (rows, content) => {
+  const byId = new Map(rows.map(row => [row.id, { ...formatComment(row, content), replies: [] }]));
+  const threads = [];
+  for (const comment of byId.values()) {
+    const parent = comment.parentId && byId.get(comment.parentId);
+    (parent ? parent.replies : threads).push(comment);
+  }
+  return threads;
+};
+
+// Content calendar - scripts carry an optional publish date and may belong to one series or
+// playlist. Overdue means the publish date has passed and the script is not published yet.
+const SERIES_KINDS = ['series', 'playlist'];
+const SERIES_DEFAULT_EPISODES = 5;
+const SERIES_MAX_EPISODES = 12;
+const DEFAULT_CADENCE_DAYS = 7;
+const MAX_CALENDAR_RANGE_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CALENDAR_COLUMNS = `
+  s.id, s.title, s.topic, s.status, s.publish_at, s.series_id, s.series_position, s.video_type,
+  s.updated_at, cs.name as series_name, cs.kind as series_kind
+`;
+
+// null clears a date; anything else must parse. Returns { value } or { error }.
+const parsePublishAt = (value, label = 'publishAt') => {
+  if (value === null || value === '') return { value: null };
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    return { error: `${label} must be an ISO date or null` };
+  }
+  return { value: date.toISOString() };
+};
+
+const formatSeries = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  kind: row.kind,
+  workspaceId: row.workspace_id,
+  createdBy: row.user_id,
+  episodeCount: row.episode_count !== undefined ? parseInt(row.episode_count) : undefined,
+  nextPublishAt: row.next_publish_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const formatCalendarItem = (row) => ({
+  scriptId: row.id,
+  title: row.title,
+  topic: row.topic,
+  status: row.status,
+  videoType: row.video_type,
+  publishAt: row.publish_at,
+  overdue: Boolean(row.publish_at) && new Date(row.publish_at) < new Date() && row.status !== 'published',
+  series: row.series_id ? { id: row.series_id, name: row.series_name, kind: row.series_kind, position: row.series_position } : null,
+  updatedAt: row.updated_at
+});
+
+const findSeries = async (db, seriesId, scope) => {
+  if (!isRowId(seriesId)) return null;
+  const result = await db.query(
+    `SELECT * FROM content_series WHERE id = $1 AND ${scopeCondition(scope, '$2')}`,
+    [seriesId, scopeKey(scope)]
+  );
+  return result.rows[0] || null;
+};
+
+// Validates { episodes: [{ topic, title?, hook?, publishAt? }], startDate?, cadenceDays? } and
+// fills in publish dates from startDate every cadenceDays where an episode has none.
+// Returns { episodes } or { error }.
+const parseEpisodeDrafts = ({ episodes, startDate, cadenceDays }) => {
+  if (!Array.isArray(episodes) || episodes.length === 0) {
+    return { error: 'episodes must be a non-empty array' };
+  }
+  if (episodes.length > SERIES_MAX_EPISODES) {
+    return { error: `A series can be drafted ${SERIES_MAX_EPISODES} episodes at a time` };
+  }
+
+  let start = null;
+  if (startDate !== undefined && startDate !== null) {
+    const parsed = parsePublishAt(startDate, 'startDate');
+    if (parsed.error) return parsed;
+    start = new Date(parsed.value);
+  }
+
+  const cadence = cadenceDays === undefined ? DEFAULT_CADENCE_DAYS : Number(cadenceDays);
+  if (!Number.isInteger(cadence) || cadence < 1 || cadence > 90) {
+    return { error: 'cadenceDays must be a whole number of days between 1 and 90' };
+  }
+
+  const drafts = [];
+  for (const [index, episode] of episodes.entries()) {
+    if (!episode || !isNonEmptyString(episode.topic)) {
+      return { error: `Episode ${index} needs a topic` };
+    }
+
+    let publishAt = start ? new Date(start.getTime() + index * cadence * DAY_MS).toISOString() : null;
+    if (episode.publishAt !== undefined && episode.publishAt !== null) {
+      const parsed = parsePublishAt(episode.publishAt, `Episode ${index} publishAt`);
+      if (parsed.error) return parsed;
+      publishAt = parsed.value;
+    }
+
+    drafts.push({
+      topic: episode.topic.trim(),
+      title: isNonEmptyString(episode.title) ? episode.title.trim() : null,
+      hook: isNonEmptyString(episode.hook) ? episode.hook.trim() : null,
+      publishAt
+    });
+  }
+
+  return { episodes: drafts };
+};
+
+// Saves parsed episodes as draft scripts at the end of a series. `defaults` holds the shared
+// audience, tone, videoType, duration and voicePreset.
+const insertEpisodeDrafts = async (db, scope, seriesId, episodes, defaults) => {
+  const last = await db.query(
+    'SELECT COALESCE(MAX(series_position), 0) as position FROM saved_scripts WHERE series_id = $1',
+    [seriesId]
+  );
+  const firstPosition = parseInt(last.rows[0].position) + 1;
+
+  const created = [];
+  for (const [index, episode] of episodes.entries()) {
+    const result = await insertSavedScript(db, scope, {
+      audience: defaults.audience,
+      tone: defaults.tone,
+      videoType: defaults.videoType,
+      duration: defaults.duration,
+      voicePreset: defaults.voicePreset,
+      topic: episode.topic,
+      title: episode.title,
+      titles: episode.title ? [episode.title] : [],
+      hooks: episode.hook ? [{ type: 'Series plan', text: episode.hook, psychology: '' }] : [],
+      seriesId,
+      seriesPosition: firstPosition + index,
+      publishAt: episode.publishAt
+    });
+    created.push({
+      scriptId: result.rows[0].id,
+      title: episode.title || episode.topic,
+      topic: episode.topic,
+      status: 'draft',
+      seriesPosition: firstPosition + index,
+      publishAt: episode.publishAt
+    });
+  }
+
+  return created;
+};
+
+// Scheduled scripts in the scope matching extra conditions; params continue after scopeKey at $1
+const listCalendarItems = async (scope, conditions, params, { order = 'ASC', limit = 200 } = {}) => {
+  const result = await pool.query(`
+    SELECT ${CALENDAR_COLUMNS}
+    FROM saved_scripts s
+    LEFT JOIN content_series cs ON cs.id = s.series_id
+    WHERE ${[scopeCondition(scope, '$1', 's.'), 's.publish_at IS NOT NULL', ...conditions].join(' AND ')}
+    ORDER BY s.publish_at ${order}, s.id
+    LIMIT $${params.length + 2}
+  `, [scopeKey(scope), ...params, limit]);
+
+  return result.rows.map(formatCalendarItem);
+};
+
+// Reference sources - analyzed transcripts, owned like saved scripts
+const SOURCE_METADATA_FIELDS = {
+  title: 255,
+  channel: 255,
+  url: 2048,
+  description: 5000
+};
+
+// Keeps the known metadata fields; returns { metadata } or { error }
+const parseSourceMetadata = (input = {}) => {
+  if (typeof input !== 'object' || Array.isArray(input) || input === null) {
+    return { error: 'metadata must be an object' };
+  }
+
+  const metadata = {};
+  for (const [field, maxLength] of Object.entries(SOURCE_METADATA_FIELDS)) {
+    if (input[field] === undefined || input[field] === null || input[field] === '') continue;
+    if (typeof input[field] !== 'string') return { error: `metadata.${field} must be a string` };
+    metadata[field] = input[field].trim().slice(0, maxLength);
+  }
+
+  if (metadata.url) {
+    const videoId = metadata.url.match(/(?:youtu\.be\/|[?&]v=|\/(?:shorts|embed|live)\/)([\w-]{11})/);
+    if (videoId) metadata.videoId = videoId[1];
+  }
+
+  if (input.publishedAt) {
+    const publishedAt = new Date(input.publishedAt);
+    if (Number.isNaN(publishedAt.getTime())) return { error: 'metadata.publishedAt must be a date' };
+    metadata.publishedAt = publishedAt.toISOString();
+  }
+
+  for (const field of ['viewCount', 'durationSeconds']) {
+    if (input[field] === undefined || input[field] === null) continue;
+    if (!Number.isInteger(input[field]) || input[field] < 0) return { error: `metadata.${field} must be a non-negative integer` };
+    metadata[field] = input[field];
+  }
+
+  return { metadata };
+};
+
+const formatSource = (row, { full = false } = {}) => ({
+  id: row.id,
+  title: row.title,
+  format: row.format,
+  metadata: row.metadata,
+  durationSeconds: row.duration_seconds,
+  wordCount: row.word_count,
+  summary: row.summary,
+  keyPoints: row.key_points,
+  retentionStructure: row.retention_structure,
+  ...(full ? { transcript: row.transcript, cues: row.cues } : {}),
+  createdBy: row.user_id,
+  createdAt: row.created_at
+});
+
+const findReferenceSource = async (db, sourceId, scope) => {
+  if (!isRowId(sourceId)) return null;
+  const result = await db.query(
+    `SELECT * FROM reference_sources WHERE id = $1 AND ${scopeCondition(scope, '$2')}`,
+    [sourceId, scopeKey(scope)]
+  );
+  return result.rows[0] || null;
+};
+
+// Saved script listing - opaque cursor over (updated_at, id), newest first
+const encodeCursor = (row) => Buffer.from(JSON.stringify([row.cursor_ts, row.id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [updatedAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof updatedAt !== 'string' || !Number.isInteger(id)) return null;
+    return { updatedAt, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+const SCRIPT_LIST_FILTERS = {
+  videoType: 'video_type',
+  tone: 'tone',
+  voicePreset: 'voice_preset',
+  audience: 'audience',
+  status: 'status',
+  seriesId: 'series_id',
+  sourceId: 'source_id'
+};
+
+// Filters that take a numeric id
+const SCRIPT_LIST_ID_FILTERS = ['seriesId', 'sourceId'];
+
+// Script export formats
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  srt: { extension: 'srt', contentType: 'application/x-subrip; charset=utf-8' },
+  vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+const slugify = (value) => String(value || 'script')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60) || 'script';
+
+const exportFilename = (script, format) => `${script.id}-${slugify(script.title)}.${EXPORT_FORMATS[format].extension}`;
+
+// Spoken text only: section headings, markdown markers and bracketed stage directions removed
+const toTeleprompterText = (content) => (content || '')
+  .split('\n')
+  .filter(line => !matchSectionHeading(line))
+  .filter(line => !/^\s*#{1,6}\s/.test(line) && !/^\s*[-=*_]{3,}\s*$/.test(line))
+  .filter(line => !/^\s*(\[[^\]]*\]|\([^)]*\))\s*$/.test(line))
+  .map(line => line
+    .replace(/\[[^\]]*\]/g, '')
+    .replace(/\*\*|__/g, '')
+    .replace(/^\s*[-*]\s+/, '')
+    .replace(/\s{2,}/g, ' ')
+    .trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+const MAX_CUE_WORDS = 12;
+const MAX_CUE_LINE_LENGTH = 42;
+
+// Subtitle cues timed at WORDS_PER_MINUTE; long sentences are split into even chunks
+const buildSubtitleCues = (content) => {
+  const sentences = toTeleprompterText(content)
+    .split(/\n+/)
+    .flatMap(paragraph => paragraph.match(/[^.!?]+[.!?]+["')\]]*|[^.!?]+$/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+
+  const cues = [];
+  let time = 0;
+
+  for (const sentence of sentences) {
+    const words = sentence.split(/\s+/);
+    const chunkCount = Math.ceil(words.length / MAX_CUE_WORDS);
+    const chunkSize = Math.ceil(words.length / chunkCount);
+
+    for (let i = 0; i < words.length; i += chunkSize) {
+      const chunk = words.slice(i, i + chunkSize);
+      const duration = (chunk.length / WORDS_PER_MINUTE) * 60;
+      cues.push({ start: time, end: time + duration, text: wrapCueText(chunk) });
+      time += duration;
+    }
+  }
+
+  return cues;
+};
+
+const wrapCueText = (words) => {
+  const text = words.join(' ');
+  if (text.length <= MAX_CUE_LINE_LENGTH || words.length < 2) return text;
+  const middle = Math.ceil(words.length / 2);
+  return `${words.slice(0, middle).join(' ')}\n${words.slice(middle).join(' ')}`;
+};
+
+const formatCueTime = (seconds, separator) => {
+  const totalMs = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+};
+
+const toSRT = (content) => buildSubtitleCues(content)
+  .map((cue, index) => `${index + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.text}\n`)
+  .join('\n');
+
+const toVTT = (content) => `WEBVTT\n\n${buildSubtitleCues(content)
+  .map(cue => `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${cue.text}\n`)
+  .join('\n')}`;
+
+// Transcript ingestion - SRT, WebVTT or plain text reduced to timed cues and running text.
+// Auto-generated captions repeat the previous line in every cue, so repeated lines are dropped.
+const TRANSCRIPT_FORMATS = ['srt', 'vtt', 'text'];
+const MAX_TRANSCRIPT_LENGTH = 500000;
+const CUE_TIMING_PATTERN = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+const parseCueTime = (value) => {
+  const [clock, fraction] = value.replace(',', '.').split('.');
+  const seconds = clock.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  return seconds + Number(`0.${fraction}`);
+};
+
+const detectTranscriptFormat = (text) => {
+  if (/^\uFEFF?WEBVTT/.test(text)) return 'vtt';
+  return text.split('\n').some(line => CUE_TIMING_PATTERN.test(line)) ? 'srt' : 'text';
+};
+
+const parseTimedTranscript = (text) => {
+  const cues = [];
+  let lastLine = null;
+
+  for (const block of text.split(/\n\s*\n/)) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => CUE_TIMING_PATTERN.test(line));
+    if (timingIndex === -1) continue;
+
+    const [, start, end] = lines[timingIndex].match(CUE_TIMING_PATTERN);
+    const cueLines = lines.slice(timingIndex + 1)
+      .map(line => line.replace(/<[^>]*>|\{\\[^}]*\}/g, '').replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .filter(line => {
+        if (line === lastLine) return false;
+        lastLine = line;
+        return true;
+      });
+
+    if (cueLines.length > 0) {
+      cues.push({ start: parseCueTime(start), end: parseCueTime(end), text: cueLines.join(' ') });
+    }
+  }
+
+  return cues;
+};
+
+// Returns { format, cues, text, durationSeconds, wordCount }; cues is empty for plain text
+const parseTranscript = (raw, format) => {
+  const input = raw.replace(/\r\n?/g, '\n');
+  const detected = format || detectTranscriptFormat(input);
+  const cues = detected === 'text' ? [] : parseTimedTranscript(input);
+  const text = detected === 'text'
+    ? input.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim()
+    : cues.map(cue => cue.text).join(' ');
+
+  return {
+    format: detected,
+    cues,
+    text,
+    durationSeconds: cues.length > 0 ? Math.round(cues[cues.length - 1].end) : null,
+    wordCount: text ? countWords(text) : 0
+  };
+};
+
+// m:ss, or h:mm:ss past the hour
+const formatClock = (seconds) => {
+  const total = Math.floor(seconds);
+  const pad = (value) => String(value).padStart(2, '0');
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(total % 60)}` : `${minutes}:${pad(total % 60)}`;
+};
+
+const markdownList = (items, format) => (Array.isArray(items) ? items : [])
+  .map(item => `- ${format(item)}`)
+  .join('\n');
+
+const toMarkdown = (script) => {
+  const details = [
+    ['Topic', script.topic],
+    ['Audience', script.audience],
+    ['Duration', script.duration ? `${script.duration} minutes` : null],
+    ['Tone', script.tone],
+    ['Video type', script.video_type],
+    ['Voice', script.voice_preset]
+  ].filter(([, value]) => value).map(([label, value]) => `**${label}:** ${value}`);
+
+  const sections = [
+    `# ${script.title}`,
+    details.join('  \n'),
+    script.script_content && `## Script\n\n${script.script_content.trim()}`,
+    script.hooks && script.hooks.length > 0 && `## Hooks\n\n${markdownList(script.hooks, hook => (
+      typeof hook === 'string' ? hook : `**${hook.type}:** ${hook.text}${hook.psychology ? ` _(${hook.psychology})_` : ''}`
+    ))}`,
+    script.titles && script.titles.length > 0 && `## Titles\n\n${markdownList(script.titles, title => title)}`,
+    script.outline && `## Outline\n\n${script.outline.trim()}`,
+    script.description && `## Description\n\n${script.description.trim()}`,
+    script.tags && script.tags.length > 0 && `## Tags\n\n${script.tags.join(', ')}`,
+    script.thumbnail_text && script.thumbnail_text.length > 0 && `## Thumbnail Text\n\n${markdownList(script.thumbnail_text, text => text)}`,
+    script.call_to_actions && script.call_to_actions.length > 0 && `## Calls to Action\n\n${markdownList(script.call_to_actions, cta => (
+      typeof cta === 'string' ? cta : `**${cta.placement}:** ${cta.text}`
+    ))}`
+  ];
+
+  return `${sections.filter(Boolean).join('\n\n')}\n`;
+};
+
+// JSON interchange format (also accepted by /api/scripts/import):
+// {
+//   "format": "youtube-script-ai/script",
+//   "version": 1,
+//   "exportedAt": ISO timestamp,
+//   "script": {
+//     "title", "topic", "audience", "duration", "tone", "videoType", "voicePreset": string | null,
+//     "scriptContent", "outline", "description": string | null,
+//     "hooks": [{"type", "text", "psychology"}], "titles": [string], "tags": [string],
+//     "thumbnailText": [string], "callToActions": [{"placement", "text"}],
+//     "scriptStats": {"words", "estimatedDuration", ...},
+//     "createdAt", "updatedAt": ISO timestamp
+//   }
+// }
+const INTERCHANGE_FORMAT = 'youtube-script-ai/script';
+const INTERCHANGE_VERSION = 1;
+
+const toInterchange = (script) => ({
+  format: INTERCHANGE_FORMAT,
+  version: INTERCHANGE_VERSION,
+  exportedAt: new Date().toISOString(),
+  script: {
+    ...Object.fromEntries(Object.entries(SCRIPT_FIELD_COLUMNS).map(([field, column]) => [field, script[column] ?? null])),
+    createdAt: script.created_at,
+    updatedAt: script.updated_at
+  }
+});
+
+const renderExport = (script, format) => {
+  switch (format) {
+    case 'markdown': return toMarkdown(script);
+    case 'txt': return `${toTeleprompterText(script.script_content)}\n`;
+    case 'srt': return toSRT(script.script_content);
+    case 'vtt': return toVTT(script.script_content);
+    case 'json': return `${JSON.stringify(toInterchange(script), null, 2)}\n`;
+    default: return null;
+  }
+};
+
+// Script import - Markdown, plain text and the JSON interchange format
+const MAX_IMPORT_ITEMS = 100;
+
+// Package section headings recognised in imported documents -> save field
+const IMPORT_SECTION_FIELDS = [
+  [/^(script|full script|transcript)$/, 'scriptContent'],
+  [/^(hooks|hook ideas|hook options)$/, 'hooks'],
+  [/^(titles|title ideas|title options)$/, 'titles'],
+  [/^(tags|keywords)$/, 'tags'],
+  [/^(description|video description)$/, 'description'],
+  [/^outline$/, 'outline'],
+  [/^(thumbnail|thumbnail text|thumbnails)$/, 'thumbnailText'],
+  [/^(calls to action|call to action|ctas)$/, 'callToActions']
+];
+
+const IMPORT_METADATA_FIELDS = {
+  topic: 'topic',
+  audience: 'audience',
+  duration: 'duration',
+  tone: 'tone',
+  'video type': 'videoType',
+  voice: 'voicePreset'
+};
+
+const matchImportSection = (line) => {
+  const heading = line.match(/^\s*#{2,6}\s+(.+?)\s*#*\s*$/) || line.match(/^\s*([A-Za-z][A-Za-z ]{1,30}):\s*$/);
+  if (!heading) return null;
+  const name = heading[1].replace(/[*_]/g, '').trim().toLowerCase();
+  const entry = IMPORT_SECTION_FIELDS.find(([pattern]) => pattern.test(name));
+  return entry ? entry[1] : null;
+};
+
+const parseListItems = (text) => text
+  .split('\n')
+  .map(line => line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.+)$/))
+  .filter(Boolean)
+  .map(match => match[1].trim());
+
+const parseLabelledItem = (item) => {
+  const labelled = item.match(/^\*\*(.+?):?\*\*:?\s*(.+)$/) || item.match(/^([A-Za-z][\w -]{0,30}):\s+(.+)$/);
+  return labelled ? { label: labelled[1].trim(), text: labelled[2].trim() } : { label: null, text: item };
+};
+
+const IMPORT_SECTION_PARSERS = {
+  scriptContent: (text) => text,
+  description: (text) => text,
+  outline: (text) => text,
+  titles: (text) => toStringList(parseListItems(text).map(item => item.replace(/^["']|["']$/g, ''))),
+  thumbnailText: (text) => toStringList(parseListItems(text)),
+  tags: (text) => {
+    const items = parseListItems(text);
+    const raw = items.length > 0 ? items : text.split(/[,\n]/);
+    return toStringList(raw.map(tag => tag.trim().replace(/^#/, '')));
+  },
+  hooks: (text) => parseListItems(text).map(item => {
+    const psychology = item.match(/\s*_\((.+)\)_\s*$/);
+    const { label, text: hookText } = parseLabelledItem(psychology ? item.slice(0, psychology.index) : item);
+    return { type: label || 'Imported', text: hookText, psychology: psychology ? psychology[1] : '' };
+  }),
+  callToActions: (text) => parseListItems(text).map(item => {
+    const { label, text: ctaText } = parseLabelledItem(item);
+    return { placement: label || 'general', text: ctaText };
+  })
+};
+
+// Markdown and plain text share one parser: "# Title" (or the first short line of a text file),
+// "**Topic:** ..." metadata lines, and package sections such as "## Hooks" or "TAGS:". Anything
+// outside a recognised section is treated as script content.
+const parseImportDocument = (content, { markdown }) => {
+  const lines = content.replace(/\r\n/g, '\n').split('\n');
+  const fields = {};
+  const sections = {};
+  const body = [];
+  let current = null;
+
+  const firstLine = lines.findIndex(line => line.trim());
+  if (firstLine !== -1) {
+    const titleMatch = lines[firstLine].match(/^\s*#\s+(.+?)\s*#*\s*$/);
+    if (titleMatch) {
+      fields.title = titleMatch[1];
+      lines.splice(firstLine, 1);
+    } else if (!markdown && lines[firstLine].trim().length <= 150 && !matchImportSection(lines[firstLine])) {
+      fields.title = lines[firstLine].trim();
+      lines.splice(firstLine, 1);
+    }
+  }
+
+  for (const line of lines) {
+    const section = matchImportSection(line);
+    if (section) {
+      current = section;
+      sections[current] = [];
+      continue;
+    }
+
+    const metadata = !current && line.match(/^\s*(?:\*\*([A-Za-z ]+?):?\*\*:?|([A-Za-z ]+?):)\s+(.+?)\s*$/);
+    const metadataField = metadata && IMPORT_METADATA_FIELDS[(metadata[1] || metadata[2]).toLowerCase()];
+    if (metadataField && !fields[metadataField]) {
+      fields[metadataField] = metadata[3].replace(/\s+minutes?$/i, '');
+      continue;
+    }
+
+    (current ? sections[current] : body).push(line);
+  }
+
+  for (const [field, sectionLines] of Object.entries(sections)) {
+    const text = sectionLines.join('\n').trim();
+    if (text) fields[field] = IMPORT_SECTION_PARSERS[field](text);
+  }
+
+  const bodyText = body.join('\n').trim();
+  if (!fields.scriptContent && bodyText) {
+    fields.scriptContent = bodyText;
+  }
+
+  return fields;
+};
+
+const parseImportJSON = (content) => {
+  const data = typeof content === 'string' ? JSON.parse(content) : content;
+  if (!data || typeof data !== 'object') {
+    throw new Error('JSON content must be an object');
+  }
+
+  if (data.format !== undefined) {
+    if (data.format !== INTERCHANGE_FORMAT) {
+      throw new Error(`Unsupported JSON format "${data.format}"`);
+    }
+    if (data.version > INTERCHANGE_VERSION) {
+      throw new Error(`Unsupported interchange version ${data.version}`);
+    }
+  }
+
+  const script = data.format ? data.script : data;
+  if (!script || typeof script !== 'object') {
+    throw new Error('JSON content has no script object');
+  }
+
+  return Object.fromEntries(Object.keys(SCRIPT_FIELD_COLUMNS)
+    .filter(field => script[field] !== undefined && script[field] !== null)
+    .map(field => [field, script[field]]));
+};
+
+const detectImportFormat = (item) => {
+  if (item.format) return item.format;
+  if (item.content && typeof item.content === 'object') return 'json';
+  const extension = path.extname(item.filename || '').toLowerCase();
+  if (extension === '.json') return 'json';
+  if (extension === '.md' || extension === '.markdown') return 'markdown';
+  return 'text';
+};
+
+// Returns save fields for one import item, or throws with a user-facing reason
+const parseImportItem = (item) => {
+  if (!item || item.content === undefined || item.content === null || item.content === '') {
+    throw new Error('Item has no content');
+  }
+
+  const format = detectImportFormat(item);
+  let fields;
+  switch (format) {
+    case 'json': fields = parseImportJSON(item.content); break;
+    case 'markdown': fields = parseImportDocument(String(item.content), { markdown: true }); break;
+    case 'text': fields = parseImportDocument(String(item.content), { markdown: false }); break;
+    default: throw new Error(`Unsupported import format "${format}"`);
+  }
+
+  for (const field of Object.keys(SCRIPT_FIELD_COLUMNS)) {
+    if (item[field] !== undefined && item[field] !== null && item[field] !== '') fields[field] = item[field];
+  }
+
+  const fallbackTitle = item.filename ? path.basename(item.filename, path.extname(item.filename)) : null;
+  fields.title = String(fields.title || fields.topic || fallbackTitle || '').trim().slice(0, 500);
+  fields.topic = String(fields.topic || fields.title || '').trim();
+
+  if (!fields.title) {
+    throw new Error('Could not determine a title');
+  }
+  if (!fields.scriptContent && !fields.hooks && !fields.titles && !fields.description) {
+    throw new Error('No script content or package sections found');
+  }
+
+  if (fields.scriptContent) {
+    fields.scriptContent = String(fields.scriptContent).trim();
+    fields.scriptStats = buildScriptStats(fields.scriptContent);
+  }
+
+  return { format, fields };
+};
+
+// Admin - every change goes through updateWithAudit so it lands in admin_audit_log
+const USER_ROLES = ['user', 'admin'];
+const SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due', 'canceled', 'unpaid', 'incomplete', 'paused'];
+
+const ADMIN_USER_COLUMNS = `
+  id, email, first_name, last_name, access_level, subscription_status, role,
+  suspended_at, suspension_reason, email_verified, created_at, updated_at
+`;
+
+const formatAdminUser = (row) => ({
+  id: row.id,
+  email: row.email,
+  firstName: row.first_name,
+  lastName: row.last_name,
+  accessLevel: row.access_level,
+  subscriptionStatus: row.subscription_status,
+  role: row.role,
+  suspended: Boolean(row.suspended_at),
+  suspendedAt: row.suspended_at,
+  suspensionReason: row.suspension_reason,
+  emailVerified: row.email_verified,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const formatQuota = (row) => ({
+  accessLevel: row.access_level,
+  limits: Object.fromEntries(
+    Object.entries(QUOTA_LIMIT_COLUMNS).map(([feature, column]) => [feature, row[column]])
+  ),
+  featuresEnabled: row.features_enabled,
+  planRank: row.plan_rank,
+  premiumVoices: row.premium_voices,
+  maxDurationMinutes: row.max_duration_minutes,
+  modelTiers: row.model_tiers,
+  metering: row.metering,
+  monthlyTokenLimit: row.monthly_token_limit === null ? null : Number(row.monthly_token_limit),
+  monthlyCreditLimit: row.monthly_credit_limit,
+  customizedAt: row.customized_at
+});
+
+const recordAdminAction = (db, req, { action, targetType, targetId, changes = null, reason = null }) => db.query(`
+  INSERT INTO admin_audit_log (admin_id, action, target_type, target_id, changes, reason, ip_address)
+  VALUES ($1, $2, $3, $4, $5, $6, $7)
+`, [req.user.userId, action, targetType, String(targetId), changes && JSON.stringify(changes), reason, req.ip]);
+
+// Bookkeeping columns left out of audit entries
+const AUDIT_IGNORED_COLUMNS = ['updated_at', 'customized_at', 'token_version', 'password_hash'];
+
+// Locks the row, applies `columns` (and raw `extraSet` assignments) and writes an audit entry
+// holding the before/after value of every column that changed. Resolves to the updated row,
+// or null if it does not exist.
+const updateWithAudit = async (req, { table, keyColumn, key, columns, extraSet = [], action, targetType, reason = null }) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(`SELECT * FROM ${table} WHERE ${keyColumn} = $1 FOR UPDATE`, [key]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const before = current.rows[0];
+
+    const names = Object.keys(columns);
+    const assignments = names.map((name, index) => `${name} = $${index + 1}`);
+    const updated = await client.query(`
+      UPDATE ${table} SET ${[...assignments, ...extraSet].join(', ')}
+      WHERE ${keyColumn} = $${names.length + 1}
+      RETURNING *
+    `, [...names.map(name => columns[name]), key]);
+    const after = updated.rows[0];
+
+    const changes = {};
+    for (const name of Object.keys(after)) {
+      if (AUDIT_IGNORED_COLUMNS.includes(name)) continue;
+      if (JSON.stringify(before[name]) !== JSON.stringify(after[name])) {
+        changes[name] = { from: before[name], to: after[name] };
+      }
+    }
+
+    await recordAdminAction(client, req, { action, targetType, targetId: key, changes, reason });
+
+    await client.query('COMMIT');
+    return after;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Private voice presets
+const MAX_PRIVATE_VOICES = 20;
+const MAX_STYLE_BULLETS = 20;
+const VOICE_SAMPLE_LIMIT = 5;
+const VOICE_SAMPLE_CHARS = 6000;
+const VOICE_NAME_PATTERN = /^[a-z0-9_]{2,100}$/;
+
+const voiceNameFrom = (displayName) => String(displayName || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '')
+  .slice(0, 100);
+
+// Validates the editable preset fields present in `body`; returns columns or throws a user-facing error
+const voicePresetColumns = (body) => {
+  const columns = {};
+
+  if (body.displayName !== undefined) {
+    if (!isNonEmptyString(body.displayName)) throw new Error('displayName must be a non-empty string');
+    columns.display_name = body.displayName.trim().slice(0, 255);
+  }
+  if (body.description !== undefined) {
+    columns.description = body.description ? String(body.description).trim() : null;
+  }
+  if (body.systemPrompt !== undefined) {
+    if (!isNonEmptyString(body.systemPrompt)) throw new Error('systemPrompt must be a non-empty string');
+    columns.system_prompt = body.systemPrompt.trim();
+  }
+  if (body.styleBullets !== undefined) {
+    if (!Array.isArray(body.styleBullets)) throw new Error('styleBullets must be an array of strings');
+    const bullets = toStringList(body.styleBullets);
+    if (bullets.length > MAX_STYLE_BULLETS) throw new Error(`At most ${MAX_STYLE_BULLETS} style bullets are allowed`);
+    columns.style_bullets = JSON.stringify(bullets);
+  }
+  if (body.styleGuide !== undefined) {
+    columns.style_guide = body.styleGuide ? String(body.styleGuide).trim() : null;
+  }
+
+  return columns;
+};
+
+// Picks a name that is free for the user and not taken by a built-in preset
+const validateNewVoiceName = async (userId, requestedName, displayName) => {
+  const name = requestedName ? String(requestedName) : voiceNameFrom(displayName);
+  if (!VOICE_NAME_PATTERN.test(name)) {
+    return { status: 400, error: 'name must be 2-100 lowercase letters, digits or underscores' };
+  }
+
+  const taken = await pool.query(
+    'SELECT owner_id FROM voice_presets WHERE name = $1 AND (owner_id IS NULL OR owner_id = $2)',
+    [name, userId]
+  );
+  if (taken.rows.length > 0) {
+    const builtIn = taken.rows.some(row => row.owner_id === null);
+    return { status: 409, error: builtIn ? 'That name belongs to a built-in voice' : 'You already have a voice with that name' };
+  }
+
+  const count = await pool.query('SELECT COUNT(*) as count FROM voice_presets WHERE owner_id = $1', [userId]);
+  if (parseInt(count.rows[0].count) >= MAX_PRIVATE_VOICES) {
+    return { status: 409, error: `You can have at most ${MAX_PRIVATE_VOICES} private voices` };
+  }
+
+  return { name };
+};
+
+const insertVoicePreset = async (userId, name, columns, source) => {
+  const names = ['name', 'owner_id', 'source', ...Object.keys(columns)];
+  const values = [name, userId, source, ...Object.values(columns)];
+  const result = await pool.query(`
+    INSERT INTO voice_presets (${names.join(', ')})
+    VALUES (${names.map((_, index) => `$${index + 1}`).join(', ')})
+    RETURNING ${VOICE_PRESET_COLUMNS}
+  `, values);
+  return result.rows[0];
+};
+
+// Sample texts come from the user's saved scripts and/or uploaded documents in the import format
+const collectVoiceSamples = async (userId, { scriptIds = [], samples = [] }) => {
+  const texts = [];
+
+  if (scriptIds.length > 0) {
+    const scripts = await pool.query(
+      'SELECT id, script_content FROM saved_scripts WHERE id = ANY($1::int[]) AND user_id = $2',
+      [scriptIds, userId]
+    );
+    if (scripts.rows.length !== new Set(scriptIds.map(String)).size) {
+      throw new Error('One or more scripts were not found');
+    }
+    texts.push(...scripts.rows.map(row => row.script_content));
+  }
+
+  samples.forEach((sample, index) => {
+    // Plain strings are the script text itself; documents go through the import parser for their SCRIPT section
+    if (typeof sample === 'string') {
+      texts.push(sample);
+      return;
+    }
+    try {
+      texts.push(parseImportItem(sample).fields.scriptContent);
+    } catch (error) {
+      throw new Error(`Sample ${index + 1}: ${error.message}`);
+    }
+  });
+
+  return texts.filter(isNonEmptyString).map(text => text.trim().slice(0, VOICE_SAMPLE_CHARS));
+};
+
+const generateVoiceProfile = async (samples, options) => {
+  const prompt = `You are a script editor who studies a YouTube creator's writing so new scripts can match their voice.
+
+Analyse these ${samples.length} script(s) by the same creator:
+
+${samples.map((sample, index) => `--- SCRIPT ${index + 1} ---\n${sample}`).join('\n\n')}
+
+Describe the creator's voice so another writer could imitate it:
+- systemPrompt: one paragraph, written in the second person ("You are..."), describing who the creator is and how they speak
+- styleBullets: 5-10 short, specific rules about tone, pacing, sentence length, vocabulary, humour, structure and recurring phrases
+- profile: tone, pacing, vocabulary, structure (one short phrase each) and signaturePhrases (phrases they actually repeat)
+
+Base everything on the scripts - do not invent credentials or facts about the creator.
+
+Return JSON only:
+{"systemPrompt": "...", "styleBullets": ["..."], "profile": {"tone": "...", "pacing": "...", "vocabulary": "...", "structure": "...", "signaturePhrases": ["..."]}}`;
+
+  return generateStructured('voice', prompt, options);
+};
+
+// Usage dashboard - every figure comes from usage_logs; quotas reset at the start of each calendar month.
+// Current-period usage is what the user's plan paid for, so it includes workspaces they own.
+const MAX_USAGE_HISTORY_MONTHS = 12;
+
+const toRate = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 1000 : null);
+
+const buildUsageReport = async (userId, accessLevel, months) => {
+  const [planResult, periodResult, currentResult, windowResult, dailyResult] = await Promise.all([
+    pool.query('SELECT * FROM usage_quotas WHERE access_level = $1', [accessLevel]),
+    pool.query(`
+      SELECT DATE_TRUNC('month', CURRENT_TIMESTAMP) as period_start,
+        DATE_TRUNC('month', CURRENT_TIMESTAMP) + INTERVAL '1 month' as resets_at,
+        DATE_TRUNC('month', CURRENT_DATE) - make_interval(months => $1) as history_start
+    `, [months - 1]),
+    pool.query(`
+      SELECT feature_type, COUNT(*) as used,
+        COALESCE(SUM(tokens_used), 0) as tokens_used,
+        COALESCE(SUM(credits_used), 0) as credits_used
+      FROM usage_logs
+      WHERE ${BILLED_TO_USER} AND success = true AND created_at >= DATE_TRUNC('month', CURRENT_TIMESTAMP)
+      GROUP BY feature_type
+    `, [userId]),
+    pool.query(`
+      SELECT feature_type,
+        COUNT(*) as total,
+        COUNT(*) FILTER (WHERE success) as succeeded,
+        AVG(processing_time_ms) FILTER (WHERE success) as avg_processing_time_ms,
+        COALESCE(SUM(tokens_used), 0) as tokens_used
+      FROM usage_logs
+      WHERE ${BILLED_TO_USER} AND created_at >= DATE_TRUNC('month', CURRENT_DATE) - make_interval(months => $2)
+      GROUP BY feature_type
+    `, [userId, months - 1]),
+    pool.query(`
+      SELECT TO_CHAR(day, 'YYYY-MM-DD') as date, l.feature_type,
+        COUNT(l.id) as total,
+        COUNT(l.id) FILTER (WHERE l.success) as succeeded,
+        COALESCE(SUM(l.tokens_used), 0) as tokens_used
+      FROM generate_series(
+        DATE_TRUNC('month', CURRENT_DATE) - make_interval(months => $2), CURRENT_DATE, INTERVAL '1 day'
+      ) as day
+      LEFT JOIN usage_logs l
+        ON ${BILLED_TO_USER} AND l.created_at >= day AND l.created_at < day + INTERVAL '1 day'
+      GROUP BY day, l.feature_type
+      ORDER BY day
+    `, [userId, months - 1])
+  ]);
+
+  const plan = planResult.rows[0] || null;
+  const period = periodResult.rows[0];
+  const usedByFeature = Object.fromEntries(currentResult.rows.map(row => [row.feature_type, parseInt(row.used)]));
+  const windowByFeature = Object.fromEntries(windowResult.rows.map(row => [row.feature_type, row]));
+
+  // Token and credit plans are limited by their pool only, so per-feature request limits do not apply
+  const metering = plan && POOL_LIMIT_COLUMNS[plan.metering] ? plan.metering : 'requests';
+  let usagePool = null;
+  if (metering !== 'requests') {
+    const used = currentResult.rows.reduce((sum, row) => sum + Number(row[POOL_USAGE_COLUMNS[metering]]), 0);
+    const rawLimit = plan[POOL_LIMIT_COLUMNS[metering]];
+    const limit = rawLimit === null ? null : Number(rawLimit);
+    usagePool = {
+      unit: metering,
+      used,
+      limit,
+      remaining: limit === null ? null : Math.max(limit - used, 0),
+      percentUsed: limit > 0 ? Math.round((used / limit) * 1000) / 10 : null
+    };
+  }
+
+  const features = Object.entries(QUOTA_LIMIT_COLUMNS).map(([feature, column]) => {
+    const used = usedByFeature[feature] || 0;
+    const limit = metering !== 'requests' ? null : plan ? plan[column] : 0;
+    const stats = windowByFeature[feature];
+    const total = stats ? parseInt(stats.total) : 0;
+    const succeeded = stats ? parseInt(stats.succeeded) : 0;
+
+    return {
+      feature,
+      enabled: Boolean(plan && plan.features_enabled.includes(feature)),
+      used,
+      limit,
+      remaining: limit === null ? null : Math.max(limit - used, 0),
+      percentUsed: limit > 0 ? Math.round((used / limit) * 1000) / 10 : null,
+      history: {
+        total,
+        succeeded,
+        failed: total - succeeded,
+        successRate: toRate(succeeded, total),
+        avgProcessingTimeMs: stats && stats.avg_processing_time_ms !== null ? Math.round(stats.avg_processing_time_ms) : null,
+        tokensUsed: stats ? parseInt(stats.tokens_used) : 0
+      }
+    };
+  });
+
+  const days = new Map();
+  for (const row of dailyResult.rows) {
+    if (!days.has(row.date)) {
+      days.set(row.date, { date: row.date, total: 0, succeeded: 0, failed: 0, tokensUsed: 0, byFeature: {} });
+    }
+    if (!row.feature_type) continue;
+
+    const day = days.get(row.date);
+    const total = parseInt(row.total);
+    const succeeded = parseInt(row.succeeded);
+    day.total += total;
+    day.succeeded += succeeded;
+    day.failed += total - succeeded;
+    day.tokensUsed += parseInt(row.tokens_used);
+    day.byFeature[row.feature_type] = total;
+  }
+
+  const totals = features.reduce((sum, { history }) => ({
+    total: sum.total + history.total,
+    succeeded: sum.succeeded + history.succeeded,
+    tokensUsed: sum.tokensUsed + history.tokensUsed
+  }), { total: 0, succeeded: 0, tokensUsed: 0 });
+
+  return {
+    plan: accessLevel,
+    period: { start: period.period_start, resetsAt: period.resets_at },
+    metering,
+    pool: usagePool,
+    features,
+    history: {
+      months,
+      from: period.history_start,
+      total: totals.total,
+      succeeded: totals.succeeded,
+      failed: totals.total - totals.succeeded,
+      successRate: toRate(totals.succeeded, totals.total),
+      tokensUsed: totals.tokensUsed,
+      daily: [...days.values()]
+    }
+  };
+};
+
+// Cost reports - usage_logs rows grouped by plan, feature, model, day or user over a date range
+const COST_AGGREGATES = `
+  COUNT(*) as calls,
+  COUNT(*) FILTER (WHERE NOT success) as failed,
+  COALESCE(SUM(input_tokens), 0) as input_tokens,
+  COALESCE(SUM(output_tokens), 0) as output_tokens,
+  COALESCE(SUM(cost_usd), 0) as cost_usd,
+  COUNT(*) FILTER (WHERE cost_usd IS NULL AND model IS NOT NULL) as unpriced_calls
+`;
+
+const formatCostRow = (row) => ({
+  calls: parseInt(row.calls),
+  failed: parseInt(row.failed),
+  inputTokens: parseInt(row.input_tokens),
+  outputTokens: parseInt(row.output_tokens),
+  costUsd: Math.round(parseFloat(row.cost_usd) * 1000000) / 1000000,
+  unpricedCalls: parseInt(row.unpriced_calls)
+});
+
+// from/to query params (ISO dates); defaults to the current calendar month so far
+const parseReportRange = (query) => {
+  const now = new Date();
+  const from = query.from ? new Date(query.from) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const to = query.to ? new Date(query.to) : now;
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) return null;
+  return { from, to };
+};
+
+// Shared WHERE clause for the report endpoints: range plus optional userId and accessLevel
+const costReportFilters = (range, query) => {
+  const values = [range.from, range.to];
+  const conditions = ['l.created_at >= $1', 'l.created_at < $2'];
+
+  if (query.userId) {
+    values.push(parseInt(query.userId));
+    conditions.push(`l.user_id = $${values.length}`);
+  }
+  if (query.accessLevel) {
+    values.push(query.accessLevel);
+    conditions.push(`l.access_level = $${values.length}`);
+  }
+
+  return { where: conditions.join(' AND '), values };
+};
+
+const buildCostReport = async (range, query) => {
+  const { where, values } = costReportFilters(range, query);
+  const grouped = (expression) => pool.query(`
+    SELECT ${expression} as key, ${COST_AGGREGATES}
+    FROM usage_logs l WHERE ${where}
+    GROUP BY 1 ORDER BY cost_usd DESC, 1
+  `, values);
+
+  const [totals, byPlan, byFeature, byModel, daily] = await Promise.all([
+    pool.query(`SELECT ${COST_AGGREGATES} FROM usage_logs l WHERE ${where}`, values),
+    grouped("COALESCE(l.access_level, 'unknown')"),
+    grouped('l.feature_type'),
+    grouped("COALESCE(l.model, 'none')"),
+    pool.query(`
+      SELECT TO_CHAR(DATE_TRUNC('day', l.created_at), 'YYYY-MM-DD') as key, ${COST_AGGREGATES}
+      FROM usage_logs l WHERE ${where}
+      GROUP BY 1 ORDER BY 1
+    `, values)
+  ]);
+
+  const keyed = (rows, name) => rows.map(row => ({ [name]: row.key, ...formatCostRow(row) }));
+
+  return {
+    range,
+    totals: formatCostRow(totals.rows[0]),
+    byPlan: keyed(byPlan.rows, 'accessLevel'),
+    byFeature: keyed(byFeature.rows, 'feature'),
+    byModel: keyed(byModel.rows, 'model'),
+    daily: keyed(daily.rows, 'date')
+  };
+};
+
+// Billing - BILLING_PROVIDER=stripe (default) | fake. Every provider implements createCheckoutSession,
+// createPortalSession, priceFor(plan) and webhookSecret(); webhooks use Stripe's event shape and
+// signature scheme, so one handler serves both. The fake provider is never a fallback: it grants
+// plans to anyone who can reach its routes, so it must be chosen explicitly.
+const BILLING_PROVIDER = process.env.BILLING_PROVIDER || 'stripe';
+
+// Plans sold through checkout; each needs a price id (BILLING_PRICE_PREMIUM, BILLING_PRICE_PRO)
+const BILLING_PLANS = ['premium', 'pro'];
+
+// Provider statuses that keep the paid plan. past_due is the grace period while payment is retried.
+const ENTITLED_SUBSCRIPTION_STATUSES = ['active', 'trialing', 'past_due'];
+const BILLING_STATUS_MAP = { incomplete_expired: 'canceled' };
+
+const BILLING_SIGNATURE_TOLERANCE_SECONDS = 300;
+
+class BillingError extends Error {
+  constructor(message, { status = 500, code = 'BILLING_ERROR' } = {}) {
+    super(message);
+    this.name = 'BillingError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${payload}`>"
+const signWebhookPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+const verifyWebhookSignature = (payload, header, secret) => {
+  const parts = String(header || '').split(',').map(part => part.split('='));
+  const timestamp = parseInt((parts.find(([key]) => key === 't') || [])[1]);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value || '');
+
+  if (!timestamp || signatures.length === 0) {
+    throw new BillingError('Missing webhook signature', { status: 400, code: 'INVALID_SIGNATURE' });
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > BILLING_SIGNATURE_TOLERANCE_SECONDS) {
+    throw new BillingError('Webhook timestamp is outside the tolerance window', { status: 400, code: 'INVALID_SIGNATURE' });
+  }
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex'));
+  const valid = signatures.some(signature => (
+    signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), expected)
+  ));
+  if (!valid) {
+    throw new BillingError('Webhook signature does not match', { status: 400, code: 'INVALID_SIGNATURE' });
+  }
+};
+
+// Stripe's form encoding: nested objects and arrays become key[child][0]=value
+const encodeForm = (params, prefix = '') => Object.entries(params).flatMap(([key, value]) => {
+  if (value === undefined || value === null) return [];
+  const name = prefix ? `${prefix}[${key}]` : key;
+  return typeof value === 'object'
+    ? encodeForm(value, name)
+    : [`${encodeURIComponent(name)}=${encodeURIComponent(value)}`];
+});
+
+const stripeBillingProvider = {
+  name: 'stripe',
+  isConfigured: () => Boolean(process.env.STRIPE_SECRET_KEY && stripeBillingProvider.webhookSecret()),
+  webhookSecret: () => process.env.BILLING_WEBHOOK_SECRET || process.env.STRIPE_WEBHOOK_SECRET,
+  priceFor: (plan) => process.env[`BILLING_PRICE_${plan.toUpperCase()}`] || null,
+
+  async request(pathname, params) {
+    const response = await fetch(`https://api.stripe.com/v1${pathname}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: encodeForm(params).join('&')
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new BillingError(data.error && data.error.message ? data.error.message : `Stripe returned ${response.status}`, {
+        status: 502,
+        code: 'BILLING_PROVIDER_ERROR'
+      });
+    }
+    return data;
+  },
+
+  async createCheckoutSession({ user, priceId, successUrl, cancelUrl }) {
+    const session = await this.request('/checkout/sessions', {
+      mode: 'subscription',
+      line_items: [{ price: priceId, quantity: 1 }],
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      client_reference_id: String(user.id),
+      customer: user.billing_customer_id || undefined,
+      customer_email: user.billing_customer_id ? undefined : user.email,
+      subscription_data: { metadata: { userId: String(user.id) } }
+    });
+    return { id: session.id, url: session.url };
+  },
+
+  async createPortalSession({ customerId, returnUrl }) {
+    const session = await this.request('/billing_portal/sessions', { customer: customerId, return_url: returnUrl });
+    return { url: session.url };
+  }
+};
+
+// Local stand-in for development and integration tests. Sessions and subscriptions live in
+// memory; completeCheckout and updateSubscription return a webhook delivery { payload, signature }
+// signed exactly like a real one, to be fed through handleBillingWebhook. Passing userId limits
+// them to that user's sessions and subscriptions. Needs BILLING_WEBHOOK_SECRET, since anyone
+// holding the secret can sign plan changes.
+const createFakeBillingProvider = ({ webhookSecret = process.env.BILLING_WEBHOOK_SECRET } = {}) => {
+  if (!webhookSecret) {
+    throw new Error('BILLING_PROVIDER=fake needs BILLING_WEBHOOK_SECRET');
+  }
+
+  const sessions = new Map();
+  const subscriptions = new Map();
+  const fakeId = (prefix) => `${prefix}_fake_${crypto.randomBytes(8).toString('hex')}`;
+
+  const deliver = (type, subscription) => {
+    const payload = JSON.stringify({
+      id: fakeId('evt'),
+      type,
+      created: Math.floor(Date.now() / 1000),
+      data: {
+        object: {
+          id: subscription.id,
+          object: 'subscription',
+          customer: subscription.customerId,
+          status: subscription.status,
+          cancel_at_period_end: subscription.cancelAtPeriodEnd,
+          current_period_end: subscription.currentPeriodEnd,
+          metadata: { userId: String(subscription.userId) },
+          items: { data: [{ price: { id: subscription.priceId } }] }
+        }
+      }
+    });
+    return { payload, signature: signWebhookPayload(payload, provider.webhookSecret()) };
+  };
+
+  const provider = {
+    name: 'fake',
+    isConfigured: () => process.env.NODE_ENV !== 'production',
+    webhookSecret: () => webhookSecret,
+    priceFor: (plan) => process.env[`BILLING_PRICE_${plan.toUpperCase()}`] || `price_fake_${plan}`,
+
+    async createCheckoutSession({ user, priceId, successUrl, cancelUrl }) {
+      const session = {
+        id: fakeId('cs'),
+        userId: user.id,
+        customerId: user.billing_customer_id || fakeId('cus'),
+        priceId,
+        successUrl,
+        cancelUrl
+      };
+      sessions.set(session.id, session);
+      return { id: session.id, url: frontendUrl(`/billing/fake-checkout?session=${session.id}`) };
+    },
+
+    async createPortalSession({ customerId, returnUrl }) {
+      return { url: frontendUrl(`/billing/fake-portal?customer=${encodeURIComponent(customerId)}&return=${encodeURIComponent(returnUrl)}`) };
+    },
+
+    completeCheckout(sessionId, { userId } = {}) {
+      const session = sessions.get(sessionId);
+      if (!session || (userId !== undefined && session.userId !== userId)) return null;
+      sessions.delete(sessionId);
+
+      const subscription = {
+        id: fakeId('sub'),
+        userId: session.userId,
+        customerId: session.customerId,
+        priceId: session.priceId,
+        status: 'active',
+        cancelAtPeriodEnd: false,
+        currentPeriodEnd: Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60
+      };
+      subscriptions.set(subscription.id, subscription);
+      return { subscription, delivery: deliver('customer.subscription.created', subscription) };
+    },
+
+    // status 'canceled' ends the subscription (customer.subscription.deleted)
+    updateSubscription(subscriptionId, { status, priceId, cancelAtPeriodEnd, userId }) {
+      const subscription = subscriptions.get(subscriptionId);
+      if (!subscription || (userId !== undefined && subscription.userId !== userId)) return null;
+
+      if (status !== undefined) subscription.status = status;
+      if (priceId !== undefined) subscription.priceId = priceId;
+      if (cancelAtPeriodEnd !== undefined) subscription.cancelAtPeriodEnd = Boolean(cancelAtPeriodEnd);
+
+      const type = subscription.status === 'canceled' ? 'customer.subscription.deleted' : 'customer.subscription.updated';
+      return { subscription, delivery: deliver(type, subscription) };
+    }
+  };
+
+  return provider;
+};
+
+const BILLING_PROVIDERS = {
+  stripe: () => stripeBillingProvider,
+  fake: () => createFakeBillingProvider()
+};
+
+const billing = BILLING_PROVIDERS[BILLING_PROVIDER] ? BILLING_PROVIDERS[BILLING_PROVIDER]() : null;
+
+const planForPrice = (priceId) => BILLING_PLANS.find(plan => billing.priceFor(plan) === priceId) || null;
+
+// Re-derives the user's plan from all of their subscriptions, so a cancelled duplicate cannot
+// downgrade someone who still has another paid subscription
+const syncUserPlan = async (db, userId) => {
+  const best = await db.query(`
+    SELECT s.access_level, s.status FROM billing_subscriptions s
+    LEFT JOIN usage_quotas q ON q.access_level = s.access_level
+    WHERE s.user_id = $1
+    ORDER BY (s.status = ANY($2)) DESC, q.plan_rank DESC NULLS LAST, s.updated_at DESC
+    LIMIT 1
+  `, [userId, ENTITLED_SUBSCRIPTION_STATUSES]);
+  if (best.rows.length === 0) return;
+
+  const { access_level: accessLevel, status } = best.rows[0];
+  const entitled = ENTITLED_SUBSCRIPTION_STATUSES.includes(status);
+  await db.query(`
+    UPDATE users SET access_level = $2, subscription_status = $3, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [userId, entitled ? accessLevel : 'free', BILLING_STATUS_MAP[status] || status]);
+};
+
+const SUBSCRIPTION_EVENT_TYPES = ['customer.subscription.created', 'customer.subscription.updated', 'customer.subscription.deleted'];
+
+// Applies one verified event. Events are recorded by id so provider retries are no-ops, and
+// an event older than the last one applied to a subscription is ignored.
+const applyBillingEvent = async (event) => {
+  if (!SUBSCRIPTION_EVENT_TYPES.includes(event.type)) {
+    return { handled: false };
+  }
+
+  const subscription = event.data.object;
+  const priceId = subscription.items && subscription.items.data[0] ? subscription.items.data[0].price.id : null;
+  const plan = planForPrice(priceId);
+  if (!plan) {
+    throw new BillingError(`No plan is configured for price ${priceId}`, { status: 422, code: 'UNKNOWN_PRICE' });
+  }
+  const status = event.type === 'customer.subscription.deleted' ? 'canceled' : subscription.status;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const recorded = await client.query(`
+      INSERT INTO billing_events (provider, event_id, type, payload) VALUES ($1, $2, $3, $4)
+      ON CONFLICT DO NOTHING
+      RETURNING event_id
+    `, [billing.name, event.id, event.type, JSON.stringify(event)]);
+    if (recorded.rows.length === 0) {
+      await client.query('COMMIT');
+      return { handled: true, duplicate: true };
+    }
+
+    const metadataUserId = parseInt(subscription.metadata && subscription.metadata.userId);
+    const userResult = await client.query(
+      'SELECT id FROM users WHERE id = $1 OR billing_customer_id = $2 ORDER BY (id = $1) DESC LIMIT 1',
+      [Number.isInteger(metadataUserId) ? metadataUserId : null, subscription.customer]
+    );
+    if (userResult.rows.length === 0) {
+      console.warn(`Billing event ${event.id} does not match any user`);
+      await client.query('COMMIT');
+      return { handled: false };
+    }
+    const userId = userResult.rows[0].id;
+
+    const saved = await client.query(`
+      INSERT INTO billing_subscriptions (
+        user_id, provider, subscription_id, customer_id, price_id, access_level, status,
+        current_period_end, cancel_at_period_end, last_event_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, to_timestamp($8), $9, to_timestamp($10))
+      ON CONFLICT (provider, subscription_id) DO UPDATE SET
+        customer_id = EXCLUDED.customer_id,
+        price_id = EXCLUDED.price_id,
+        access_level = EXCLUDED.access_level,
+        status = EXCLUDED.status,
+        current_period_end = EXCLUDED.current_period_end,
+        cancel_at_period_end = EXCLUDED.cancel_at_period_end,
+        last_event_at = EXCLUDED.last_event_at,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE billing_subscriptions.last_event_at IS NULL OR billing_subscriptions.last_event_at <= EXCLUDED.last_event_at
+      RETURNING id
+    `, [
+      userId, billing.name, subscription.id, subscription.customer, priceId, plan, status,
+      subscription.current_period_end || null, Boolean(subscription.cancel_at_period_end), event.created
+    ]);
+
+    if (saved.rows.length > 0) {
+      await client.query(
+        'UPDATE users SET billing_customer_id = $2 WHERE id = $1 AND billing_customer_id IS NULL',
+        [userId, subscription.customer]
+      );
+      await syncUserPlan(client, userId);
+    }
+
+    await client.query('COMMIT');
+    return { handled: true, stale: saved.rows.length === 0 };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Shared by the webhook route and the fake provider's test routes
+const handleBillingWebhook = async (payload, signature) => {
+  verifyWebhookSignature(payload, signature, billing.webhookSecret());
+
+  let event;
+  try {
+    event = JSON.parse(payload);
+  } catch (error) {
+    throw new BillingError('Webhook payload is not valid JSON', { status: 400, code: 'INVALID_PAYLOAD' });
+  }
+  return applyBillingEvent(event);
+};
+
+const formatSubscription = (row) => ({
+  subscriptionId: row.subscription_id,
+  provider: row.provider,
+  plan: row.access_level,
+  status: row.status,
+  currentPeriodEnd: row.current_period_end,
+  cancelAtPeriodEnd: row.cancel_at_period_end,
+  updatedAt: row.updated_at
+});
+
+// Return paths come from the client, so only paths on the frontend are accepted
+const billingReturnUrl = (pathname, fallback) => frontendUrl(
+  typeof pathname === 'string' && /^\/(?!\/)/.test(pathname) ? pathname : fallback
+);
+
+const sendBillingError = (res, error, fallbackMessage) => {
+  if (error instanceof BillingError) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  res.status(500).json({ error: fallbackMessage });
+};
+
+// Full video package - feature type -> generator and the save field it fills
+const PACKAGE_ASSETS = {
+  script: { generate: generateScript, pick: (result) => ({ scriptContent: result.script, scriptStats: result.stats }) },
+  hooks: { generate: generateHooks, pick: (result) => ({ hooks: result.hooks }) },
+  titles: { generate: generateTitles, pick: (result) => ({ titles: result.titles }) },
+  outline: { generate: generateOutline, pick: (result) => ({ outline: result.outline }) },
+  description: { generate: generateDescription, pick: (result) => ({ description: result.description }) },
+  tags: { generate: generateTags, pick: (result) => ({ tags: result.tags }) },
+  thumbnail: { generate: generateThumbnailText, pick: (result) => ({ thumbnailText: result.thumbnailText }) },
+  ctas: { generate: generateCallToActions, pick: (result) => ({ callToActions: result.callToActions }) }
+};
+
+// ROUTES
+
+// Health check
+app.get('/health', async (req, res) => {
+  try {
+    await pool.query('SELECT NOW()');
+    const upstream = getBreakerStatus();
+    const degraded = Object.values(upstream).some(breaker => breaker.state !== 'closed');
+    res.json({ 
+      status: degraded ? 'degraded' : 'healthy', 
+      timestamp: new Date().toISOString(),
+      database: 'connected',
+      llmProvider: LLM_PROVIDER,
+      upstream,
+      environment: process.env.NODE_ENV
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      status: 'unhealthy', 
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Authentication routes
+app.post('/api/auth/register', authLimiter, async (req, res) => {
+  try {
+    const { email, password, firstName, lastName } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password required' });
+    }
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+    if (existingUser.rows.length > 0) {
+      return res.status(400).json({ error: 'User already exists' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 12);
+
+    const newUser = await pool.query(`
+      INSERT INTO users (email, password_hash, first_name, last_name, access_level, subscription_status)
+      VALUES ($1, $2, $3, $4, 'free', 'active')
+      RETURNING id, email, first_name, last_name, access_level, subscription_status, token_version, email_verified, created_at
+    `, [email, passwordHash, firstName, lastName]);
+
+    const user = newUser.rows[0];
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+
+    const session = await issueSession(user, req);
+
+    res.json({
+      ...session,
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        accessLevel: user.access_level,
+        subscriptionStatus: user.subscription_status,
+        emailVerified: user.email_verified,
+        createdAt: user.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+app.post('/api/auth/login', authLimiter, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const userResult = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+    if (userResult.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const user = userResult.rows[0];
+    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    if (user.suspended_at) {
+      return res.status(403).json({ error: 'Account suspended', code: 'ACCOUNT_SUSPENDED' });
+    }
+
+    const session = await issueSession(user, req);
+
+    res.json({
+      ...session,
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        accessLevel: user.access_level,
+        subscriptionStatus: user.subscription_status,
+        preferredVoice: user.preferred_voice,
+        emailVerified: user.email_verified,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+app.post('/api/auth/verify-email', apiLimiter, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token required' });
+    }
+
+    const userId = await consumeAuthToken(pool, token, 'verify_email');
+    if (!userId) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired', code: 'TOKEN_INVALID' });
+    }
+
+    await pool.query(`
+      UPDATE users SET email_verified = TRUE, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [userId]);
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Email verification failed' });
+  }
+});
+
+app.post('/api/auth/resend-verification', authenticateToken, authLimiter, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, email, first_name, email_verified FROM users WHERE id = $1',
+      [req.user.userId]
+    );
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.email_verified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Always answers the same way so the endpoint cannot be used to discover registered emails
+app.post('/api/auth/forgot-password', authLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email required' });
+    }
+
+    const result = await pool.query('SELECT id, email, first_name FROM users WHERE email = $1', [email]);
+    if (result.rows.length > 0) {
+      await sendPasswordResetEmail(result.rows[0]);
+    }
+
+    res.json({ success: true, message: 'If that email is registered, a reset link has been sent' });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to start password reset' });
+  }
+});
+
+// Changing the password bumps token_version through the users trigger, ending every session
+app.post('/api/auth/reset-password', authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password required' });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const userId = await consumeAuthToken(pool, token, 'reset_password');
+    if (!userId) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired', code: 'TOKEN_INVALID' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 12);
+    // Following the emailed link proves ownership of the address as well
+    await pool.query(`
+      UPDATE users
+      SET password_hash = $1, email_verified = TRUE,
+        email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [passwordHash, userId]);
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+});
+
+// Exchanges a refresh token for a new access token and a new refresh token. Presenting a token
+// that was already rotated revokes its whole family, since it has most likely been stolen.
+app.post('/api/auth/refresh', refreshLimiter, async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token required' });
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const tokenResult = await client.query(`
+      SELECT t.*, u.email, u.first_name, u.access_level, u.token_version, u.suspended_at
+      FROM refresh_tokens t
+      JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash = $1
+      FOR UPDATE OF t
+    `, [hashToken(refreshToken)]);
+
+    const stored = tokenResult.rows[0];
+    if (!stored) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Invalid refresh token', code: 'REFRESH_INVALID' });
+    }
+
+    if (stored.revoked_at) {
+      if (stored.replaced_by) {
+        await client.query(
+          'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL',
+          [stored.family_id]
+        );
+        console.warn(`Refresh token reuse detected for user ${stored.user_id}, session family revoked`);
+      }
+      await client.query('COMMIT');
+      return res.status(401).json({ error: 'Refresh token has been revoked', code: 'REFRESH_REVOKED' });
+    }
+
+    if (new Date(stored.expires_at) < new Date()) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ error: 'Refresh token expired', code: 'REFRESH_EXPIRED' });
+    }
+
+    if (stored.suspended_at) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Account suspended', code: 'ACCOUNT_SUSPENDED' });
+    }
+
+    const next = await createRefreshToken(client, stored.user_id, req, stored.family_id);
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $1 WHERE id = $2',
+      [next.id, stored.id]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      token: signAccessToken({ ...stored, id: stored.user_id }),
+      refreshToken: next.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+
+  } catch (error) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed' });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// Ends the session the refresh token belongs to
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    await pool.query(`
+      UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+      WHERE revoked_at IS NULL AND family_id = (
+        SELECT family_id FROM refresh_tokens WHERE token_hash = $1
+      )
+    `, [hashToken(refreshToken)]);
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeAllSessions(pool, req.user.userId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out all sessions' });
+  }
+});
+
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT DISTINCT ON (family_id) family_id, user_agent, ip_address, created_at, expires_at
+      FROM refresh_tokens
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY family_id, created_at DESC
+    `, [req.user.userId]);
+
+    res.json({
+      sessions: result.rows.map(row => ({
+        id: row.family_id,
+        userAgent: row.user_agent,
+        ipAddress: row.ip_address,
+        lastRefreshedAt: row.created_at,
+        expiresAt: row.expires_at
+      }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve sessions' });
+  }
+});
+
+// User profile
+app.get('/api/user/profile', authenticateToken, async (req, res) => {
+  try {
+    const userProfile = await pool.query(`
+      SELECT 
+        u.*,
+        COALESCE(usage_stats.script_count, 0) as scripts_this_month,
+        COALESCE(usage_stats.hooks_count, 0) as hooks_this_month,
+        COALESCE(usage_stats.titles_count, 0) as titles_this_month,
+        q.*
+      FROM users u
+      LEFT JOIN (
+        SELECT 
+          user_id,
+          COUNT(CASE WHEN feature_type = 'script' AND success = true THEN 1 END) as script_count,
+          COUNT(CASE WHEN feature_type = 'hooks' AND success = true THEN 1 END) as hooks_count,
+          COUNT(CASE WHEN feature_type = 'titles' AND success = true THEN 1 END) as titles_count
+        FROM usage_logs 
+        WHERE created_at >= DATE_TRUNC('month', CURRENT_TIMESTAMP)
+        GROUP BY user_id
+      ) usage_stats ON u.id = usage_stats.user_id
+      LEFT JOIN usage_quotas q ON u.access_level = q.access_level
+      WHERE u.id = $1
+    `, [req.user.userId]);
+
+    if (userProfile.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const userData = userProfile.rows[0];
+    
+    res.json({
+      user: {
+        id: userData.id,
+        email: userData.email,
+        firstName: userData.first_name,
+        lastName: userData.last_name,
+        accessLevel: userData.access_level,
+        subscriptionStatus: userData.subscription_status,
+        preferredVoice: userData.preferred_voice,
+        emailVerified: userData.email_verified,
+        role: userData.role,
+        createdAt: userData.created_at
+      },
+      usage: {
+        script: parseInt(userData.scripts_this_month || 0),
+        hooks: parseInt(userData.hooks_this_month || 0),
+        titles: parseInt(userData.titles_this_month || 0)
+      },
+      quotas: {
+        monthly_script_limit: userData.monthly_script_limit,
+        monthly_hooks_limit: userData.monthly_hooks_limit,
+        monthly_titles_limit: userData.monthly_titles_limit,
+        features_enabled: userData.features_enabled
+      }
+    });
+  } catch (error) {
+    console.error('Profile fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// Query: months (history window including the current month, default 3, max 12)
+app.get('/api/user/usage', authenticateToken, async (req, res) => {
+  try {
+    const months = Math.min(Math.max(parseInt(req.query.months) || 3, 1), MAX_USAGE_HISTORY_MONTHS);
+    const report = await buildUsageReport(req.user.userId, req.user.accessLevel, months);
+    res.json(report);
+  } catch (error) {
+    console.error('Usage report error:', error);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+});
+
+// Only the fields present in the body are changed
+app.patch('/api/user/profile', authenticateToken, async (req, res) => {
+  try {
+    const { firstName, lastName, preferredVoice } = req.body;
+    const updates = [];
+    const values = [];
+
+    if (firstName !== undefined) {
+      values.push(firstName ? String(firstName).trim().slice(0, 100) : null);
+      updates.push(`first_name = $${values.length}`);
+    }
+
+    if (lastName !== undefined) {
+      values.push(lastName ? String(lastName).trim().slice(0, 100) : null);
+      updates.push(`last_name = $${values.length}`);
+    }
+
+    if (preferredVoice !== undefined) {
+      const voiceName = preferredVoice || 'default';
+      const voice = await pool.query(
+        'SELECT name FROM voice_presets WHERE name = $1 AND (owner_id IS NULL OR owner_id = $2)',
+        [voiceName, req.user.userId]
+      );
+      if (voice.rows.length === 0) {
+        return res.status(400).json({ error: 'Unknown voice preset' });
+      }
+      values.push(voiceName);
+      updates.push(`preferred_voice = $${values.length}`);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No profile fields to update' });
+    }
+
+    values.push(req.user.userId);
+    const result = await pool.query(`
+      UPDATE users SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${values.length}
+      RETURNING id, email, first_name, last_name, access_level, subscription_status, preferred_voice, email_verified, created_at
+    `, values);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = result.rows[0];
+    res.json({
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        accessLevel: user.access_level,
+        subscriptionStatus: user.subscription_status,
+        preferredVoice: user.preferred_voice,
+        emailVerified: user.email_verified,
+        createdAt: user.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// The password change ends every existing session (see the users trigger), so the caller
+// gets a fresh session back to stay signed in on this device
+app.post('/api/user/password', authenticateToken, authLimiter, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password required' });
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+    const user = userResult.rows[0];
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isValidPassword = await bcrypt.compare(currentPassword, user.password_hash);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 12);
+    const updated = await pool.query(`
+      UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING *
+    `, [passwordHash, user.id]);
+
+    const session = await issueSession(updated.rows[0], req);
+    res.json({ success: true, ...session });
+
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Scripts, series and sources written in other people's workspaces belong to those teams, so they
+// pass to the workspace owner; workspaces the user owns are deleted with the account. One
+// transaction, so a failure part-way leaves the account and its content untouched.
+const deleteAccount = async (userId) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    for (const table of ['saved_scripts', 'content_series', 'reference_sources']) {
+      await client.query(`
+        UPDATE ${table} t SET user_id = w.owner_id
+        FROM workspaces w
+        WHERE t.workspace_id = w.id AND t.user_id = $1 AND w.owner_id <> $1
+      `, [userId]);
+    }
+    await client.query('DELETE FROM users WHERE id = $1', [userId]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Deletes the account and, through ON DELETE CASCADE, its scripts, usage and sessions.
+// Requires the password and confirm: "DELETE" so a stolen access token alone is not enough
+app.delete('/api/user', authenticateToken, authLimiter, async (req, res) => {
+  try {
+    const { password, confirm } = req.body;
+
+    if (confirm !== 'DELETE') {
+      return res.status(400).json({ error: 'Set confirm to "DELETE" to delete the account' });
+    }
+
+    if (!password) {
+      return res.status(400).json({ error: 'Password required' });
+    }
+
+    const userResult = await pool.query('SELECT id, password_hash FROM users WHERE id = $1', [req.user.userId]);
+    const user = userResult.rows[0];
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    await deleteAccount(user.id);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+// Billing
+const requireBilling = (req, res, next) => {
+  if (!billing || !billing.isConfigured()) {
+    return res.status(503).json({ error: 'Billing is not configured' });
+  }
+  next();
+};
+
+app.get('/api/billing/subscription', authenticateToken, async (req, res) => {
+  try {
+    const [userResult, subscriptions] = await Promise.all([
+      pool.query('SELECT access_level, subscription_status, billing_customer_id FROM users WHERE id = $1', [req.user.userId]),
+      pool.query(`
+        SELECT * FROM billing_subscriptions WHERE user_id = $1
+        ORDER BY (status = ANY($2)) DESC, updated_at DESC
+      `, [req.user.userId, ENTITLED_SUBSCRIPTION_STATUSES])
+    ]);
+    const user = userResult.rows[0];
+
+    res.json({
+      plan: user.access_level,
+      subscriptionStatus: user.subscription_status,
+      hasBillingAccount: Boolean(user.billing_customer_id),
+      plans: BILLING_PLANS,
+      subscriptions: subscriptions.rows.map(formatSubscription)
+    });
+  } catch (error) {
+    console.error('Billing subscription error:', error);
+    res.status(500).json({ error: 'Failed to fetch subscription' });
+  }
+});
+
+// Body: plan (premium | pro), optional successPath and cancelPath on the frontend
+app.post('/api/billing/checkout', authenticateToken, requireBilling, async (req, res) => {
+  try {
+    const { plan, successPath, cancelPath } = req.body;
+    if (!BILLING_PLANS.includes(plan)) {
+      return res.status(400).json({ error: 'Unknown plan', allowed: BILLING_PLANS });
+    }
+
+    const priceId = billing.priceFor(plan);
+    if (!priceId) {
+      return res.status(503).json({ error: `No price is configured for the ${planName(plan)} plan` });
+    }
+
+    const active = await pool.query(
+      'SELECT 1 FROM billing_subscriptions WHERE user_id = $1 AND status = ANY($2) LIMIT 1',
+      [req.user.userId, ENTITLED_SUBSCRIPTION_STATUSES]
+    );
+    if (active.rows.length > 0) {
+      return res.status(409).json({ error: 'You already have a subscription; use the billing portal to change plans' });
+    }
+
+    const userResult = await pool.query('SELECT id, email, billing_customer_id FROM users WHERE id = $1', [req.user.userId]);
+    const session = await billing.createCheckoutSession({
+      user: userResult.rows[0],
+      priceId,
+      successUrl: billingReturnUrl(successPath, '/billing/success'),
+      cancelUrl: billingReturnUrl(cancelPath, '/billing')
+    });
+
+    res.status(201).json({ sessionId: session.id, url: session.url, plan });
+  } catch (error) {
+    console.error('Billing checkout error:', error);
+    sendBillingError(res, error, 'Failed to start checkout');
+  }
+});
+
+// Body: optional returnPath on the frontend
+app.post('/api/billing/portal', authenticateToken, requireBilling, async (req, res) => {
+  try {
+    const userResult = await pool.query('SELECT billing_customer_id FROM users WHERE id = $1', [req.user.userId]);
+    const customerId = userResult.rows[0].billing_customer_id;
+    if (!customerId) {
+      return res.status(404).json({ error: 'No billing account yet; subscribe to a plan first' });
+    }
+
+    const session = await billing.createPortalSession({
+      customerId,
+      returnUrl: billingReturnUrl(req.body.returnPath, '/billing')
+    });
+    res.json({ url: session.url });
+  } catch (error) {
+    console.error('Billing portal error:', error);
+    sendBillingError(res, error, 'Failed to open billing portal');
+  }
+});
+
+// Called by the billing provider; authenticated by the signature over the raw body
+app.post('/api/billing/webhook', requireBilling, async (req, res) => {
+  try {
+    const signature = req.headers['stripe-signature'] || req.headers['billing-signature'];
+    const result = await handleBillingWebhook(req.rawBody ? req.rawBody.toString('utf8') : '', signature);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    console.error('Billing webhook error:', error);
+    sendBillingError(res, error, 'Failed to process webhook');
+  }
+});
+
+// Fake provider controls for local development and tests - they stand in for the provider's
+// hosted pages and deliver their webhooks through the same signature check. They exist only with
+// BILLING_PROVIDER=fake and act on the caller's own sessions and subscriptions.
+const requireFakeBilling = (req, res, next) => {
+  if (!billing || billing.name !== 'fake' || !billing.isConfigured()) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+};
+
+app.post('/api/billing/fake/checkout/:sessionId/complete', requireFakeBilling, authenticateToken, async (req, res) => {
+  try {
+    const completed = billing.completeCheckout(req.params.sessionId, { userId: req.user.userId });
+    if (!completed) {
+      return res.status(404).json({ error: 'Checkout session not found' });
+    }
+
+    const { payload, signature } = completed.delivery;
+    const result = await handleBillingWebhook(payload, signature);
+    res.json({ subscriptionId: completed.subscription.id, webhook: result });
+  } catch (error) {
+    console.error('Fake checkout error:', error);
+    sendBillingError(res, error, 'Failed to complete checkout');
+  }
+});
+
+// Body: any of status, plan, cancelAtPeriodEnd; status "canceled" ends the subscription
+app.post('/api/billing/fake/subscriptions/:subscriptionId', requireFakeBilling, authenticateToken, async (req, res) => {
+  try {
+    const { status, plan, cancelAtPeriodEnd } = req.body;
+    if (plan !== undefined && !BILLING_PLANS.includes(plan)) {
+      return res.status(400).json({ error: 'Unknown plan', allowed: BILLING_PLANS });
+    }
+
+    const changed = billing.updateSubscription(req.params.subscriptionId, {
+      status,
+      priceId: plan === undefined ? undefined : billing.priceFor(plan),
+      cancelAtPeriodEnd,
+      userId: req.user.userId
+    });
+    if (!changed) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    const { payload, signature } = changed.delivery;
+    const result = await handleBillingWebhook(payload, signature);
+    res.json({ subscriptionId: changed.subscription.id, status: changed.subscription.status, webhook: result });
+  } catch (error) {
+    console.error('Fake subscription update error:', error);
+    sendBillingError(res, error, 'Failed to update subscription');
+  }
+});
+
+// Workspaces
+const INVITABLE_WORKSPACE_ROLES = ['editor', 'viewer'];
+
+const formatWorkspace = (row) => ({
+  id: row.id,
+  name: row.name,
+  ownerId: row.owner_id,
+  role: row.role,
+  memberCount: row.member_count !== undefined ? parseInt(row.member_count) : undefined,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const parseWorkspaceName = (name) => (isNonEmptyString(name) ? String(name).trim().slice(0, 255) : null);
+
+app.get('/api/workspaces', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT w.*, m.role,
+        (SELECT COUNT(*) FROM workspace_members WHERE workspace_id = w.id) as member_count
+      FROM workspaces w
+      JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = $1
+      ORDER BY w.name, w.id
+    `, [req.user.userId]);
+
+    res.json({ workspaces: result.rows.map(formatWorkspace) });
+  } catch (error) {
+    console.error('List workspaces error:', error);
+    res.status(500).json({ error: 'Failed to retrieve workspaces' });
+  }
+});
+
+// Body: name. Usage in the workspace is billed to the creator's plan.
+app.post('/api/workspaces', authenticateToken, async (req, res) => {
+  const name = parseWorkspaceName(req.body.name);
+  if (!name) {
+    return res.status(400).json({ error: 'Workspace name is required' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const created = await client.query(
+      'INSERT INTO workspaces (name, owner_id) VALUES ($1, $2) RETURNING *',
+      [name, req.user.userId]
+    );
+    await client.query(
+      "INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, 'owner')",
+      [created.rows[0].id, req.user.userId]
+    );
+    await client.query('COMMIT');
+
+    res.status(201).json({ workspace: formatWorkspace({ ...created.rows[0], role: 'owner', member_count: 1 }) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create workspace error:', error);
+    res.status(500).json({ error: 'Failed to create workspace' });
+  } finally {
+    client.release();
+  }
+});
+
+// Body: token from the invitation email. The signed-in account must use the invited address.
+app.post('/api/workspaces/invitations/accept', authenticateToken, async (req, res) => {
+  if (!req.body.token) {
+    return res.status(400).json({ error: 'Invitation token is required' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const invitation = await client.query(`
+      SELECT i.*, w.name as workspace_name FROM workspace_invitations i
+      JOIN workspaces w ON w.id = i.workspace_id
+      WHERE i.token_hash = $1 AND i.accepted_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP
+      FOR UPDATE OF i
+    `, [hashToken(String(req.body.token))]);
+    if (invitation.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Invalid or expired invitation', code: 'INVALID_INVITATION' });
+    }
+    const invite = invitation.rows[0];
+
+    const user = await client.query('SELECT email FROM users WHERE id = $1', [req.user.userId]);
+    if (user.rows[0].email.toLowerCase() !== invite.email.toLowerCase()) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'This invitation was sent to a different email address' });
+    }
+
+    // Accepting again never demotes an owner
+    await client.query(`
+      INSERT INTO workspace_members (workspace_id, user_id, role) VALUES ($1, $2, $3)
+      ON CONFLICT (workspace_id, user_id) DO UPDATE SET role = EXCLUDED.role
+      WHERE workspace_members.role <> 'owner'
+    `, [invite.workspace_id, req.user.userId, invite.role]);
+    await client.query(
+      'UPDATE workspace_invitations SET accepted_at = CURRENT_TIMESTAMP, accepted_by = $2 WHERE id = $1',
+      [invite.id, req.user.userId]
+    );
+
+    await client.query('COMMIT');
+    res.json({ workspace: { id: invite.workspace_id, name: invite.workspace_name }, role: invite.role });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  } finally {
+    client.release();
+  }
+});
+
+app.get('/api/workspaces/:id', authenticateToken, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const [workspace, members] = await Promise.all([
+      pool.query('SELECT * FROM workspaces WHERE id = $1', [req.workspace.id]),
+      pool.query(`
+        SELECT u.id, u.email, u.first_name, u.last_name, m.role, m.created_at
+        FROM workspace_members m JOIN users u ON u.id = m.user_id
+        WHERE m.workspace_id = $1
+        ORDER BY m.created_at
+      `, [req.workspace.id])
+    ]);
+
+    res.json({
+      workspace: formatWorkspace({ ...workspace.rows[0], role: req.workspace.role, member_count: members.rows.length }),
+      plan: req.workspace.accessLevel,
+      members: members.rows.map(row => ({
+        userId: row.id,
+        email: row.email,
+        firstName: row.first_name,
+        lastName: row.last_name,
+        role: row.role,
+        joinedAt: row.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Get workspace error:', error);
+    res.status(500).json({ error: 'Failed to retrieve workspace' });
+  }
+});
+
+app.patch('/api/workspaces/:id', authenticateToken, requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const name = parseWorkspaceName(req.body.name);
+    if (!name) {
+      return res.status(400).json({ error: 'Workspace name is required' });
+    }
+
+    const result = await pool.query(
+      'UPDATE workspaces SET name = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [req.workspace.id, name]
+    );
+    res.json({ workspace: formatWorkspace({ ...result.rows[0], role: req.workspace.role }) });
+  } catch (error) {
+    console.error('Update workspace error:', error);
+    res.status(500).json({ error: 'Failed to update workspace' });
+  }
+});
+
+// Deletes the workspace and its whole script library. Body: confirm: "DELETE"
+app.delete('/api/workspaces/:id', authenticateToken, requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    if (req.body.confirm !== 'DELETE') {
+      return res.status(400).json({ error: 'Set confirm to "DELETE" to delete the workspace and its scripts' });
+    }
+
+    await pool.query('DELETE FROM workspaces WHERE id = $1', [req.workspace.id]);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete workspace error:', error);
+    res.status(500).json({ error: 'Failed to delete workspace' });
+  }
+});
+
+app.get('/api/workspaces/:id/invitations', authenticateToken, requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, email, role, invited_by, expires_at, created_at FROM workspace_invitations
+      WHERE workspace_id = $1 AND accepted_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY created_at DESC
+    `, [req.workspace.id]);
+
+    res.json({
+      invitations: result.rows.map(row => ({
+        id: row.id,
+        email: row.email,
+        role: row.role,
+        invitedBy: row.invited_by,
+        expiresAt: row.expires_at,
+        createdAt: row.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({ error: 'Failed to retrieve invitations' });
+  }
+});
+
+// Body: email, role (editor | viewer). Re-inviting an address replaces its pending invitation.
+app.post('/api/workspaces/:id/invitations', authenticateToken, requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const role = req.body.role || 'editor';
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+    if (!INVITABLE_WORKSPACE_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Unknown role', allowed: INVITABLE_WORKSPACE_ROLES });
+    }
+
+    const member = await pool.query(`
+      SELECT 1 FROM workspace_members m JOIN users u ON u.id = m.user_id
+      WHERE m.workspace_id = $1 AND LOWER(u.email) = $2
+    `, [req.workspace.id, email]);
+    if (member.rows.length > 0) {
+      return res.status(409).json({ error: 'That user is already a member of this workspace' });
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await pool.query(
+      'DELETE FROM workspace_invitations WHERE workspace_id = $1 AND LOWER(email) = $2 AND accepted_at IS NULL',
+      [req.workspace.id, email]
+    );
+    const created = await pool.query(`
+      INSERT INTO workspace_invitations (workspace_id, email, role, token_hash, invited_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(days => $6))
+      RETURNING id, expires_at
+    `, [req.workspace.id, email, role, hashToken(token), req.user.userId, WORKSPACE_INVITATION_TTL_DAYS]);
+
+    const inviter = await pool.query('SELECT email, first_name, last_name FROM users WHERE id = $1', [req.user.userId]);
+    const { first_name: firstName, last_name: lastName, email: inviterEmail } = inviter.rows[0];
+
+    try {
+      await sendWorkspaceInvitationEmail({
+        email,
+        token,
+        role,
+        workspaceName: req.workspace.name,
+        inviterName: [firstName, lastName].filter(Boolean).join(' ') || inviterEmail
+      });
+    } catch (mailError) {
+      console.error('Invitation email error:', mailError);
+      return res.status(502).json({ error: 'Invitation saved but the email could not be sent; try again', invitationId: created.rows[0].id });
+    }
+
+    res.status(201).json({
+      invitation: { id: created.rows[0].id, email, role, expiresAt: created.rows[0].expires_at }
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Failed to create invitation' });
+  }
+});
+
+app.delete('/api/workspaces/:id/invitations/:invitationId', authenticateToken, requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM workspace_invitations WHERE id = $1 AND workspace_id = $2 AND accepted_at IS NULL RETURNING id',
+      [req.params.invitationId, req.workspace.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+// Body: role (editor | viewer). The owner's role cannot be changed.
+app.patch('/api/workspaces/:id/members/:userId', authenticateToken, requireWorkspaceRole('owner'), async (req, res) => {
+  try {
+    if (!INVITABLE_WORKSPACE_ROLES.includes(req.body.role)) {
+      return res.status(400).json({ error: 'Unknown role', allowed: INVITABLE_WORKSPACE_ROLES });
+    }
+
+    const result = await pool.query(`
+      UPDATE workspace_members SET role = $3
+      WHERE workspace_id = $1 AND user_id = $2 AND role <> 'owner'
+      RETURNING user_id, role
+    `, [req.workspace.id, req.params.userId, req.body.role]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    res.json({ member: { userId: result.rows[0].user_id, role: result.rows[0].role } });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({ error: 'Failed to update member' });
+  }
+});
+
+// Owners remove members; any other member can remove themselves. Their scripts stay in the workspace.
+app.delete('/api/workspaces/:id/members/:userId', authenticateToken, requireWorkspaceRole('viewer'), async (req, res) => {
+  try {
+    const leaving = String(req.params.userId) === String(req.user.userId);
+    if (!leaving && req.workspace.role !== 'owner') {
+      return res.status(403).json({ error: 'Only the workspace owner can remove other members' });
+    }
+
+    const result = await pool.query(`
+      DELETE FROM workspace_members
+      WHERE workspace_id = $1 AND user_id = $2 AND role <> 'owner'
+      RETURNING user_id
+    `, [req.workspace.id, req.params.userId]);
+    if (result.rows.length === 0) {
+      return res.status(leaving ? 400 : 404).json({
+        error: leaving ? 'The owner cannot leave the workspace; delete it instead' : 'Member not found'
+      });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({ error: 'Failed to remove member' });
+  }
+});
+
+// Content generation endpoints
+// Streams the script as SSE "delta" events and finishes with a "done" event carrying stats
+const handleScriptStream = async (req, res) => {
+  const startTime = Date.now();
+  const meter = createUsageMeter(req.workspace);
+  let quota = null;
+  const { topic, audience, duration, tone, videoType, voicePreset, sourceId } = req.body;
+  const metadata = { topic, audience, duration, tone, videoType, voicePreset, sourceId, stream: true };
+  const controller = new AbortController();
+  let finished = false;
+
+  try {
+    if (sourceId && !isRowId(sourceId)) {
+      return res.status(400).json({ error: 'sourceId must be a source id' });
+    }
+    const reference = sourceId ? await findReferenceSource(pool, sourceId, scriptScope(req)) : null;
+    if (sourceId && !reference) {
+      return res.status(404).json({ error: 'Reference source not found' });
+    }
+
+    quota = await reserveQuota(req.user.userId, 'script', { modelTier: req.body.modelTier, workspace: req.workspace });
+    if (!quota.allowed) {
+      return res.status(429).json({ error: quota.reason });
+    }
+
+    const fullPrompt = await buildScriptPrompt({ ...req.body, reference, userId: req.user.userId });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    res.on('close', () => {
+      if (!finished) controller.abort();
+    });
+
+    const { text: scriptContent } = await streamText('script', fullPrompt, (text) => {
+      sendSSE(res, 'delta', { text });
+    }, { signal: controller.signal, modelTier: req.body.modelTier, meter });
+
+    finished = true;
+    const processingTime = Date.now() - startTime;
+    const stats = { ...buildScriptStats(scriptContent), processingTime };
+
+    await logUsage(req.user.userId, 'script', true, processingTime, meter, null, metadata);
+    await settleQuota(quota, true);
+
+    sendSSE(res, 'done', { stats, sourceId: reference ? reference.id : null });
+    res.end();
+
+  } catch (error) {
+    finished = true;
+    const processingTime = Date.now() - startTime;
+    const clientGone = controller.signal.aborted;
+    console.error('Script stream error:', error);
+    await logUsage(req.user.userId, 'script', false, processingTime, meter,
+      clientGone ? 'Client disconnected' : error.message, metadata);
+    await settleQuota(quota, false);
+
+    if (!res.headersSent) {
+      return sendGenerationError(res, error, 'Script generation failed');
+    }
+    if (!clientGone) {
+      sendSSE(res, 'error', describeGenerationError(error, 'Script generation failed').body);
+      res.end();
+    }
+  }
+};
+
+app.post('/api/generate/script/stream', authenticateToken, applyPreferredVoice, workspaceContext('editor'), requireEntitlement('script'), apiLimiter, generationLimiter, handleScriptStream);
+
+app.post('/api/generate/script', authenticateToken, applyPreferredVoice, workspaceContext('editor'), requireEntitlement('script'), apiLimiter, generationLimiter, async (req, res) => {
+  if (req.query.stream === 'true') {
+    return handleScriptStream(req, res);
+  }
+
+  const startTime = Date.now();
+  const meter = createUsageMeter(req.workspace);
+  let quota = null;
+  const { topic, audience, duration, tone, videoType, voicePreset, sourceId } = req.body;
+  
+  try {
+    if (sourceId && !isRowId(sourceId)) {
+      return res.status(400).json({ error: 'sourceId must be a source id' });
+    }
+    const reference = sourceId ? await findReferenceSource(pool, sourceId, scriptScope(req)) : null;
+    if (sourceId && !reference) {
+      return res.status(404).json({ error: 'Reference source not found' });
+    }
+
+    quota = await reserveQuota(req.user.userId, 'script', { modelTier: req.body.modelTier, workspace: req.workspace });
+    if (!quota.allowed) {
+      return res.status(429).json({ error: quota.reason });
+    }
+
+    const { script, stats } = await generateScript({ ...req.body, reference, userId: req.user.userId, meter });
+    
+    const processingTime = Date.now() - startTime;
+    
+    await logUsage(req.user.userId, 'script', true, processingTime, meter, null, 
+      { topic, audience, duration, tone, videoType, voicePreset, sourceId });
+    await settleQuota(quota, true);
+
+    res.json({
+      script,
+      stats: { ...stats, processingTime },
+      sourceId: reference ? reference.id : null
+    });
+
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Script generation error:', error);
+    await logUsage(req.user.userId, 'script', false, processingTime, meter, error.message, 
+      { topic, audience, duration, tone, videoType, voicePreset, sourceId });
+    await settleQuota(quota, false);
+    sendGenerationError(res, error, 'Script generation failed');
+  }
+});
+
+app.post('/api/generate/hooks', authenticateToken, applyPreferredVoice, workspaceContext('editor'), requireEntitlement('hooks'), apiLimiter, generationLimiter, async (req, res) => {
+  const startTime = Date.now();
+  const meter = createUsageMeter(req.workspace);
+  let quota = null;
+  const { topic, audience, videoType, tone } = req.body;
+
+  try {
+    quota = await reserveQuota(req.user.userId, 'hooks', { modelTier: req.body.modelTier, workspace: req.workspace });
+    if (!quota.allowed) {
+      return res.status(429).json({ error: quota.reason });
+    }
+
+    const { hooks } = await generateHooks({ ...req.body, userId: req.user.userId, meter });
+    const processingTime = Date.now() - startTime;
+    
+    await logUsage(req.user.userId, 'hooks', true, processingTime, meter, null, { topic, audience, videoType, tone });
+    await settleQuota(quota, true);
+    
+    res.json({ hooks });
+
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Hooks generation error:', error);
+    await logUsage(req.user.userId, 'hooks', false, processingTime, meter, error.message, { topic, audience, videoType, tone });
+    await settleQuota(quota, false);
+    sendGenerationError(res, error, 'Hooks generation failed');
+  }
+});
+
+app.post('/api/generate/titles', authenticateToken, applyPreferredVoice, workspaceContext('editor'), requireEntitlement('titles'), apiLimiter, generationLimiter, async (req, res) => {
+  const startTime = Date.now();
+  const meter = createUsageMeter(req.workspace);
+  let quota = null;
+  const { topic, audience, videoType } = req.body;
+
+  try {
+    quota = await reserveQuota(req.user.userId, 'titles', { modelTier: req.body.modelTier, workspace: req.workspace });
+    if (!quota.allowed) {
+      return res.status(429).json({ error: quota.reason });
+    }
+
+    const { titles } = await generateTitles({ ...req.body, userId: req.user.userId, meter });
+    const processingTime = Date.now() - startTime;
+    
+    await logUsage(req.user.userId, 'titles', true, processingTime, meter, null, { topic, audience, videoType });
+    await settleQuota(quota, true);
+    
+    res.json({ titles });
+
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Titles generation error:', error);
+    await logUsage(req.user.userId, 'titles', false, processingTime, meter, error.message, { topic, audience, videoType });
+    await settleQuota(quota, false);
+    sendGenerationError(res, error, 'Titles generation failed');
+  }
+});
+
+app.post('/api/generate/outline', authenticateToken, applyPreferredVoice, workspaceContext('editor'), requireEntitlement('outline'), apiLimiter, generationLimiter, async (req, res) => {
+  const startTime = Date.now();
+  const meter = createUsageMeter(req.workspace);
+  let quota = null;
+  const { topic, audience, duration, tone, videoType, voicePreset } = req.body;
+
+  try {
+    if (!topic) {
+      return res.status(400).json({ error: 'Topic is required' });
+    }
+
+    quota = await reserveQuota(req.user.userId, 'outline', { modelTier: req.body.modelTier, workspace: req.workspace });
+    if (!quota.allowed) {
+      return res.status(429).json({ error: quota.reason });
+    }
+
+    const result = await generateOutline({ ...req.body, userId: req.user.userId, meter });
+
+    const processingTime = Date.now() - startTime;
+    await logUsage(req.user.userId, 'outline', true, processingTime, meter, null, { topic, audience, duration, tone, videoType, voicePreset });
+    await settleQuota(quota, true);
+
+    res.json(result);
+
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Outline generation error:', error);
+    await logUsage(req.user.userId, 'outline', false, processingTime, meter, error.message, { topic, audience, duration, tone, videoType, voicePreset });
+    await settleQuota(quota, false);
+    sendGenerationError(res, error, 'Outline generation failed');
+  }
+});
+
+app.post('/api/generate/description', authenticateToken, applyPreferredVoice, workspaceContext('editor'), requireEntitlement('description'), apiLimiter, generationLimiter, async (req, res) => {
+  const startTime = Date.now();
+  const meter = createUsageMeter(req.workspace);
+  let quota = null;
+  const { topic, audience, tone, videoType, keywords, voicePreset } = req.body;
+
+  try {
+    if (!topic) {
+      return res.status(400).json({ error: 'Topic is required' });
+    }
+
+    quota = await reserveQuota(req.user.userId, 'description', { modelTier: req.body.modelTier, workspace: req.workspace });
+    if (!quota.allowed) {
+      return res.status(429).json({ error: quota.reason });
+    }
+
+    const result = await generateDescription({ ...req.body, userId: req.user.userId, meter });
+
+    const processingTime = Date.now() - startTime;
+    await logUsage(req.user.userId, 'description', true, processingTime, meter, null, { topic, audience, tone, videoType, keywords, voicePreset });
+    await settleQuota(quota, true);
+
+    res.json(result);
+
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Description generation error:', error);
+    await logUsage(req.user.userId, 'description', false, processingTime, meter, error.message, { topic, audience, tone, videoType, keywords, voicePreset });
+    await settleQuota(quota, false);
+    sendGenerationError(res, error, 'Description generation failed');
+  }
+});
+
+app.post('/api/generate/tags', authenticateToken, applyPreferredVoice, workspaceContext('editor'), requireEntitlement('tags'), apiLimiter, generationLimiter, async (req, res) => {
+  const startTime = Date.now();
+  const meter = createUsageMeter(req.workspace);
+  let quota = null;
+  const { topic, audience, videoType, keywords, voicePreset } = req.body;
+
+  try {
+    if (!topic) {
+      return res.status(400).json({ error: 'Topic is required' });
+    }
+
+    quota = await reserveQuota(req.user.userId, 'tags', { modelTier: req.body.modelTier, workspace: req.workspace });
+    if (!quota.allowed) {
+      return res.status(429).json({ error: quota.reason });
+    }
+
+    const result = await generateTags({ ...req.body, userId: req.user.userId, meter });
+
+    const processingTime = Date.now() - startTime;
+    await logUsage(req.user.userId, 'tags', true, processingTime, meter, null, { topic, audience, videoType, keywords, voicePreset });
+    await settleQuota(quota, true);
+
+    res.json(result);
+
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Tags generation error:', error);
+    await logUsage(req.user.userId, 'tags', false, processingTime, meter, error.message, { topic, audience, videoType, keywords, voicePreset });
+    await settleQuota(quota, false);
+    sendGenerationError(res, error, 'Tags generation failed');
+  }
+});
+
+app.post('/api/generate/thumbnail', authenticateToken, applyPreferredVoice, workspaceContext('editor'), requireEntitlement('thumbnail'), apiLimiter, generationLimiter, async (req, res) => {
+  const startTime = Date.now();
+  const meter = createUsageMeter(req.workspace);
+  let quota = null;
+  const { topic, audience, tone, videoType, voicePreset } = req.body;
+
+  try {
+    if (!topic) {
+      return res.status(400).json({ error: 'Topic is required' });
+    }
+
+    quota = await reserveQuota(req.user.userId, 'thumbnail', { modelTier: req.body.modelTier, workspace: req.workspace });
+    if (!quota.allowed) {
+      return res.status(429).json({ error: quota.reason });
+    }
+
+    const result = await generateThumbnailText({ ...req.body, userId: req.user.userId, meter });
+
+    const processingTime = Date.now() - startTime;
+    await logUsage(req.user.userId, 'thumbnail', true, processingTime, meter, null, { topic, audience, tone, videoType, voicePreset });
+    await settleQuota(quota, true);
+
+    res.json(result);
+
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Thumbnail text generation error:', error);
+    await logUsage(req.user.userId, 'thumbnail', false, processingTime, meter, error.message, { topic, audience, tone, videoType, voicePreset });
+    await settleQuota(quota, false);
+    sendGenerationError(res, error, 'Thumbnail text generation failed');
+  }
+});
+
+app.post('/api/generate/ctas', authenticateToken, applyPreferredVoice, workspaceContext('editor'), requireEntitlement('ctas'), apiLimiter, generationLimiter, async (req, res) => {
+  const startTime = Date.now();
+  const meter = createUsageMeter(req.workspace);
+  let quota = null;
+  const { topic, audience, tone, videoType, voicePreset } = req.body;
+
+  try {
+    if (!topic) {
+      return res.status(400).json({ error: 'Topic is required' });
+    }
+
+    quota = await reserveQuota(req.user.userId, 'ctas', { modelTier: req.body.modelTier, workspace: req.workspace });
+    if (!quota.allowed) {
+      return res.status(429).json({ error: quota.reason });
+    }
+
+    const result = await generateCallToActions({ ...req.body, userId: req.user.userId, meter });
+
+    const processingTime = Date.now() - startTime;
+    await logUsage(req.user.userId, 'ctas', true, processingTime, meter, null, { topic, audience, tone, videoType, voicePreset });
+    await settleQuota(quota, true);
+
+    res.json(result);
+
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('CTA generation error:', error);
+    await logUsage(req.user.userId, 'ctas', false, processingTime, meter, error.message, { topic, audience, tone, videoType, voicePreset });
+    await settleQuota(quota, false);
+    sendGenerationError(res, error, 'CTA generation failed');
+  }
+});
+
+// Proposes episodes for a series on one broad topic. Body: topic, episodes (default 5), audience,
+// tone, videoType, voicePreset. Save the proposals with POST /api/series or /api/series/:id/episodes.
+app.post('/api/generate/series', authenticateToken, applyPreferredVoice, workspaceContext('editor'), requireEntitlement('series'), apiLimiter, generationLimiter, async (req, res) => {
+  const startTime = Date.now();
+  const meter = createUsageMeter(req.workspace);
+  let quota = null;
+  const { topic, audience, tone, videoType, voicePreset } = req.body;
+  const episodes = req.body.episodes === undefined ? SERIES_DEFAULT_EPISODES : Number(req.body.episodes);
+
+  try {
+    if (!topic) {
+      return res.status(400).json({ error: 'Topic is required' });
+    }
+
+    if (!Number.isInteger(episodes) || episodes < 2 || episodes > SERIES_MAX_EPISODES) {
+      return res.status(400).json({ error: `episodes must be between 2 and ${SERIES_MAX_EPISODES}` });
+    }
+
+    quota = await reserveQuota(req.user.userId, 'series', { modelTier: req.body.modelTier, workspace: req.workspace });
+    if (!quota.allowed) {
+      return res.status(429).json({ error: quota.reason });
+    }
+
+    const result = await generateSeriesPlan({ ...req.body, episodes, userId: req.user.userId, meter });
+
+    const processingTime = Date.now() - startTime;
+    await logUsage(req.user.userId, 'series', true, processingTime, meter, null, { topic, audience, tone, videoType, voicePreset, episodes });
+    await settleQuota(quota, true);
+
+    res.json({ topic, episodes: result.episodes });
+
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Series planning error:', error);
+    await logUsage(req.user.userId, 'series', false, processingTime, meter, error.message, { topic, audience, tone, videoType, voicePreset, episodes });
+    await settleQuota(quota, false);
+    sendGenerationError(res, error, 'Series planning failed');
+  }
+});
+
+app.post('/api/generate/package', authenticateToken, applyPreferredVoice, workspaceContext('editor'), requireEntitlement('package'), apiLimiter, generationLimiter, async (req, res) => {
+  const startTime = Date.now();
+  const { topic, audience, duration, tone, videoType, voicePreset, title, save, sourceId } = req.body;
+  const requestedAssets = Array.isArray(req.body.assets) ? [...new Set(req.body.assets)] : Object.keys(PACKAGE_ASSETS);
+
+  try {
+    if (!topic) {
+      return res.status(400).json({ error: 'Topic is required' });
+    }
+
+    const unknownAssets = requestedAssets.filter(asset => !PACKAGE_ASSETS[asset]);
+    if (unknownAssets.length > 0 || requestedAssets.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid assets requested',
+        unknown: unknownAssets,
+        available: Object.keys(PACKAGE_ASSETS)
+      });
+    }
+
+    if (sourceId && !isRowId(sourceId)) {
+      return res.status(400).json({ error: 'sourceId must be a source id' });
+    }
+    const reference = sourceId ? await findReferenceSource(pool, sourceId, scriptScope(req)) : null;
+    if (sourceId && !reference) {
+      return res.status(404).json({ error: 'Reference source not found' });
+    }
+
+    const metadata = { topic, audience, duration, tone, videoType, voicePreset, sourceId, package: true };
+    const assets = {};
+    let packageData = {};
+
+    // Reserved one asset at a time: every reservation holds a pooled connection while it waits on
+    // the payer's quota lock, so reserving all of them at once starves the pool for other requests
+    const quotas = {};
+    try {
+      for (const featureType of requestedAssets) {
+        const quota = await reserveQuota(req.user.userId, featureType, { modelTier: req.body.modelTier, workspace: req.workspace });
+        if (quota.allowed) quotas[featureType] = quota;
+        else assets[featureType] = { status: 'skipped', error: quota.reason };
+      }
+    } catch (error) {
+      await Promise.all(Object.values(quotas).map(quota => settleQuota(quota, false)));
+      throw error;
+    }
+
+    await Promise.all(Object.entries(quotas).map(async ([featureType, quota]) => {
+      const assetStart = Date.now();
+      const meter = createUsageMeter(req.workspace);
+
+      try {
+        const result = await PACKAGE_ASSETS[featureType].generate({ ...req.body, reference, userId: req.user.userId, meter });
+        const processingTime = Date.now() - assetStart;
+
+        await logUsage(req.user.userId, featureType, true, processingTime, meter, null, metadata);
+        await settleQuota(quota, true);
+
+        packageData = { ...packageData, ...PACKAGE_ASSETS[featureType].pick(result) };
+        assets[featureType] = { status: 'success', processingTime };
+      } catch (error) {
+        const processingTime = Date.now() - assetStart;
+        console.error(`Package ${featureType} generation error:`, error);
+        await logUsage(req.user.userId, featureType, false, processingTime, meter, error.message, metadata);
+        await settleQuota(quota, false);
+        assets[featureType] = { status: 'failed', ...describeGenerationError(error, `${featureType} generation failed`).body };
+      }
+    }));
+
+    const succeeded = requestedAssets.filter(asset => assets[asset].status === 'success');
+    const processingTime = Date.now() - startTime;
+
+    if (succeeded.length === 0) {
+      const allSkipped = requestedAssets.every(asset => assets[asset].status === 'skipped');
+      return res.status(allSkipped ? 429 : 500).json({
+        error: allSkipped ? 'No quota remaining for the requested assets' : 'Package generation failed',
+        assets
+      });
+    }
+
+    if (packageData.scriptStats) {
+      packageData.scriptStats = { ...packageData.scriptStats, processingTime };
+    }
+
+    const response = {
+      package: packageData,
+      assets,
+      partial: succeeded.length < requestedAssets.length,
+      stats: { processingTime }
+    };
+
+    if (save) {
+      const saved = await insertSavedScript(pool, scriptScope(req), {
+        ...packageData,
+        title: title || (packageData.titles && packageData.titles[0]) || topic,
+        topic, audience, duration, tone, videoType, voicePreset,
+        sourceId: reference ? reference.id : null
+      });
+      response.scriptId = saved.rows[0].id;
+      response.savedAt = saved.rows[0].created_at;
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Package generation error:', error);
+    res.status(500).json({ error: 'Package generation failed' });
+  }
+});
+
+// Saved scripts endpoints
+app.post('/api/scripts/save', authenticateToken, workspaceContext('editor'), async (req, res) => {
+  try {
+    if (req.body.seriesId && !isRowId(req.body.seriesId)) {
+      return res.status(400).json({ error: 'seriesId must be a series id' });
+    }
+    if (req.body.seriesId && !(await findSeries(pool, req.body.seriesId, scriptScope(req)))) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    if (req.body.sourceId && !isRowId(req.body.sourceId)) {
+      return res.status(400).json({ error: 'sourceId must be a source id' });
+    }
+    if (req.body.sourceId && !(await findReferenceSource(pool, req.body.sourceId, scriptScope(req)))) {
+      return res.status(404).json({ error: 'Reference source not found' });
+    }
+
+    const publishAt = req.body.publishAt !== undefined ? parsePublishAt(req.body.publishAt) : { value: null };
+    if (publishAt.error) {
+      return res.status(400).json({ error: publishAt.error });
+    }
+
+    const result = await insertSavedScript(pool, scriptScope(req), { ...req.body, publishAt: publishAt.value });
+
+    res.json({
+      success: true,
+      scriptId: result.rows[0].id,
+      savedAt: result.rows[0].created_at
+    });
+
+  } catch (error) {
+    console.error('Save script error:', error);
+    res.status(500).json({ error: 'Failed to save script' });
+  }
+});
+
+// Body: { items: [{ content, format?: markdown | text | json, filename?, ...field overrides }] }
+app.post('/api/scripts/import', authenticateToken, workspaceContext('editor'), apiLimiter, async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'items must be a non-empty array' });
+    }
+
+    if (items.length > MAX_IMPORT_ITEMS) {
+      return res.status(400).json({ error: `A single import is limited to ${MAX_IMPORT_ITEMS} items` });
+    }
+
+    const results = [];
+    for (const [index, item] of items.entries()) {
+      const filename = item && item.filename ? item.filename : null;
+
+      let parsed;
+      try {
+        parsed = parseImportItem(item);
+      } catch (error) {
+        results.push({ index, filename, status: 'failed', error: error.message });
+        continue;
+      }
+
+      try {
+        const saved = await insertSavedScript(pool, scriptScope(req), parsed.fields);
+        results.push({
+          index,
+          filename,
+          status: 'imported',
+          format: parsed.format,
+          scriptId: saved.rows[0].id,
+          title: parsed.fields.title,
+          detected: Object.keys(parsed.fields).filter(field => !['title', 'topic', 'scriptStats'].includes(field))
+        });
+      } catch (error) {
+        console.error('Import item error:', error);
+        results.push({ index, filename, status: 'failed', error: 'Failed to save script' });
+      }
+    }
+
+    const imported = results.filter(result => result.status === 'imported').length;
+
+    res.status(imported === 0 ? 422 : 200).json({
+      imported,
+      failed: results.length - imported,
+      results
+    });
+
+  } catch (error) {
+    console.error('Import scripts error:', error);
+    res.status(500).json({ error: 'Failed to import scripts' });
+  }
+});
+
+// Query: limit, cursor, view=summary|full, q (full-text), videoType, tone, voicePreset, audience,
+// from/to (created_at range)
+app.get('/api/scripts/saved', authenticateToken, workspaceContext(), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const view = req.query.view === 'full' ? 'full' : 'summary';
+    const scope = scriptScope(req);
+    const conditions = [scopeCondition(scope, '$1')];
+    const params = [scopeKey(scope)];
+
+    for (const [param, column] of Object.entries(SCRIPT_LIST_FILTERS)) {
+      if (req.query[param]) {
+        if (SCRIPT_LIST_ID_FILTERS.includes(param) && !isRowId(req.query[param])) {
+          return res.status(400).json({ error: `${param} must be an id` });
+        }
+        params.push(req.query[param]);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    }
+
+    for (const [param, operator] of [['from', '>='], ['to', '<=']]) {
+      if (req.query[param]) {
+        const date = new Date(req.query[param]);
+        if (Number.isNaN(date.getTime())) {
+          return res.status(400).json({ error: `Invalid ${param} date` });
+        }
+        params.push(date.toISOString());
+        conditions.push(`created_at ${operator} $${params.length}`);
+      }
+    }
+
+    if (req.query.q && req.query.q.trim()) {
+      params.push(req.query.q.trim());
+      conditions.push(`search_vector @@ websearch_to_tsquery('english', $${params.length})`);
+    }
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      params.push(cursor.updatedAt, cursor.id);
+      conditions.push(`(updated_at, id) < ($${params.length - 1}::timestamp, $${params.length})`);
+    }
+
+    params.push(limit + 1);
+    const result = await pool.query(`
+      SELECT ${view === 'full' ? SCRIPT_COLUMNS : SCRIPT_SUMMARY_COLUMNS}, updated_at::text as cursor_ts
+      FROM saved_scripts 
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY updated_at DESC, id DESC
+      LIMIT $${params.length}
+    `, params);
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+
+    res.json({
+      scripts: rows.map(({ cursor_ts, ...script }) => script),
+      pageInfo: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get saved scripts error:', error);
+    res.status(500).json({ error: 'Failed to retrieve saved scripts' });
+  }
+});
+
+// Every saved script of the user (or workspace) in one zip, one file per script: ?format= (default json)
+app.get('/api/scripts/export', authenticateToken, workspaceContext(), async (req, res) => {
+  const format = req.query.format || 'json';
+
+  try {
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: 'Unsupported export format', formats: Object.keys(EXPORT_FORMATS) });
+    }
+
+    const scope = scriptScope(req);
+    const result = await pool.query(
+      `SELECT ${SCRIPT_COLUMNS} FROM saved_scripts WHERE ${scopeCondition(scope, '$1')} ORDER BY created_at`,
+      [scopeKey(scope)]
+    );
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', (error) => {
+      console.error('Bulk export archive error:', error);
+      res.destroy(error);
+    });
+
+    res.attachment(`scripts-${format}-${new Date().toISOString().slice(0, 10)}.zip`);
+    res.set('Content-Type', 'application/zip');
+    archive.pipe(res);
+
+    for (const script of result.rows) {
+      archive.append(renderExport(script, format), { name: exportFilename(script, format) });
+    }
+
+    await archive.finalize();
+
+  } catch (error) {
+    console.error('Bulk export error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to export scripts' });
+    }
+  }
+});
+
+app.get('/api/scripts/:id/export', authenticateToken, workspaceContext(), async (req, res) => {
+  const format = req.query.format || 'markdown';
+
+  try {
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: 'Unsupported export format', formats: Object.keys(EXPORT_FORMATS) });
+    }
+
+    const scope = scriptScope(req);
+    const result = await pool.query(
+      `SELECT ${SCRIPT_COLUMNS} FROM saved_scripts WHERE id = $1 AND ${scopeCondition(scope, '$2')}`,
+      [req.params.id, scopeKey(scope)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    const script = result.rows[0];
+    res.attachment(exportFilename(script, format));
+    res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.send(renderExport(script, format));
+
+  } catch (error) {
+    console.error('Export script error:', error);
+    res.status(500).json({ error: 'Failed to export script' });
+  }
+});
+
+app.get('/api/scripts/:id', authenticateToken, workspaceContext(), async (req, res) => {
+  try {
+    const scope = scriptScope(req);
+    const result = await pool.query(
+      `SELECT ${SCRIPT_COLUMNS} FROM saved_scripts WHERE id = $1 AND ${scopeCondition(scope, '$2')}`,
+      [req.params.id, scopeKey(scope)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    res.json({ script: result.rows[0] });
+
+  } catch (error) {
+    console.error('Get script error:', error);
+    res.status(500).json({ error: 'Failed to retrieve script' });
+  }
+});
+
+app.delete('/api/scripts/:id', authenticateToken, workspaceContext('editor'), async (req, res) => {
+  try {
+    const scope = scriptScope(req);
+    const result = await pool.query(
+      `DELETE FROM saved_scripts WHERE id = $1 AND ${scopeCondition(scope, '$2')} RETURNING id`,
+      [req.params.id, scopeKey(scope)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    res.json({ success: true });
 
   } catch (error) {
     console.error('Delete script error:', error);
@@ -883,923 +6372,1601 @@ app.delete('/api/scripts/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Voice presets
-app.get('/api/voice-presets', async (req, res) => {
+app.put('/api/scripts/:id', authenticateToken, workspaceContext('editor'), async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM voice_presets ORDER BY name');
-    res.json({ presets: result.rows });
+    const columns = {};
+    for (const [field, column] of Object.entries(SCRIPT_FIELD_COLUMNS)) {
+      if (req.body[field] !== undefined) columns[column] = req.body[field];
+    }
+
+    if (Object.keys(columns).length === 0) {
+      return res.status(400).json({ error: 'No fields to update', fields: Object.keys(SCRIPT_FIELD_COLUMNS) });
+    }
+
+    if (('title' in columns && !columns.title) || ('topic' in columns && !columns.topic)) {
+      return res.status(400).json({ error: 'Title and topic cannot be empty' });
+    }
+
+    if (columns.script_content !== undefined && req.body.scriptStats === undefined) {
+      columns.script_stats = buildScriptStats(columns.script_content || '');
+    }
+
+    const result = await updateScriptWithRevision(req.params.id, scriptScope(req), columns, {
+      source: 'update',
+      instruction: req.body.note || null
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    res.json({
+      success: true,
+      script: result.updated,
+      revision: formatRevision(result.revision),
+      statusChange: result.change ? formatStatusChange(result.change) : null
+    });
+
   } catch (error) {
-    console.error('Voice presets error:', error);
-    res.status(500).json({ error: 'Failed to retrieve voice presets' });
+    console.error('Update script error:', error);
+    res.status(500).json({ error: 'Failed to update script' });
   }
 });
 
-// Serve static files in production
-if (process.env.NODE_ENV === 'production') {
-  app.use(express.static('build'));
-  app.get('*', (req, res) => {
-    res.sendFile(path.join(__dirname, 'build', 'index.html'));
-  });
-}
+app.get('/api/scripts/:id/revisions', authenticateToken, workspaceContext(), async (req, res) => {
+  try {
+    const scope = scriptScope(req);
+    const script = await pool.query(
+      `SELECT id FROM saved_scripts WHERE id = $1 AND ${scopeCondition(scope, '$2')}`,
+      [req.params.id, scopeKey(scope)]
+    );
+    if (script.rows.length === 0) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
 
-app.listen(PORT, () => {
-  console.log(`🚀 YouTube Script AI Server running on port ${PORT}`);
-  console.log(`📊 Database: ${process.env.DATABASE_URL ? 'Connected' : 'Local'}`);
-  console.log(`🤖 Anthropic API: ${process.env.ANTHROPIC_API_KEY ? 'Configured' : 'Missing'}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV}`);
-});// server.js - Complete Backend for YouTube Script AI with Railway
-const express = require('express');
-const cors = require('cors');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { Pool } = require('pg');
-const rateLimit = require('express-rate-limit');
-const path = require('path');
-require('dotenv').config();
+    const result = await pool.query(`
+      SELECT id, revision_number, source, instruction, section, user_id, created_at,
+        snapshot->'script_stats' as script_stats
+      FROM script_revisions
+      WHERE script_id = $1
+      ORDER BY revision_number DESC
+    `, [req.params.id]);
 
-const app = express();
-const PORT = process.env.PORT || 5000;
+    res.json({
+      revisions: result.rows.map(row => ({ ...formatRevision(row), scriptStats: row.script_stats }))
+    });
 
-// Database setup with Railway PostgreSQL
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
-  max: 20,
-  min: 5,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 10000
+  } catch (error) {
+    console.error('List revisions error:', error);
+    res.status(500).json({ error: 'Failed to retrieve revisions' });
+  }
+});
+
+// Compares two revisions: ?from=<n>&to=<n>, where `to` defaults to the latest revision
+app.get('/api/scripts/:id/revisions/diff', authenticateToken, workspaceContext(), async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : null;
+
+    if (Number.isNaN(from) || (to !== null && Number.isNaN(to))) {
+      return res.status(400).json({ error: 'from (and optional to) must be revision numbers' });
+    }
+
+    const scope = scriptScope(req);
+    const result = await pool.query(`
+      SELECT r.* FROM script_revisions r
+      JOIN saved_scripts s ON s.id = r.script_id
+      WHERE r.script_id = $1 AND ${scopeCondition(scope, '$2', 's.')}
+        AND (r.revision_number = $3 OR r.revision_number = COALESCE($4,
+          (SELECT MAX(revision_number) FROM script_revisions WHERE script_id = $1)))
+    `, [req.params.id, scopeKey(scope), from, to]);
+
+    const fromRevision = result.rows.find(row => row.revision_number === from);
+    const toRevision = to === null
+      ? result.rows.reduce((latest, row) => (!latest || row.revision_number > latest.revision_number ? row : latest), null)
+      : result.rows.find(row => row.revision_number === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const changedFields = SCRIPT_SNAPSHOT_FIELDS.filter(field =>
+      JSON.stringify(fromRevision.snapshot[field]) !== JSON.stringify(toRevision.snapshot[field])
+    );
+
+    res.json({
+      from: formatRevision(fromRevision),
+      to: formatRevision(toRevision),
+      changedFields,
+      fields: Object.fromEntries(changedFields
+        .filter(field => field !== 'script_content')
+        .map(field => [field, { from: fromRevision.snapshot[field], to: toRevision.snapshot[field] }])),
+      scriptContent: changedFields.includes('script_content')
+        ? diffLines(fromRevision.snapshot.script_content, toRevision.snapshot.script_content)
+        : []
+    });
+
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({ error: 'Failed to diff revisions' });
+  }
+});
+
+app.get('/api/scripts/:id/revisions/:revisionNumber', authenticateToken, workspaceContext(), async (req, res) => {
+  try {
+    const scope = scriptScope(req);
+    const result = await pool.query(`
+      SELECT r.* FROM script_revisions r
+      JOIN saved_scripts s ON s.id = r.script_id
+      WHERE r.script_id = $1 AND ${scopeCondition(scope, '$2', 's.')} AND r.revision_number = $3
+    `, [req.params.id, scopeKey(scope), req.params.revisionNumber]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      revision: { ...formatRevision(result.rows[0]), snapshot: result.rows[0].snapshot }
+    });
+
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({ error: 'Failed to retrieve revision' });
+  }
+});
+
+app.post('/api/scripts/:id/revisions/:revisionNumber/restore', authenticateToken, workspaceContext('editor'), async (req, res) => {
+  try {
+    const scope = scriptScope(req);
+    const revisionResult = await pool.query(`
+      SELECT r.* FROM script_revisions r
+      JOIN saved_scripts s ON s.id = r.script_id
+      WHERE r.script_id = $1 AND ${scopeCondition(scope, '$2', 's.')} AND r.revision_number = $3
+    `, [req.params.id, scopeKey(scope), req.params.revisionNumber]);
+
+    if (revisionResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const { snapshot, revision_number: restoredNumber } = revisionResult.rows[0];
+    const columns = Object.fromEntries(SCRIPT_SNAPSHOT_FIELDS.map(field => [field, snapshot[field]]));
+
+    const result = await updateScriptWithRevision(req.params.id, scope, columns, {
+      source: 'restore',
+      instruction: `Restored revision ${restoredNumber}`
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    res.json({
+      success: true,
+      script: result.updated,
+      revision: formatRevision(result.revision),
+      statusChange: result.change ? formatStatusChange(result.change) : null
+    });
+
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({ error: 'Failed to restore revision' });
+  }
+});
+
+app.post('/api/scripts/:id/revise', authenticateToken, workspaceContext('editor'), requireEntitlement('revise'), apiLimiter, generationLimiter, async (req, res) => {
+  const startTime = Date.now();
+  const meter = createUsageMeter(req.workspace);
+  let quota = null;
+  const { instruction } = req.body;
+  const section = req.body.section ? normalizeSectionName(req.body.section) : null;
+  const metadata = { scriptId: req.params.id, section, instruction };
+
+  try {
+    if (!instruction || !instruction.trim()) {
+      return res.status(400).json({ error: 'Revision instruction is required' });
+    }
+
+    if (req.body.section && !section) {
+      return res.status(400).json({ error: 'Unknown section', sections: SCRIPT_SECTIONS });
+    }
+
+    const scope = scriptScope(req);
+    const scriptResult = await pool.query(
+      `SELECT ${SCRIPT_COLUMNS} FROM saved_scripts WHERE id = $1 AND ${scopeCondition(scope, '$2')}`,
+      [req.params.id, scopeKey(scope)]
+    );
+    if (scriptResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    const script = scriptResult.rows[0];
+    if (!script.script_content) {
+      return res.status(400).json({ error: 'Script has no content to revise' });
+    }
+    if (FINAL_SCRIPT_STATUSES.includes(script.status)) {
+      return res.status(409).json({ error: `A ${script.status} script can no longer be edited`, currentStatus: script.status });
+    }
+
+    if (section && !splitScriptSections(script.script_content).some(candidate => candidate.name === section)) {
+      return res.status(422).json({
+        error: `Section ${section} was not found in this script`,
+        sections: splitScriptSections(script.script_content).map(candidate => candidate.name)
+      });
+    }
+
+    quota = await reserveQuota(req.user.userId, 'revise', { modelTier: req.body.modelTier, workspace: req.workspace });
+    if (!quota.allowed) {
+      return res.status(429).json({ error: quota.reason });
+    }
+
+    const revisedContent = await generateRevision({
+      script, instruction: instruction.trim(), section, modelTier: req.body.modelTier, meter
+    });
+    const processingTime = Date.now() - startTime;
+    const scriptStats = { ...buildScriptStats(revisedContent), processingTime };
+
+    const result = await updateScriptWithRevision(script.id, scope, {
+      script_content: revisedContent,
+      script_stats: scriptStats
+    }, { source: 'revise', instruction: instruction.trim(), section });
+    if (!result || result.error) {
+      await settleQuota(quota, false);
+      const { status = 404, ...body } = result || { error: 'Script not found' };
+      return res.status(status).json(body);
+    }
+
+    await logUsage(req.user.userId, 'revise', true, processingTime, meter, null, metadata);
+    await settleQuota(quota, true);
+
+    res.json({
+      script: revisedContent,
+      stats: scriptStats,
+      section,
+      revision: formatRevision(result.revision),
+      status: result.updated.status,
+      statusChange: result.change ? formatStatusChange(result.change) : null,
+      updatedAt: result.updated.updated_at
+    });
+
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    console.error('Script revision error:', error);
+    await logUsage(req.user.userId, 'revise', false, processingTime, meter, error.message, metadata);
+    await settleQuota(quota, false);
+    sendGenerationError(res, error, 'Script revision failed');
+  }
+});
+
+// Review workflow endpoints
+app.get('/api/scripts/:id/status-history', authenticateToken, workspaceContext(), async (req, res) => {
+  try {
+    const scope = scriptScope(req);
+    const script = await pool.query(
+      `SELECT id, status FROM saved_scripts WHERE id = $1 AND ${scopeCondition(scope, '$2')}`,
+      [req.params.id, scopeKey(scope)]
+    );
+    if (script.rows.length === 0) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    const history = await pool.query(
+      'SELECT * FROM script_status_history WHERE script_id = $1 ORDER BY created_at DESC, id DESC',
+      [req.params.id]
+    );
+
+    res.json({
+      status: script.rows[0].status,
+      allowedTransitions: SCRIPT_STATUS_TRANSITIONS[script.rows[0].status],
+      history: history.rows.map(formatStatusChange)
+    });
+  } catch (error) {
+    console.error('Status history error:', error);
+    res.status(500).json({ error: 'Failed to retrieve status history' });
+  }
+});
+
+// One handler per review action. `from` pins the starting status; `noteRequired` for rejections;
+// `review` for the decisions that need an independent reviewer.
+const statusChangeHandler = ({ to, from = null, noteRequired = false, review = false, label }) => async (req, res) => {
+  try {
+    const toStatus = to || req.body.status;
+    if (!SCRIPT_STATUSES.includes(toStatus)) {
+      return res.status(400).json({ error: 'Unknown status', allowed: SCRIPT_STATUSES });
+    }
+
+    const note = isNonEmptyString(req.body.note) ? req.body.note.trim().slice(0, MAX_STATUS_NOTE_LENGTH) : null;
+    if (noteRequired && !note) {
+      return res.status(400).json({ error: 'A note explaining the decision is required' });
+    }
+
+    const result = await changeScriptStatus(req.params.id, scriptScope(req), toStatus, { note, from, review });
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    res.json({
+      scriptId: result.script.id,
+      status: result.script.status,
+      updatedAt: result.script.updated_at,
+      change: formatStatusChange(result.change)
+    });
+  } catch (error) {
+    console.error(`${label} error:`, error);
+    res.status(500).json({ error: `Failed to ${label.toLowerCase()}` });
+  }
+};
+
+// Body for all four: optional note (required to reject)
+app.post('/api/scripts/:id/request-review', authenticateToken, workspaceContext('editor'),
+  statusChangeHandler({ to: 'in_review', from: ['draft'], label: 'Request review' }));
+
+app.post('/api/scripts/:id/approve', authenticateToken, workspaceContext('editor'),
+  statusChangeHandler({ to: 'approved', from: ['in_review'], review: true, label: 'Approve script' }));
+
+app.post('/api/scripts/:id/reject', authenticateToken, workspaceContext('editor'),
+  statusChangeHandler({ to: 'draft', from: ['in_review'], noteRequired: true, review: true, label: 'Reject script' }));
+
+// Any other allowed move, e.g. approved -> recorded -> published, or reopening an approved script.
+// Scripts in review are decided through approve/reject only. Body: status, optional note
+app.post('/api/scripts/:id/status', authenticateToken, workspaceContext('editor'),
+  statusChangeHandler({ from: SCRIPT_STATUSES.filter(status => status !== 'in_review'), label: 'Change status' }));
+
+// Comments - viewers may comment; editing a comment is left to its author
+app.get('/api/scripts/:id/comments', authenticateToken, workspaceContext(), async (req, res) => {
+  try {
+    const scope = scriptScope(req);
+    const script = await pool.query(
+      `SELECT id, script_content FROM saved_scripts WHERE id = $1 AND ${scopeCondition(scope, '$2')}`,
+      [req.params.id, scopeKey(scope)]
+    );
+    if (script.rows.length === 0) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    const conditions = ['c.script_id = $1'];
+    if (req.query.resolved === 'false') conditions.push('(c.parent_id IS NOT NULL OR c.resolved_at IS NULL)');
+    if (req.query.resolved === 'true') conditions.push('(c.parent_id IS NOT NULL OR c.resolved_at IS NOT NULL)');
+
+    const comments = await pool.query(`
+      SELECT c.*, u.first_name, u.last_name FROM script_comments c
+      LEFT JOIN users u ON u.id = c.user_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY c.created_at, c.id
+    `, [req.params.id]);
+
+    res.json({ comments: buildCommentThreads(comments.rows, script.rows[0].script_content) });
+  } catch (error) {
+    console.error('List comments error:', error);
+    res.status(500).json({ error: 'Failed to retrieve comments' });
+  }
 });
 
-// Middleware
-app.use(cors({
-  origin: process.env.NODE_ENV === 'production' 
-    ? [process.env.FRONTEND_URL || 'https://your-app.vercel.app'] 
-    : ['http://localhost:3000', 'http://localhost:3001'],
-  credentials: true
-}));
+// Body: body, plus parentId for a reply or optional section and range { start, end } for a new thread
+app.post('/api/scripts/:id/comments', authenticateToken, workspaceContext(), async (req, res) => {
+  try {
+    const { parentId, section, range } = req.body;
+    if (!isNonEmptyString(req.body.body)) {
+      return res.status(400).json({ error: 'Comment body is required' });
+    }
+    const body = req.body.body.trim().slice(0, MAX_COMMENT_LENGTH);
 
-app.use(express.json({ limit: '10mb' }));
+    const scope = scriptScope(req);
+    const script = await pool.query(
+      `SELECT id, script_content FROM saved_scripts WHERE id = $1 AND ${scopeCondition(scope, '$2')}`,
+      [req.params.id, scopeKey(scope)]
+    );
+    if (script.rows.length === 0) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
 
-// Rate limiting
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // 5 attempts per 15 minutes
-  message: { error: 'Too many authentication attempts' }
-});
+    let anchor = { section: null, range_start: null, range_end: null, quoted_text: null };
+    if (parentId) {
+      const parent = await pool.query('SELECT id FROM script_comments WHERE id = $1 AND script_id = $2', [parentId, req.params.id]);
+      if (parent.rows.length === 0) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+      if (section || range) {
+        return res.status(400).json({ error: 'Replies follow their thread and cannot have their own anchor' });
+      }
+    } else {
+      anchor = parseCommentAnchor(script.rows[0].script_content, { section, range });
+      if (anchor.error) {
+        return res.status(422).json({ error: anchor.error });
+      }
+    }
 
-const apiLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 30, // 30 requests per minute
-  message: { error: 'Rate limit exceeded' }
-});
+    const created = await pool.query(`
+      INSERT INTO script_comments (script_id, parent_id, user_id, body, section, range_start, range_end, quoted_text)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      req.params.id, parentId || null, req.user.userId, body,
+      anchor.section, anchor.range_start, anchor.range_end, anchor.quoted_text
+    ]);
 
-const generationLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 10, // 10 generations per minute
-  message: { error: 'Generation rate limit exceeded' }
+    res.status(201).json({ comment: formatComment(created.rows[0], script.rows[0].script_content) });
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({ error: 'Failed to create comment' });
+  }
 });
 
-// Database initialization
-const initDB = async () => {
+// Body: body (author only) and/or resolved (author or an editor; top-level comments only)
+app.patch('/api/scripts/:id/comments/:commentId', authenticateToken, workspaceContext(), async (req, res) => {
   try {
-    await pool.query(`
-      -- Users table
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        first_name VARCHAR(255),
-        last_name VARCHAR(255),
-        access_level VARCHAR(50) DEFAULT 'free',
-        subscription_status VARCHAR(50) DEFAULT 'active',
-        preferred_voice VARCHAR(100) DEFAULT 'default',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-
-      -- Usage logs
-      CREATE TABLE IF NOT EXISTS usage_logs (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        feature_type VARCHAR(50) NOT NULL,
-        tokens_used INTEGER DEFAULT 0,
-        processing_time_ms INTEGER,
-        success BOOLEAN DEFAULT TRUE,
-        error_message TEXT,
-        metadata JSONB,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
+    const scope = scriptScope(req);
+    const existing = await pool.query(`
+      SELECT c.*, s.script_content FROM script_comments c
+      JOIN saved_scripts s ON s.id = c.script_id
+      WHERE c.id = $1 AND c.script_id = $2 AND ${scopeCondition(scope, '$3', 's.')}
+    `, [req.params.commentId, req.params.id, scopeKey(scope)]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    const comment = existing.rows[0];
+    const isAuthor = comment.user_id === req.user.userId;
+    const canModerate = !req.workspace || hasWorkspaceRole(req.workspace, 'editor');
 
-      -- Saved scripts
-      CREATE TABLE IF NOT EXISTS saved_scripts (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        title VARCHAR(500) NOT NULL,
-        topic TEXT NOT NULL,
-        audience VARCHAR(100),
-        duration VARCHAR(20),
-        tone VARCHAR(100),
-        video_type VARCHAR(100),
-        voice_preset VARCHAR(100),
-        script_content TEXT,
-        hooks JSONB,
-        titles JSONB,
-        outline TEXT,
-        description TEXT,
-        tags JSONB,
-        thumbnail_text JSONB,
-        call_to_actions JSONB,
-        script_stats JSONB,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
+    const updates = [];
+    const values = [req.params.commentId];
 
-      -- Usage quotas
-      CREATE TABLE IF NOT EXISTS usage_quotas (
-        access_level VARCHAR(50) PRIMARY KEY,
-        monthly_script_limit INTEGER NOT NULL,
-        monthly_hooks_limit INTEGER NOT NULL,
-        monthly_titles_limit INTEGER NOT NULL,
-        monthly_outline_limit INTEGER NOT NULL,
-        monthly_description_limit INTEGER NOT NULL,
-        monthly_tags_limit INTEGER NOT NULL,
-        monthly_thumbnail_limit INTEGER NOT NULL,
-        monthly_ctas_limit INTEGER NOT NULL,
-        features_enabled TEXT[] NOT NULL
-      );
+    if (req.body.body !== undefined) {
+      if (!isAuthor) {
+        return res.status(403).json({ error: 'Only the author can edit a comment' });
+      }
+      if (!isNonEmptyString(req.body.body)) {
+        return res.status(400).json({ error: 'Comment body cannot be empty' });
+      }
+      values.push(req.body.body.trim().slice(0, MAX_COMMENT_LENGTH));
+      updates.push(`body = $${values.length}`);
+    }
 
-      -- Voice presets
-      CREATE TABLE IF NOT EXISTS voice_presets (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(100) UNIQUE NOT NULL,
-        display_name VARCHAR(255) NOT NULL,
-        description TEXT,
-        system_prompt TEXT NOT NULL,
-        is_premium BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    if (req.body.resolved !== undefined) {
+      if (comment.parent_id) {
+        return res.status(400).json({ error: 'Only top-level comments can be resolved' });
+      }
+      if (!isAuthor && !canModerate) {
+        return res.status(403).json({ error: 'Only the author or an editor can resolve a comment' });
+      }
+      values.push(req.body.resolved ? req.user.userId : null);
+      updates.push(
+        `resolved_by = $${values.length}`,
+        `resolved_at = ${req.body.resolved ? 'COALESCE(resolved_at, CURRENT_TIMESTAMP)' : 'NULL'}`
       );
+    }
 
-      -- Insert usage quotas
-      INSERT INTO usage_quotas (
-        access_level, monthly_script_limit, monthly_hooks_limit, monthly_titles_limit,
-        monthly_outline_limit, monthly_description_limit, monthly_tags_limit,
-        monthly_thumbnail_limit, monthly_ctas_limit, features_enabled
-      ) VALUES 
-        ('free', 5, 10, 20, 5, 5, 10, 10, 10, 
-         ARRAY['script', 'hooks', 'titles', 'outline', 'description', 'tags', 'thumbnail', 'ctas']),
-        ('premium', 50, 100, 200, 50, 50, 100, 100, 100,
-         ARRAY['script', 'hooks', 'titles', 'outline', 'description', 'tags', 'thumbnail', 'ctas']),
-        ('pro', 200, 400, 800, 200, 200, 400, 400, 400,
-         ARRAY['script', 'hooks', 'titles', 'outline', 'description', 'tags', 'thumbnail', 'ctas'])
-      ON CONFLICT (access_level) DO UPDATE SET
-        monthly_script_limit = EXCLUDED.monthly_script_limit;
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update', fields: ['body', 'resolved'] });
+    }
 
-      -- Insert voice presets
-      INSERT INTO voice_presets (name, display_name, description, system_prompt, is_premium) VALUES 
-        ('default', 'Default Voice', 'Balanced, professional content creation', 
-         'You are an expert YouTube content creator with deep knowledge of viral content strategies.', FALSE),
-        
-        ('conversational', 'Conversational', 'Natural, flowing speaking style like talking to a friend',
-         'Create content in a conversational, approachable tone. Use "you" and "I" language naturally. Include personal experiences and relatable examples.',
-         FALSE),
-        
-        ('brenda_lawrence', 'Brenda Lawrence - Leadership & Process Expert', 'Executive coaching with 30+ years operational excellence',
-         'You are Brenda Lawrence - a business and executive coach, inspirational speaker, consultant, trainer, trusted advisor, and safe space creator with a strong focus on process improvement and 30+ years of operational excellence. You optimize both the LEADER AND the business systems simultaneously. Your unique positioning combines leadership evolution + process optimization + systems thinking.',
-         TRUE),
-        
-        ('motivational', 'Motivational Speaker', 'High energy and inspiring tone',
-         'Create motivational content that inspires action. Focus on overcoming challenges, achieving goals, and building confidence. Use powerful success stories and transformational examples.',
-         FALSE),
-        
-        ('educational', 'Educational Expert', 'Clear, structured, and informative approach',
-         'Break down complex concepts into digestible steps. Use examples and analogies to explain difficult topics. Focus on practical learning outcomes and encourage deeper understanding.',
-         FALSE),
-        
-        ('casual_creator', 'Casual Content Creator', 'Friendly, relatable, and approachable tone',
-         'Keep content light and entertaining while informative. Connect with audience through shared experiences. Maintain authenticity and genuine personality.',
-         FALSE)
-      ON CONFLICT (name) DO UPDATE SET
-        display_name = EXCLUDED.display_name,
-        description = EXCLUDED.description,
-        system_prompt = EXCLUDED.system_prompt;
+    const updated = await pool.query(`
+      UPDATE script_comments SET ${[...updates, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+      WHERE id = $1
+      RETURNING *
+    `, values);
 
-      -- Create indexes
-      CREATE INDEX IF NOT EXISTS idx_usage_logs_user_date ON usage_logs(user_id, created_at DESC);
-      CREATE INDEX IF NOT EXISTS idx_saved_scripts_user_updated ON saved_scripts(user_id, updated_at DESC);
-    `);
-    
-    console.log('✅ Database schema initialized successfully');
+    res.json({ comment: formatComment(updated.rows[0], comment.script_content) });
   } catch (error) {
-    console.error('❌ Database initialization error:', error);
+    console.error('Update comment error:', error);
+    res.status(500).json({ error: 'Failed to update comment' });
   }
-};
+});
 
-initDB();
+// The author or, in a workspace, its owner; replies are deleted with their comment
+app.delete('/api/scripts/:id/comments/:commentId', authenticateToken, workspaceContext(), async (req, res) => {
+  try {
+    const scope = scriptScope(req);
+    const existing = await pool.query(`
+      SELECT c.user_id FROM script_comments c
+      JOIN saved_scripts s ON s.id = c.script_id
+      WHERE c.id = $1 AND c.script_id = $2 AND ${scopeCondition(scope, '$3', 's.')}
+    `, [req.params.commentId, req.params.id, scopeKey(scope)]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
 
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+    const isOwner = req.workspace && req.workspace.role === 'owner';
+    if (existing.rows[0].user_id !== req.user.userId && !isOwner) {
+      return res.status(403).json({ error: 'Only the author or the workspace owner can delete a comment' });
+    }
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+    await pool.query('DELETE FROM script_comments WHERE id = $1', [req.params.commentId]);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
   }
+});
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.status(403).json({ error: 'Invalid token' });
-    req.user = user;
-    next();
-  });
-};
-
-// Quota checking
-const checkQuota = async (userId, featureType) => {
+// Content calendar - publish dates and series membership of saved scripts
+// Body: any of publishAt (ISO date or null), seriesId (or null), seriesPosition
+app.put('/api/scripts/:id/schedule', authenticateToken, workspaceContext('editor'), async (req, res) => {
   try {
-    const user = await pool.query('SELECT access_level FROM users WHERE id = $1', [userId]);
-    if (user.rows.length === 0) return { allowed: false, reason: 'User not found' };
+    const { publishAt, seriesId, seriesPosition } = req.body;
+    const scope = scriptScope(req);
+    const updates = [];
+    const values = [req.params.id, scopeKey(scope)];
+
+    if (publishAt !== undefined) {
+      const parsed = parsePublishAt(publishAt);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      values.push(parsed.value);
+      updates.push(`publish_at = $${values.length}`);
+    }
 
-    const accessLevel = user.rows[0].access_level;
-    
-    const quota = await pool.query('SELECT * FROM usage_quotas WHERE access_level = $1', [accessLevel]);
-    if (quota.rows.length === 0) return { allowed: false, reason: 'No quota found' };
+    const hasPosition = seriesPosition !== undefined && seriesPosition !== null;
+    if (hasPosition && (!Number.isInteger(seriesPosition) || seriesPosition < 1)) {
+      return res.status(400).json({ error: 'seriesPosition must be a positive integer' });
+    }
+    if (seriesId !== undefined && seriesId !== null && !Number.isInteger(seriesId)) {
+      return res.status(400).json({ error: 'seriesId must be a series id or null' });
+    }
+    if (hasPosition && seriesId === null) {
+      return res.status(400).json({ error: 'seriesPosition cannot be set while leaving a series' });
+    }
 
-    const quotaData = quota.rows[0];
-    
-    if (!quotaData.features_enabled.includes(featureType)) {
-      return { allowed: false, reason: 'Feature not available in your plan' };
+    // A position on its own moves the script within the series it is already in
+    if (hasPosition && seriesId === undefined) {
+      const current = await pool.query(
+        `SELECT series_id FROM saved_scripts WHERE id = $1 AND ${scopeCondition(scope, '$2')}`,
+        [req.params.id, scopeKey(scope)]
+      );
+      if (current.rows.length === 0) {
+        return res.status(404).json({ error: 'Script not found' });
+      }
+      if (current.rows[0].series_id === null) {
+        return res.status(400).json({ error: 'This script is not in a series; send seriesId with seriesPosition' });
+      }
     }
 
-    const usage = await pool.query(`
-      SELECT COUNT(*) as count FROM usage_logs 
-      WHERE user_id = $1 AND feature_type = $2 AND success = true
-      AND created_at >= DATE_TRUNC('month', CURRENT_TIMESTAMP)
-    `, [userId, featureType]);
+    if (seriesId !== undefined) {
+      if (seriesId !== null && !(await findSeries(pool, seriesId, scope))) {
+        return res.status(404).json({ error: 'Series not found' });
+      }
+      values.push(seriesId);
+      updates.push(`series_id = $${values.length}`);
+      if (seriesId === null) {
+        updates.push('series_position = NULL');
+      } else if (!hasPosition) {
+        // Joining a series without a position appends the script to it
+        updates.push(`series_position = CASE WHEN series_id IS DISTINCT FROM $${values.length} THEN (
+          SELECT COALESCE(MAX(series_position), 0) + 1 FROM saved_scripts WHERE series_id = $${values.length}
+        ) ELSE series_position END`);
+      }
+    }
 
-    const currentUsage = parseInt(usage.rows[0].count);
-    
-    let limit;
-    switch (featureType) {
-      case 'script': limit = quotaData.monthly_script_limit; break;
-      case 'hooks': limit = quotaData.monthly_hooks_limit; break;
-      case 'titles': limit = quotaData.monthly_titles_limit; break;
-      case 'outline': limit = quotaData.monthly_outline_limit; break;
-      case 'description': limit = quotaData.monthly_description_limit; break;
-      case 'tags': limit = quotaData.monthly_tags_limit; break;
-      case 'thumbnail': limit = quotaData.monthly_thumbnail_limit; break;
-      case 'ctas': limit = quotaData.monthly_ctas_limit; break;
-      default: return { allowed: false, reason: 'Unknown feature type' };
-    }
-
-    return { 
-      allowed: currentUsage < limit, 
-      currentUsage, 
-      limit,
-      reason: currentUsage >= limit ? `Monthly limit of ${limit} reached` : null
-    };
+    if (hasPosition) {
+      values.push(seriesPosition);
+      updates.push(`series_position = $${values.length}`);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update', fields: ['publishAt', 'seriesId', 'seriesPosition'] });
+    }
+
+    const result = await pool.query(`
+      UPDATE saved_scripts SET ${[...updates, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+      WHERE id = $1 AND ${scopeCondition(scope, '$2')}
+      RETURNING id, publish_at, series_id, series_position, status, updated_at
+    `, values);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Script not found' });
+    }
+
+    const script = result.rows[0];
+    res.json({
+      scriptId: script.id,
+      publishAt: script.publish_at,
+      seriesId: script.series_id,
+      seriesPosition: script.series_position,
+      status: script.status,
+      updatedAt: script.updated_at
+    });
   } catch (error) {
-    console.error('Quota check error:', error);
-    return { allowed: false, reason: 'Quota check failed' };
+    console.error('Schedule script error:', error);
+    res.status(500).json({ error: 'Failed to schedule script' });
   }
-};
+});
 
-// Usage logging
-const logUsage = async (userId, featureType, success = true, processingTime = 0, tokensUsed = 0, errorMessage = null, metadata = {}) => {
+// Scheduled scripts between from and to (default: the next 30 days), optionally one ?seriesId=
+app.get('/api/calendar', authenticateToken, workspaceContext(), async (req, res) => {
   try {
-    await pool.query(`
-      INSERT INTO usage_logs (user_id, feature_type, success, processing_time_ms, tokens_used, error_message, metadata)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-    `, [userId, featureType, success, processingTime, tokensUsed, errorMessage, JSON.stringify(metadata)]);
+    const now = Date.now();
+    const from = req.query.from ? new Date(req.query.from) : new Date(now);
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 30 * DAY_MS);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'Invalid from or to date' });
+    }
+    if (to < from || to - from > MAX_CALENDAR_RANGE_DAYS * DAY_MS) {
+      return res.status(400).json({ error: `to must be after from and at most ${MAX_CALENDAR_RANGE_DAYS} days later` });
+    }
+
+    const conditions = ['s.publish_at >= $2', 's.publish_at <= $3'];
+    const params = [from.toISOString(), to.toISOString()];
+    if (req.query.seriesId) {
+      if (!isRowId(req.query.seriesId)) {
+        return res.status(400).json({ error: 'seriesId must be a series id' });
+      }
+      params.push(parseInt(req.query.seriesId));
+      conditions.push(`s.series_id = $${params.length + 1}`);
+    }
+
+    const items = await listCalendarItems(scriptScope(req), conditions, params);
+    res.json({ from: from.toISOString(), to: to.toISOString(), items });
   } catch (error) {
-    console.error('Usage logging error:', error);
+    console.error('Calendar error:', error);
+    res.status(500).json({ error: 'Failed to retrieve calendar' });
   }
-};
+});
 
-// Voice prompt system
-const getVoicePrompt = async (voicePreset) => {
+// Scripts due in the next ?days= (default 14), soonest first
+app.get('/api/calendar/upcoming', authenticateToken, workspaceContext(), async (req, res) => {
   try {
-    const voice = await pool.query('SELECT * FROM voice_presets WHERE name = $1', [voicePreset]);
-    if (voice.rows.length === 0) {
-      return 'You are an expert YouTube content creator focused on creating viral, engaging content.';
-    }
-    return voice.rows[0].system_prompt;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 14, 1), 90);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const items = await listCalendarItems(scriptScope(req), [
+      's.publish_at >= CURRENT_TIMESTAMP',
+      `s.publish_at < CURRENT_TIMESTAMP + make_interval(days => $2)`
+    ], [days], { limit });
+
+    res.json({ days, items });
   } catch (error) {
-    console.error('Voice prompt error:', error);
-    return 'You are an expert YouTube content creator focused on creating viral, engaging content.';
-  }
-};
-
-// Voice prompt additions (from your frontend)
-const getVoicePromptAdditions = (voicePreset) => {
-  switch (voicePreset) {
-    case 'conversational':
-      return `
-CONVERSATIONAL VOICE:
-- Natural, flowing speaking style like talking to a friend
-- Use "you" and "I" language to create connection
-- Include conversational fillers and transitions naturally
-- Share personal experiences and relatable examples
-- Ask rhetorical questions to engage viewers
-- Use everyday language that feels authentic and unscripted
-- Create a warm, approachable tone that invites viewers in
-- Balance professionalism with accessibility`;
-
-    case 'brenda_lawrence':
-      return `
-BRENDA LAWRENCE VOICE & APPROACH:
-You are speaking as Brenda Lawrence - a business and executive coach, inspirational speaker, consultant, trainer, trusted advisor, and safe space creator with a strong focus on process improvement and 30+ years of operational excellence.
+    console.error('Upcoming calendar error:', error);
+    res.status(500).json({ error: 'Failed to retrieve upcoming scripts' });
+  }
+});
 
-YOUR UNIQUE POSITIONING:
-- You optimize both the LEADER AND the business systems simultaneously
-- You bring executive-level strategic frameworks rooted in operational excellence
-- You combine leadership evolution + process optimization + systems thinking
-- You focus on strategic depth with proven process improvement methodologies
-- You create peer-driven evolution with systematic business improvements
+// Scripts whose publish date has passed without being published, most overdue first
+app.get('/api/calendar/overdue', authenticateToken, workspaceContext(), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
 
-YOUR SIGNATURE DIFFERENTIATORS:
-- Not generic business advice → Executive-level strategic frameworks
-- Not just leadership development → Leadership evolution + process optimization
-- Not motivation-based → Strategic depth with proven methodologies
-- Not theoretical → Real-world experience with CMMI Level 3 & 5 certifications
-- Not one-time fixes → Sustainable process evolution that grows with the organization
+    const items = await listCalendarItems(scriptScope(req), [
+      's.publish_at < CURRENT_TIMESTAMP',
+      "s.status <> 'published'"
+    ], [], { limit });
 
-YOUR CORE PHILOSOPHY:
-"Most coaches focus on either the leader OR the business. I optimize both—simultaneously. Through strategic peer groups, proven process improvement methodologies, and leadership evolution frameworks, I help CEOs refine their brilliance while scaling their operations with clarity, efficiency, and soul."
+    res.json({ items });
+  } catch (error) {
+    console.error('Overdue calendar error:', error);
+    res.status(500).json({ error: 'Failed to retrieve overdue scripts' });
+  }
+});
 
-CONTENT APPROACH:
-- Strategic inspiration backed by operational expertise and real transformation results
-- Proven case studies of process improvements that drove leadership evolution
-- Specific systems and processes for sustainable high-performance
-- Actionable content leaders can implement in their operations immediately
-- Human-centered process design that considers leadership psychology
-- Collaborative approach that considers organizational culture and leadership capacity
+// Series and playlists
+app.get('/api/series', authenticateToken, workspaceContext(), async (req, res) => {
+  try {
+    const scope = scriptScope(req);
+    const result = await pool.query(`
+      SELECT cs.*, COUNT(s.id) as episode_count,
+        MIN(s.publish_at) FILTER (WHERE s.publish_at >= CURRENT_TIMESTAMP) as next_publish_at
+      FROM content_series cs
+      LEFT JOIN saved_scripts s ON s.series_id = cs.id
+      WHERE ${scopeCondition(scope, '$1', 'cs.')}
+      GROUP BY cs.id
+      ORDER BY cs.updated_at DESC, cs.id DESC
+    `, [scopeKey(scope)]);
+
+    res.json({ series: result.rows.map(formatSeries) });
+  } catch (error) {
+    console.error('List series error:', error);
+    res.status(500).json({ error: 'Failed to retrieve series' });
+  }
+});
 
-SPEAKING STYLE:
-- Executive presence with operational mastery and systematic thinking
-- Deep operational knowledge meets executive coaching expertise
-- Strategic vulnerability focused on business systems and leadership effectiveness
-- Community-driven growth where leaders learn from each other's challenges
-- Values-driven approach that scales businesses without sacrificing culture`;
-
-    case 'motivational':
-      return `
-MOTIVATIONAL SPEAKER VOICE:
-- High energy and inspiring tone
-- Focus on overcoming challenges and achieving goals
-- Use powerful success stories and transformational examples
-- Encourage action and personal growth
-- Build confidence and self-belief`;
-
-    case 'educational':
-      return `
-EDUCATIONAL EXPERT VOICE:
-- Clear, structured, and informative approach
-- Break down complex concepts into digestible steps
-- Use examples and analogies to explain difficult topics
-- Focus on practical learning outcomes
-- Encourage questions and deeper understanding`;
-
-    case 'casual_creator':
-      return `
-CASUAL CONTENT CREATOR VOICE:
-- Friendly, relatable, and approachable tone
-- Use everyday language and personal anecdotes
-- Keep content light and entertaining while informative
-- Connect with audience through shared experiences
-- Maintain authenticity and genuine personality`;
-
-    default:
-      return '';
+// Body: name, description?, kind? (series | playlist), and optionally episodes to create as
+// drafts in the same call - see parseEpisodeDrafts - with shared audience, tone, videoType,
+// duration and voicePreset
+app.post('/api/series', authenticateToken, workspaceContext('editor'), async (req, res) => {
+  const { name, description, kind = 'series', episodes } = req.body;
+
+  if (!isNonEmptyString(name)) {
+    return res.status(400).json({ error: 'Series name is required' });
+  }
+  if (!SERIES_KINDS.includes(kind)) {
+    return res.status(400).json({ error: 'Unknown series kind', allowed: SERIES_KINDS });
+  }
+
+  const drafts = episodes !== undefined ? parseEpisodeDrafts(req.body) : { episodes: [] };
+  if (drafts.error) {
+    return res.status(400).json({ error: drafts.error });
   }
-};
 
-// ROUTES
+  const scope = scriptScope(req);
+  const client = await pool.connect();
 
-// Health check
-app.get('/health', async (req, res) => {
   try {
-    await pool.query('SELECT NOW()');
-    res.json({ 
-      status: 'healthy', 
-      timestamp: new Date().toISOString(),
-      database: 'connected',
-      environment: process.env.NODE_ENV
-    });
+    await client.query('BEGIN');
+
+    const created = await client.query(`
+      INSERT INTO content_series (user_id, workspace_id, name, description, kind)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [scope.userId, scope.workspaceId, name.trim().slice(0, 255), description || null, kind]);
+    const series = created.rows[0];
+
+    const scripts = await insertEpisodeDrafts(client, scope, series.id, drafts.episodes, req.body);
+
+    await client.query('COMMIT');
+    res.status(201).json({ series: formatSeries({ ...series, episode_count: scripts.length }), scripts });
   } catch (error) {
-    res.status(500).json({ 
-      status: 'unhealthy', 
-      error: error.message,
-      timestamp: new Date().toISOString()
+    await client.query('ROLLBACK');
+    console.error('Create series error:', error);
+    res.status(500).json({ error: 'Failed to create series' });
+  } finally {
+    client.release();
+  }
+});
+
+app.get('/api/series/:id', authenticateToken, workspaceContext(), async (req, res) => {
+  try {
+    const scope = scriptScope(req);
+    const series = await findSeries(pool, req.params.id, scope);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const episodes = await pool.query(`
+      SELECT ${CALENDAR_COLUMNS}
+      FROM saved_scripts s
+      LEFT JOIN content_series cs ON cs.id = s.series_id
+      WHERE s.series_id = $1
+      ORDER BY s.series_position NULLS LAST, s.publish_at NULLS LAST, s.id
+    `, [series.id]);
+
+    res.json({
+      series: formatSeries({ ...series, episode_count: episodes.rows.length }),
+      episodes: episodes.rows.map(formatCalendarItem)
     });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({ error: 'Failed to retrieve series' });
   }
 });
 
-// Authentication routes
-app.post('/api/auth/register', authLimiter, async (req, res) => {
+// Body: any of name, description, kind
+app.patch('/api/series/:id', authenticateToken, workspaceContext('editor'), async (req, res) => {
   try {
-    const { email, password, firstName, lastName } = req.body;
+    const { name, description, kind } = req.body;
+    if (!isRowId(req.params.id)) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password required' });
+    const scope = scriptScope(req);
+    const updates = [];
+    const values = [req.params.id, scopeKey(scope)];
+
+    if (name !== undefined) {
+      if (!isNonEmptyString(name)) {
+        return res.status(400).json({ error: 'Series name cannot be empty' });
+      }
+      values.push(name.trim().slice(0, 255));
+      updates.push(`name = $${values.length}`);
+    }
+    if (description !== undefined) {
+      values.push(description || null);
+      updates.push(`description = $${values.length}`);
+    }
+    if (kind !== undefined) {
+      if (!SERIES_KINDS.includes(kind)) {
+        return res.status(400).json({ error: 'Unknown series kind', allowed: SERIES_KINDS });
+      }
+      values.push(kind);
+      updates.push(`kind = $${values.length}`);
     }
 
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update', fields: ['name', 'description', 'kind'] });
     }
 
-    const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
-    if (existingUser.rows.length > 0) {
-      return res.status(400).json({ error: 'User already exists' });
+    const result = await pool.query(`
+      UPDATE content_series SET ${[...updates, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+      WHERE id = $1 AND ${scopeCondition(scope, '$2')}
+      RETURNING *
+    `, values);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Series not found' });
     }
 
-    const passwordHash = await bcrypt.hash(password, 12);
+    res.json({ series: formatSeries(result.rows[0]) });
+  } catch (error) {
+    console.error('Update series error:', error);
+    res.status(500).json({ error: 'Failed to update series' });
+  }
+});
 
-    const newUser = await pool.query(`
-      INSERT INTO users (email, password_hash, first_name, last_name, access_level, subscription_status)
-      VALUES ($1, $2, $3, $4, 'free', 'active')
-      RETURNING id, email, first_name, last_name, access_level, subscription_status, created_at
-    `, [email, passwordHash, firstName, lastName]);
+// Scripts in the series are kept and just leave it
+app.delete('/api/series/:id', authenticateToken, workspaceContext('editor'), async (req, res) => {
+  try {
+    const series = await findSeries(pool, req.params.id, scriptScope(req));
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
 
-    const user = newUser.rows[0];
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('UPDATE saved_scripts SET series_position = NULL WHERE series_id = $1', [series.id]);
+      await client.query('DELETE FROM content_series WHERE id = $1', [series.id]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete series error:', error);
+    res.status(500).json({ error: 'Failed to delete series' });
+  }
+});
 
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email, 
-        accessLevel: user.access_level,
-        firstName: user.first_name 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+// Adds draft scripts to the end of a series - body as for POST /api/series, minus the series fields
+app.post('/api/series/:id/episodes', authenticateToken, workspaceContext('editor'), async (req, res) => {
+  const drafts = parseEpisodeDrafts(req.body);
+  if (drafts.error) {
+    return res.status(400).json({ error: drafts.error });
+  }
 
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        accessLevel: user.access_level,
-        subscriptionStatus: user.subscription_status,
-        createdAt: user.created_at
-      }
-    });
+  const scope = scriptScope(req);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const series = await findSeries(client, req.params.id, scope);
+    if (!series) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    // Serializes concurrent additions so positions stay unique
+    await client.query('SELECT id FROM content_series WHERE id = $1 FOR UPDATE', [series.id]);
+    const scripts = await insertEpisodeDrafts(client, scope, series.id, drafts.episodes, req.body);
+    await client.query('UPDATE content_series SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [series.id]);
+
+    await client.query('COMMIT');
+    res.status(201).json({ seriesId: series.id, scripts });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed' });
+    await client.query('ROLLBACK');
+    console.error('Add series episodes error:', error);
+    res.status(500).json({ error: 'Failed to add episodes' });
+  } finally {
+    client.release();
   }
 });
 
-app.post('/api/auth/login', authLimiter, async (req, res) => {
+// Reference sources
+// Body: transcript (SRT, WebVTT or plain text), format? (detected when omitted), metadata? with
+// title, channel, url, description, publishedAt, viewCount, durationSeconds
+app.post('/api/sources/transcripts', authenticateToken, workspaceContext('editor'), requireEntitlement('transcript'), apiLimiter, generationLimiter, async (req, res) => {
+  const startTime = Date.now();
+  const meter = createUsageMeter(req.workspace);
+  let quota = null;
+  const { transcript, format } = req.body;
+  const metadata = { format };
+
   try {
-    const { email, password } = req.body;
+    if (!isNonEmptyString(transcript)) {
+      return res.status(400).json({ error: 'Transcript is required' });
+    }
+    if (transcript.length > MAX_TRANSCRIPT_LENGTH) {
+      return res.status(413).json({ error: `Transcripts are limited to ${MAX_TRANSCRIPT_LENGTH} characters` });
+    }
+    if (format !== undefined && !TRANSCRIPT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'Unknown transcript format', formats: TRANSCRIPT_FORMATS });
+    }
 
-    const userResult = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
-    if (userResult.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    const videoMetadata = parseSourceMetadata(req.body.metadata);
+    if (videoMetadata.error) {
+      return res.status(400).json({ error: videoMetadata.error });
     }
 
-    const user = userResult.rows[0];
-    const isValidPassword = await bcrypt.compare(password, user.password_hash);
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+    const parsed = parseTranscript(transcript, format);
+    if (parsed.wordCount === 0) {
+      return res.status(422).json({ error: `No spoken text found in the ${parsed.format} transcript` });
     }
+    Object.assign(metadata, { format: parsed.format, words: parsed.wordCount, title: videoMetadata.metadata.title });
 
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email, 
-        accessLevel: user.access_level,
-        firstName: user.first_name 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    quota = await reserveQuota(req.user.userId, 'transcript', { modelTier: req.body.modelTier, workspace: req.workspace });
+    if (!quota.allowed) {
+      return res.status(429).json({ error: quota.reason });
+    }
 
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        accessLevel: user.access_level,
-        subscriptionStatus: user.subscription_status,
-        preferredVoice: user.preferred_voice
-      }
+    const analysis = await analyzeTranscript({
+      transcript: parsed,
+      metadata: videoMetadata.metadata,
+      modelTier: req.body.modelTier,
+      meter
+    });
+
+    const scope = scriptScope(req);
+    const saved = await pool.query(`
+      INSERT INTO reference_sources (
+        user_id, workspace_id, format, title, metadata, transcript, cues, duration_seconds, word_count,
+        summary, key_points, retention_structure
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *
+    `, [
+      scope.userId, scope.workspaceId, parsed.format, videoMetadata.metadata.title || null,
+      JSON.stringify(videoMetadata.metadata), parsed.text,
+      parsed.cues.length > 0 ? JSON.stringify(parsed.cues) : null,
+      videoMetadata.metadata.durationSeconds || parsed.durationSeconds, parsed.wordCount,
+      analysis.summary, JSON.stringify(analysis.keyPoints), JSON.stringify(analysis.retentionStructure)
+    ]);
+
+    const processingTime = Date.now() - startTime;
+    await logUsage(req.user.userId, 'transcript', true, processingTime, meter, null, { ...metadata, sourceId: saved.rows[0].id });
+    await settleQuota(quota, true);
+
+    res.status(201).json({
+      source: formatSource(saved.rows[0]),
+      truncated: analysis.truncated,
+      stats: { processingTime }
     });
+
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed' });
+    const processingTime = Date.now() - startTime;
+    console.error('Transcript analysis error:', error);
+    await logUsage(req.user.userId, 'transcript', false, processingTime, meter, error.message, metadata);
+    await settleQuota(quota, false);
+    sendGenerationError(res, error, 'Transcript analysis failed');
   }
 });
 
-// User profile
-app.get('/api/user/profile', authenticateToken, async (req, res) => {
+app.get('/api/sources', authenticateToken, workspaceContext(), async (req, res) => {
   try {
-    const userProfile = await pool.query(`
-      SELECT 
-        u.*,
-        COALESCE(usage_stats.script_count, 0) as scripts_this_month,
-        COALESCE(usage_stats.hooks_count, 0) as hooks_this_month,
-        COALESCE(usage_stats.titles_count, 0) as titles_this_month,
-        q.*
-      FROM users u
-      LEFT JOIN (
-        SELECT 
-          user_id,
-          COUNT(CASE WHEN feature_type = 'script' AND success = true THEN 1 END) as script_count,
-          COUNT(CASE WHEN feature_type = 'hooks' AND success = true THEN 1 END) as hooks_count,
-          COUNT(CASE WHEN feature_type = 'titles' AND success = true THEN 1 END) as titles_count
-        FROM usage_logs 
-        WHERE created_at >= DATE_TRUNC('month', CURRENT_TIMESTAMP)
-        GROUP BY user_id
-      ) usage_stats ON u.id = usage_stats.user_id
-      LEFT JOIN usage_quotas q ON u.access_level = q.access_level
-      WHERE u.id = $1
-    `, [req.user.userId]);
-
-    if (userProfile.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const scope = scriptScope(req);
+    const result = await pool.query(`
+      SELECT r.*, COUNT(s.id) as script_count
+      FROM reference_sources r
+      LEFT JOIN saved_scripts s ON s.source_id = r.id
+      WHERE ${scopeCondition(scope, '$1', 'r.')}
+      GROUP BY r.id
+      ORDER BY r.created_at DESC, r.id DESC
+      LIMIT $2
+    `, [scopeKey(scope), limit]);
 
-    const userData = userProfile.rows[0];
-    
     res.json({
-      user: {
-        id: userData.id,
-        email: userData.email,
-        firstName: userData.first_name,
-        lastName: userData.last_name,
-        accessLevel: userData.access_level,
-        subscriptionStatus: userData.subscription_status,
-        preferredVoice: userData.preferred_voice,
-        createdAt: userData.created_at
-      },
-      usage: {
-        script: parseInt(userData.scripts_this_month || 0),
-        hooks: parseInt(userData.hooks_this_month || 0),
-        titles: parseInt(userData.titles_this_month || 0)
-      },
-      quotas: {
-        monthly_script_limit: userData.monthly_script_limit,
-        monthly_hooks_limit: userData.monthly_hooks_limit,
-        monthly_titles_limit: userData.monthly_titles_limit,
-        features_enabled: userData.features_enabled
-      }
+      sources: result.rows.map(row => ({ ...formatSource(row), scriptCount: parseInt(row.script_count) }))
     });
   } catch (error) {
-    console.error('Profile fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch profile' });
+    console.error('List sources error:', error);
+    res.status(500).json({ error: 'Failed to retrieve sources' });
   }
 });
 
-// Content generation endpoints
-app.post('/api/generate/script', authenticateToken, apiLimiter, generationLimiter, async (req, res) => {
-  const startTime = Date.now();
-  
+// Full transcript plus the saved scripts derived from the source
+app.get('/api/sources/:id', authenticateToken, workspaceContext(), async (req, res) => {
   try {
-    const { topic, audience, duration, tone, videoType, keywords, customPrompt, voicePreset } = req.body;
-    
-    const quotaCheck = await checkQuota(req.user.userId, 'script');
-    if (!quotaCheck.allowed) {
-      return res.status(429).json({ error: quotaCheck.reason });
+    const source = await findReferenceSource(pool, req.params.id, scriptScope(req));
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' });
     }
 
-    const voicePrompt = await getVoicePrompt(voicePreset || 'default');
-    const voiceAdditions = getVoicePromptAdditions(voicePreset);
-    
-    const fullPrompt = `${voicePrompt}
+    const scripts = await pool.query(
+      'SELECT id, title, status, created_at FROM saved_scripts WHERE source_id = $1 ORDER BY created_at DESC',
+      [source.id]
+    );
 
-${voiceAdditions}
+    res.json({ source: formatSource(source, { full: true }), scripts: scripts.rows });
+  } catch (error) {
+    console.error('Get source error:', error);
+    res.status(500).json({ error: 'Failed to retrieve source' });
+  }
+});
 
-Create an EXTREMELY retentive script for a ${duration}-minute ${videoType} video about "${topic}" that guarantees viewers watch until the end.
+// Scripts derived from the source keep their content and lose the link
+app.delete('/api/sources/:id', authenticateToken, workspaceContext('editor'), async (req, res) => {
+  try {
+    if (!isRowId(req.params.id)) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
 
-TARGET: ${audience} | TONE: ${tone} | KEYWORDS: ${keywords || 'N/A'}
-${customPrompt ? `SPECIAL INSTRUCTIONS: ${customPrompt}` : ''}
+    const scope = scriptScope(req);
+    const result = await pool.query(
+      `DELETE FROM reference_sources WHERE id = $1 AND ${scopeCondition(scope, '$2')} RETURNING id`,
+      [req.params.id, scopeKey(scope)]
+    );
 
-RETENTION SYSTEM REQUIREMENTS:
-- Hook must create immediate curiosity gap within 3 seconds
-- Use pattern interrupts every 30-45 seconds to reset attention
-- Include retention loops ("I'll show you this in just a minute...")
-- Build tension and promise resolution throughout
-- Use power words and emotional triggers
-- Appeal to casual, core, and new viewers simultaneously
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
 
-SCRIPT STRUCTURE WITH RETENTION TACTICS:
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete source error:', error);
+    res.status(500).json({ error: 'Failed to delete source' });
+  }
+});
 
-🎯 HOOK (0-15 seconds) - CRITICAL FOR CTR & RETENTION:
-- Open with bold statement, shocking statistic, or curiosity gap
-- NO introductions yet - dive straight into value
-- Create immediate "what happens next?" feeling
-- Promise specific, tangible outcome
+// Voice presets
+// Built-in presets for everyone; signed-in users also get their private voices
+app.get('/api/voice-presets', authenticateOptional, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ${VOICE_PRESET_COLUMNS} FROM voice_presets
+      WHERE owner_id IS NULL OR owner_id = $1
+      ORDER BY owner_id NULLS FIRST, name
+    `, [req.user ? req.user.userId : null]);
+    res.json({ presets: result.rows });
+  } catch (error) {
+    console.error('Voice presets error:', error);
+    res.status(500).json({ error: 'Failed to retrieve voice presets' });
+  }
+});
 
-🔥 INTRO (15-45 seconds) - COMMIT VIEWERS:
-- Quick personal introduction (credibility)
-- Restate the promise with more specificity  
-- Preview what's coming ("By the end of this video, you'll know exactly how to...")
-- Set expectations and create anticipation
+// Body: displayName, systemPrompt, optional name, description, styleBullets, styleGuide
+app.post('/api/voice-presets', authenticateToken, async (req, res) => {
+  try {
+    if (!isNonEmptyString(req.body.displayName) || !isNonEmptyString(req.body.systemPrompt)) {
+      return res.status(400).json({ error: 'displayName and systemPrompt are required' });
+    }
 
-📖 MAIN CONTENT - RETENTION OPTIMIZED:
-Break into 3-4 segments with:
-- Cliffhangers between sections
-- "But here's what's really interesting..." transitions
-- Story loops that get resolved later
-- Specific examples and case studies
-- "And this next part is crucial..." retention phrases
-- Pattern interrupts every 30-45 seconds
-- Callbacks to earlier points
+    let columns;
+    try {
+      columns = voicePresetColumns(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-💡 REVELATION SECTION (70% through):
-- Deliver on main promise
-- Include "aha moment" 
-- Provide specific, actionable steps
-- Use "But wait, there's more..." technique
+    const { name, status, error } = await validateNewVoiceName(req.user.userId, req.body.name, req.body.displayName);
+    if (error) {
+      return res.status(status).json({ error });
+    }
 
-🚀 CONCLUSION & CTA (Final 15%):
-- Summarize key takeaways
-- Strong call to action for subscription
-- Tease next video content
-- End with hook for next video
+    const preset = await insertVoicePreset(req.user.userId, name, columns, 'manual');
+    res.status(201).json({ preset });
+  } catch (error) {
+    console.error('Voice preset create error:', error);
+    res.status(500).json({ error: 'Failed to create voice preset' });
+  }
+});
 
-RETENTION TECHNIQUES TO INCLUDE:
-- Open loops: "I'll explain why this matters in just a moment..."
-- Pattern interrupts: "But first, let me tell you about..."
-- Curiosity gaps: "The real secret is something most people never realize..."
-- Social proof: "This helped [specific person] achieve [specific result]..."
-- Urgency: "If you don't do this, you'll miss out on..."
-- Personal stakes: "When I first discovered this..."
+// Body: displayName, optional name and description, plus scriptIds (saved scripts) and/or samples
+// (strings or import items { content, format?, filename? }) - between 1 and VOICE_SAMPLE_LIMIT in total
+app.post('/api/voice-presets/from-scripts', authenticateToken, requireEntitlement('voice'), apiLimiter, generationLimiter, async (req, res) => {
+  const startTime = Date.now();
+  const meter = createUsageMeter();
+  let quota = null;
+  const { displayName, description, scriptIds = [], samples = [] } = req.body;
+  const metadata = { displayName, scriptIds, uploadedSamples: Array.isArray(samples) ? samples.length : 0 };
 
-Make this script so engaging that viewers literally cannot stop watching. Every sentence should pull them deeper into the content. Word count: approximately ${parseInt(duration.split('-')[0]) * 150} words.
+  try {
+    if (!isNonEmptyString(displayName)) {
+      return res.status(400).json({ error: 'displayName is required' });
+    }
 
-Act as if you're creating a script that MUST get millions of views and 90%+ retention rate.`;
+    if (!Array.isArray(scriptIds) || !Array.isArray(samples)) {
+      return res.status(400).json({ error: 'scriptIds and samples must be arrays' });
+    }
 
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": process.env.ANTHROPIC_API_KEY,
-      },
-      body: JSON.stringify({
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 2000,
-        messages: [{ role: "user", content: fullPrompt }]
-      })
-    });
+    const sampleCount = scriptIds.length + samples.length;
+    if (sampleCount === 0 || sampleCount > VOICE_SAMPLE_LIMIT) {
+      return res.status(400).json({ error: `Provide between 1 and ${VOICE_SAMPLE_LIMIT} sample scripts` });
+    }
 
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.status}`);
+    const { name, status, error } = await validateNewVoiceName(req.user.userId, req.body.name, displayName);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    const data = await response.json();
-    const scriptContent = data.content[0].text;
-    
+    let texts;
+    try {
+      texts = await collectVoiceSamples(req.user.userId, { scriptIds, samples });
+    } catch (sampleError) {
+      return res.status(400).json({ error: sampleError.message });
+    }
+    if (texts.length === 0) {
+      return res.status(400).json({ error: 'Sample scripts have no content' });
+    }
+
+    quota = await reserveQuota(req.user.userId, 'voice', { modelTier: req.body.modelTier });
+    if (!quota.allowed) {
+      return res.status(429).json({ error: quota.reason });
+    }
+
+    const profile = await generateVoiceProfile(texts, { modelTier: req.body.modelTier, meter });
+    const preset = await insertVoicePreset(req.user.userId, name, {
+      display_name: displayName.trim().slice(0, 255),
+      description: description ? String(description).trim() : null,
+      system_prompt: profile.systemPrompt,
+      style_bullets: JSON.stringify(profile.styleBullets.slice(0, MAX_STYLE_BULLETS)),
+      style_profile: JSON.stringify({ ...profile.profile, sampleCount: texts.length })
+    }, 'samples');
+
     const processingTime = Date.now() - startTime;
-    const words = scriptContent.trim().split(/\s+/).length;
-    const estimatedDuration = Math.round((words / 150) * 100) / 100;
-    
-    await logUsage(req.user.userId, 'script', true, processingTime, words, null, 
-      { topic, audience, duration, tone, videoType, voicePreset });
+    await logUsage(req.user.userId, 'voice', true, processingTime, meter, null, metadata);
+    await settleQuota(quota, true);
 
-    res.json({
-      script: scriptContent,
-      stats: { words, estimatedDuration, processingTime }
-    });
+    res.status(201).json({ preset });
 
   } catch (error) {
+    console.error('Voice build error:', error);
     const processingTime = Date.now() - startTime;
-    console.error('Script generation error:', error);
-    await logUsage(req.user.userId, 'script', false, processingTime, 0, error.message, 
-      { topic, audience, duration, tone, videoType, voicePreset });
-    res.status(500).json({ error: 'Script generation failed' });
+    await logUsage(req.user.userId, 'voice', false, processingTime, meter, error.message, metadata);
+    await settleQuota(quota, false);
+    sendGenerationError(res, error, 'Failed to build voice from scripts');
   }
 });
 
-app.post('/api/generate/hooks', authenticateToken, apiLimiter, generationLimiter, async (req, res) => {
+app.get('/api/voice-presets/:id', authenticateOptional, async (req, res) => {
   try {
-    const { topic, audience, videoType, tone, voicePreset } = req.body;
-    
-    const quotaCheck = await checkQuota(req.user.userId, 'hooks');
-    if (!quotaCheck.allowed) {
-      return res.status(429).json({ error: quotaCheck.reason });
+    const result = await pool.query(`
+      SELECT ${VOICE_PRESET_COLUMNS} FROM voice_presets
+      WHERE id = $1 AND (owner_id IS NULL OR owner_id = $2)
+    `, [req.params.id, req.user ? req.user.userId : null]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Voice preset not found' });
     }
 
-    const voicePrompt = await getVoicePrompt(voicePreset || 'default');
-    const voiceAdditions = getVoicePromptAdditions(voicePreset);
-    
-    const prompt = `${voicePrompt}
+    res.json({ preset: result.rows[0] });
+  } catch (error) {
+    console.error('Voice preset fetch error:', error);
+    res.status(500).json({ error: 'Failed to retrieve voice preset' });
+  }
+});
 
-${voiceAdditions}
+// Built-in presets cannot be edited here; the name is fixed because scripts and profiles refer to it
+app.patch('/api/voice-presets/:id', authenticateToken, async (req, res) => {
+  try {
+    let columns;
+    try {
+      columns = voicePresetColumns(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-Create 8 ULTRA-RETENTIVE YouTube hooks for "${topic}" that guarantee viewers can't stop watching.
+    const names = Object.keys(columns);
+    if (names.length === 0) {
+      return res.status(400).json({ error: 'No voice preset fields to update' });
+    }
 
-AUDIENCE: ${audience} | TYPE: ${videoType} | TONE: ${tone}
+    const result = await pool.query(`
+      UPDATE voice_presets
+      SET ${[...names.map((name, index) => `${name} = $${index + 1}`), 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+      WHERE id = $${names.length + 1} AND owner_id = $${names.length + 2}
+      RETURNING ${VOICE_PRESET_COLUMNS}
+    `, [...names.map(name => columns[name]), req.params.id, req.user.userId]);
 
-HOOK REQUIREMENTS - EACH MUST:
-- Create immediate curiosity gap within 3 seconds
-- Appeal to casual, core, AND new viewers
-- Promise specific, tangible value
-- Use psychological triggers (fear, greed, curiosity, urgency)
-- NO introductions - straight to value
-- Create "what happens next?" compulsion
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Voice preset not found' });
+    }
 
-HOOK CATEGORIES (Create 1 of each + extras):
+    res.json({ preset: result.rows[0] });
+  } catch (error) {
+    console.error('Voice preset update error:', error);
+    res.status(500).json({ error: 'Failed to update voice preset' });
+  }
+});
 
-1. SHOCKING REVELATION: Start with counterintuitive truth
-2. MASSIVE SOCIAL PROOF: Reference specific success/failure
-3. CURIOSITY GAP: Promise secret most people don't know
-4. PATTERN INTERRUPT: Unexpected statement that breaks expectations
-5. PERSONAL STAKES: "If you don't know this..."
-6. SPECIFIC OUTCOME: "By the end of this video you'll..."
-7. STORY TEASER: Begin compelling narrative without resolution
-8. AUTHORITY HOOK: Reference expert knowledge/insider info
+// Saved scripts keep the voice name; new generations with it fall back to the default voice
+app.delete('/api/voice-presets/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM voice_presets WHERE id = $1 AND owner_id = $2 RETURNING name',
+      [req.params.id, req.user.userId]
+    );
 
-Each hook must:
-- Be 10-15 seconds when spoken
-- Include specific numbers/details when possible
-- Create immediate emotional response
-- Promise transformation, not just information
-- Work for someone who's never seen your content before
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Voice preset not found' });
+    }
 
-Examples of POWER WORDS to include: Secret, Mistake, Truth, Never, Always, Guaranteed, Proven, Hidden, Exposed, Revealed
+    await pool.query(
+      "UPDATE users SET preferred_voice = 'default' WHERE id = $1 AND preferred_voice = $2",
+      [req.user.userId, result.rows[0].name]
+    );
 
-Format as JSON: [{"type": "Hook Category", "text": "Exact hook text", "psychology": "Why this works"}]
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Voice preset delete error:', error);
+    res.status(500).json({ error: 'Failed to delete voice preset' });
+  }
+});
 
-CRITICAL: These hooks must be so compelling that viewers literally cannot scroll away. Act as if each hook determines whether you get 100 views or 1 million views.`;
+// Admin routes
+// Query: q (email or name), accessLevel, subscriptionStatus, role, suspended=true|false, limit, offset
+app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const conditions = [];
+    const values = [];
+
+    if (req.query.q) {
+      values.push(`%${req.query.q}%`);
+      conditions.push(`(email ILIKE $${values.length} OR first_name ILIKE $${values.length} OR last_name ILIKE $${values.length})`);
+    }
 
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": process.env.ANTHROPIC_API_KEY,
-      },
-      body: JSON.stringify({
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 1000,
-        messages: [{ role: "user", content: prompt }]
-      })
-    });
+    for (const [param, column] of [['accessLevel', 'access_level'], ['subscriptionStatus', 'subscription_status'], ['role', 'role']]) {
+      if (req.query[param]) {
+        values.push(req.query[param]);
+        conditions.push(`${column} = $${values.length}`);
+      }
+    }
 
-    const data = await response.json();
-    let responseText = data.content[0].text.trim();
-    responseText = responseText.replace(/```json\n?/g, "").replace(/```\n?/g, "");
-    
-    const hooksData = JSON.parse(responseText);
-    
-    await logUsage(req.user.userId, 'hooks', true, 0, 0, null, { topic, audience, videoType, tone });
-    
-    res.json({ hooks: hooksData });
+    if (req.query.suspended === 'true') conditions.push('suspended_at IS NOT NULL');
+    if (req.query.suspended === 'false') conditions.push('suspended_at IS NULL');
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [usersResult, countResult] = await Promise.all([
+      pool.query(`
+        SELECT ${ADMIN_USER_COLUMNS} FROM users ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+      `, [...values, limit, offset]),
+      pool.query(`SELECT COUNT(*) as count FROM users ${where}`, values)
+    ]);
 
+    res.json({
+      users: usersResult.rows.map(formatAdminUser),
+      total: parseInt(countResult.rows[0].count),
+      limit,
+      offset
+    });
   } catch (error) {
-    console.error('Hooks generation error:', error);
-    await logUsage(req.user.userId, 'hooks', false, 0, 0, error.message, { topic, audience, videoType, tone });
-    res.status(500).json({ error: 'Hooks generation failed' });
+    console.error('Admin user list error:', error);
+    res.status(500).json({ error: 'Failed to list users' });
   }
 });
 
-app.post('/api/generate/titles', authenticateToken, apiLimiter, generationLimiter, async (req, res) => {
+app.get('/api/admin/users/:id', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { topic, audience, videoType } = req.body;
-    
-    const quotaCheck = await checkQuota(req.user.userId, 'titles');
-    if (!quotaCheck.allowed) {
-      return res.status(429).json({ error: quotaCheck.reason });
+    const userResult = await pool.query(`SELECT ${ADMIN_USER_COLUMNS} FROM users WHERE id = $1`, [req.params.id]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const prompt = `Create 10 VIRAL YouTube titles for "${topic}" using proven formulas that guarantee millions of views.
+    const usage = await pool.query(`
+      SELECT feature_type, COUNT(*) as count FROM usage_logs
+      WHERE user_id = $1 AND success = true AND created_at >= DATE_TRUNC('month', CURRENT_TIMESTAMP)
+      GROUP BY feature_type
+    `, [req.params.id]);
 
-AUDIENCE: ${audience} | TYPE: ${videoType}
+    res.json({
+      user: formatAdminUser(userResult.rows[0]),
+      usageThisMonth: Object.fromEntries(usage.rows.map(row => [row.feature_type, parseInt(row.count)]))
+    });
+  } catch (error) {
+    console.error('Admin user fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
 
-TITLE REQUIREMENTS:
-- 60 characters or less (optimal for mobile)
-- High CTR (click-through rate) potential
-- Appeal to casual, core, and new viewers
-- Include emotional triggers and power words
-- Promise specific, valuable outcome
-- Create curiosity gap or urgency
+// Body: accessLevel, subscriptionStatus, role - any subset
+app.patch('/api/admin/users/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { accessLevel, subscriptionStatus, role, reason } = req.body;
+    const columns = {};
 
-PROVEN TITLE FORMULAS TO USE:
+    if (accessLevel !== undefined) {
+      const plan = await pool.query('SELECT 1 FROM usage_quotas WHERE access_level = $1', [accessLevel]);
+      if (plan.rows.length === 0) {
+        return res.status(400).json({ error: 'Unknown access level' });
+      }
+      columns.access_level = accessLevel;
+    }
 
-1. CURIOSITY GAP: "The [Secret/Truth] About [Topic] Nobody Tells You"
-2. SPECIFIC OUTCOME: "How I [Achieved Specific Result] in [Timeframe]"
-3. MISTAKE FORMULA: "Why [Common Belief] is Actually Ruining Your [Goal]"
-4. AUTHORITY FORMULA: "[Number] [Topic] Tips from a [Credible Source]"
-5. TRANSFORMATION: "From [Bad State] to [Good State] in [Timeframe]"
-6. URGENCY: "Do This Before [Deadline/Age/Event] or [Consequence]"
-7. CONTROVERSY: "Why [Popular Thing] is [Controversial Opinion]"
-8. SPECIFIC NUMBER: "[Exact Number] Ways to [Achieve Desired Outcome]"
-9. STORY HOOK: "How [Specific Person/Situation] [Achieved Something Amazing]"
-10. PROBLEM/SOLUTION: "If You [Have Problem], Watch This"
+    if (subscriptionStatus !== undefined) {
+      if (!SUBSCRIPTION_STATUSES.includes(subscriptionStatus)) {
+        return res.status(400).json({ error: 'Unknown subscription status', allowed: SUBSCRIPTION_STATUSES });
+      }
+      columns.subscription_status = subscriptionStatus;
+    }
 
-Format as JSON array of strings. These titles should be so compelling that they achieve 10%+ CTR rates.`;
+    if (role !== undefined) {
+      if (!USER_ROLES.includes(role)) {
+        return res.status(400).json({ error: 'Unknown role', allowed: USER_ROLES });
+      }
+      if (String(req.params.id) === String(req.user.userId) && role !== 'admin') {
+        return res.status(400).json({ error: 'Admins cannot remove their own admin role' });
+      }
+      columns.role = role;
+    }
 
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": process.env.ANTHROPIC_API_KEY,
-      },
-      body: JSON.stringify({
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 800,
-        messages: [{ role: "user", content: prompt }]
-      })
-    });
+    if (Object.keys(columns).length === 0) {
+      return res.status(400).json({ error: 'No user fields to update' });
+    }
 
-    const data = await response.json();
-    let responseText = data.content[0].text.trim();
-    responseText = responseText.replace(/```json\n?/g, "").replace(/```\n?/g, "");
-    
-    const titlesData = JSON.parse(responseText);
-    
-    await logUsage(req.user.userId, 'titles', true, 0, 0, null, { topic, audience, videoType });
-    
-    res.json({ titles: titlesData });
+    const updated = await updateWithAudit(req, {
+      table: 'users',
+      keyColumn: 'id',
+      key: req.params.id,
+      columns,
+      extraSet: ['updated_at = CURRENT_TIMESTAMP'],
+      action: 'user.update',
+      targetType: 'user',
+      reason
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
+    res.json({ user: formatAdminUser(updated) });
   } catch (error) {
-    console.error('Titles generation error:', error);
-    await logUsage(req.user.userId, 'titles', false, 0, 0, error.message, { topic, audience, videoType });
-    res.status(500).json({ error: 'Titles generation failed' });
+    console.error('Admin user update error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
   }
 });
 
-// Saved scripts endpoints
-app.post('/api/scripts/save', authenticateToken, async (req, res) => {
+// Suspending ends every session through the users trigger; login and refresh are refused until unsuspended
+app.post('/api/admin/users/:id/suspend', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const {
-      title, topic, audience, duration, tone, videoType, voicePreset,
-      scriptContent, hooks, titles, outline, description, tags, thumbnailText, callToActions, scriptStats
-    } = req.body;
+    const { reason } = req.body;
 
-    const result = await pool.query(`
-      INSERT INTO saved_scripts (
-        user_id, title, topic, audience, duration, tone, video_type, voice_preset,
-        script_content, hooks, titles, outline, description, tags, thumbnail_text,
-        call_to_actions, script_stats
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
-      RETURNING id, created_at
-    `, [
-      req.user.userId, title || topic, topic, audience, duration, tone, videoType, voicePreset,
-      scriptContent, JSON.stringify(hooks || []), JSON.stringify(titles || []), outline,
-      description, JSON.stringify(tags || []), JSON.stringify(thumbnailText || []),
-      JSON.stringify(callToActions || []), JSON.stringify(scriptStats || {})
-    ]);
+    if (String(req.params.id) === String(req.user.userId)) {
+      return res.status(400).json({ error: 'Admins cannot suspend themselves' });
+    }
 
-    res.json({
-      success: true,
-      scriptId: result.rows[0].id,
-      savedAt: result.rows[0].created_at
+    const updated = await updateWithAudit(req, {
+      table: 'users',
+      keyColumn: 'id',
+      key: req.params.id,
+      columns: { suspension_reason: reason || null },
+      extraSet: ['suspended_at = COALESCE(suspended_at, CURRENT_TIMESTAMP)', 'updated_at = CURRENT_TIMESTAMP'],
+      action: 'user.suspend',
+      targetType: 'user',
+      reason
     });
+    if (!updated) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
+    res.json({ user: formatAdminUser(updated) });
   } catch (error) {
-    console.error('Save script error:', error);
-    res.status(500).json({ error: 'Failed to save script' });
+    console.error('Admin suspend error:', error);
+    res.status(500).json({ error: 'Failed to suspend user' });
   }
 });
 
-app.get('/api/scripts/saved', authenticateToken, async (req, res) => {
+app.post('/api/admin/users/:id/unsuspend', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT * FROM saved_scripts 
-      WHERE user_id = $1 
-      ORDER BY updated_at DESC
-    `, [req.user.userId]);
+    const updated = await updateWithAudit(req, {
+      table: 'users',
+      keyColumn: 'id',
+      key: req.params.id,
+      columns: { suspended_at: null, suspension_reason: null },
+      extraSet: ['updated_at = CURRENT_TIMESTAMP'],
+      action: 'user.unsuspend',
+      targetType: 'user',
+      reason: req.body.reason
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-    res.json({ scripts: result.rows });
+    res.json({ user: formatAdminUser(updated) });
+  } catch (error) {
+    console.error('Admin unsuspend error:', error);
+    res.status(500).json({ error: 'Failed to unsuspend user' });
+  }
+});
 
+app.get('/api/admin/quotas', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM usage_quotas ORDER BY access_level');
+    res.json({ quotas: result.rows.map(formatQuota) });
   } catch (error) {
-    console.error('Get saved scripts error:', error);
-    res.status(500).json({ error: 'Failed to retrieve saved scripts' });
+    console.error('Admin quota list error:', error);
+    res.status(500).json({ error: 'Failed to list quotas' });
   }
 });
 
-app.delete('/api/scripts/:id', authenticateToken, async (req, res) => {
+// Body: limits ({ feature: monthly limit }), featuresEnabled, planRank, premiumVoices,
+// maxDurationMinutes and modelTiers - any subset. Edited plans are marked
+// customized so restarting the server does not reset them to the seeded defaults.
+app.patch('/api/admin/quotas/:accessLevel', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const result = await pool.query(
-      'DELETE FROM saved_scripts WHERE id = $1 AND user_id = $2 RETURNING id',
-      [req.params.id, req.user.userId]
-    );
+    const { limits = {}, featuresEnabled, reason } = req.body;
+    const columns = {};
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Script not found' });
+    for (const [feature, value] of Object.entries(limits)) {
+      if (!QUOTA_LIMIT_COLUMNS[feature]) {
+        return res.status(400).json({ error: `Unknown feature: ${feature}`, allowed: Object.keys(QUOTA_LIMIT_COLUMNS) });
+      }
+      if (!Number.isInteger(value) || value < 0) {
+        return res.status(400).json({ error: `Limit for ${feature} must be a non-negative integer` });
+      }
+      columns[QUOTA_LIMIT_COLUMNS[feature]] = value;
     }
 
-    res.json({ success: true });
+    if (featuresEnabled !== undefined) {
+      if (!Array.isArray(featuresEnabled) || featuresEnabled.some(feature => !QUOTA_LIMIT_COLUMNS[feature])) {
+        return res.status(400).json({ error: 'featuresEnabled must list known features', allowed: Object.keys(QUOTA_LIMIT_COLUMNS) });
+      }
+      columns.features_enabled = [...new Set(featuresEnabled)];
+    }
 
+    const { planRank, premiumVoices, maxDurationMinutes, modelTiers } = req.body;
+
+    if (planRank !== undefined) {
+      if (!Number.isInteger(planRank)) {
+        return res.status(400).json({ error: 'planRank must be an integer' });
+      }
+      columns.plan_rank = planRank;
+    }
+
+    if (premiumVoices !== undefined) {
+      columns.premium_voices = Boolean(premiumVoices);
+    }
+
+    if (maxDurationMinutes !== undefined) {
+      if (maxDurationMinutes !== null && (!Number.isInteger(maxDurationMinutes) || maxDurationMinutes < 1)) {
+        return res.status(400).json({ error: 'maxDurationMinutes must be a positive integer or null for no limit' });
+      }
+      columns.max_duration_minutes = maxDurationMinutes;
+    }
+
+    if (modelTiers !== undefined) {
+      if (!Array.isArray(modelTiers) || modelTiers.length === 0 || modelTiers.some(tier => !MODEL_TIERS.includes(tier))) {
+        return res.status(400).json({ error: 'modelTiers must list known model tiers', allowed: MODEL_TIERS });
+      }
+      columns.model_tiers = [...new Set(modelTiers)];
+    }
+
+    const { metering, monthlyTokenLimit, monthlyCreditLimit } = req.body;
+
+    if (metering !== undefined) {
+      if (!QUOTA_METERINGS.includes(metering)) {
+        return res.status(400).json({ error: 'Unknown metering', allowed: QUOTA_METERINGS });
+      }
+      columns.metering = metering;
+    }
+
+    for (const [field, column, value] of [
+      ['monthlyTokenLimit', 'monthly_token_limit', monthlyTokenLimit],
+      ['monthlyCreditLimit', 'monthly_credit_limit', monthlyCreditLimit]
+    ]) {
+      if (value === undefined) continue;
+      if (value !== null && (!Number.isInteger(value) || value < 0)) {
+        return res.status(400).json({ error: `${field} must be a non-negative integer or null for no limit` });
+      }
+      columns[column] = value;
+    }
+
+    if (Object.keys(columns).length === 0) {
+      return res.status(400).json({ error: 'No quota fields to update' });
+    }
+
+    const updated = await updateWithAudit(req, {
+      table: 'usage_quotas',
+      keyColumn: 'access_level',
+      key: req.params.accessLevel,
+      columns,
+      extraSet: ['customized_at = CURRENT_TIMESTAMP'],
+      action: 'quota.update',
+      targetType: 'quota',
+      reason
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Plan not found' });
+    }
+
+    res.json({ quota: formatQuota(updated) });
   } catch (error) {
-    console.error('Delete script error:', error);
-    res.status(500).json({ error: 'Failed to delete script' });
+    console.error('Admin quota update error:', error);
+    res.status(500).json({ error: 'Failed to update quota' });
   }
 });
 
-// Voice presets
-app.get('/api/voice-presets', async (req, res) => {
+// Query: from, to (ISO dates, default this month), userId, accessLevel (plan at the time of the call)
+app.get('/api/admin/reports/costs', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM voice_presets ORDER BY name');
-    res.json({ presets: result.rows });
+    const range = parseReportRange(req.query);
+    if (!range) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+    if (req.query.userId && !/^\d+$/.test(String(req.query.userId))) {
+      return res.status(400).json({ error: 'userId must be a user id' });
+    }
+
+    res.json(await buildCostReport(range, req.query));
   } catch (error) {
-    console.error('Voice presets error:', error);
-    res.status(500).json({ error: 'Failed to retrieve voice presets' });
+    console.error('Cost report error:', error);
+    res.status(500).json({ error: 'Failed to build cost report' });
+  }
+});
+
+// Users ranked by cost. Query: from, to, accessLevel, limit, offset
+app.get('/api/admin/reports/costs/users', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const range = parseReportRange(req.query);
+    if (!range) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { where, values } = costReportFilters(range, { accessLevel: req.query.accessLevel });
+
+    const result = await pool.query(`
+      SELECT l.user_id, u.email, u.access_level, ${COST_AGGREGATES}
+      FROM usage_logs l
+      LEFT JOIN users u ON u.id = l.user_id
+      WHERE ${where}
+      GROUP BY l.user_id, u.email, u.access_level
+      ORDER BY cost_usd DESC, l.user_id
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `, [...values, limit, offset]);
+
+    res.json({
+      range,
+      users: result.rows.map(row => ({
+        userId: row.user_id,
+        email: row.email,
+        accessLevel: row.access_level,
+        ...formatCostRow(row)
+      })),
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('User cost report error:', error);
+    res.status(500).json({ error: 'Failed to build user cost report' });
+  }
+});
+
+// Query: adminId, targetType, targetId, action, limit, offset
+app.get('/api/admin/audit-log', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const conditions = [];
+    const values = [];
+
+    for (const [param, column] of [['adminId', 'l.admin_id'], ['targetType', 'l.target_type'], ['targetId', 'l.target_id'], ['action', 'l.action']]) {
+      if (req.query[param]) {
+        values.push(req.query[param]);
+        conditions.push(`${column} = $${values.length}`);
+      }
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await pool.query(`
+      SELECT l.*, u.email as admin_email
+      FROM admin_audit_log l
+      LEFT JOIN users u ON u.id = l.admin_id
+      ${where}
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `, [...values, limit, offset]);
+
+    res.json({
+      entries: result.rows.map(row => ({
+        id: row.id,
+        adminId: row.admin_id,
+        adminEmail: row.admin_email,
+        action: row.action,
+        targetType: row.target_type,
+        targetId: row.target_id,
+        changes: row.changes,
+        reason: row.reason,
+        ipAddress: row.ip_address,
+        createdAt: row.created_at
+      })),
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('Admin audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
   }
 });
 
@@ -1811,9 +7978,39 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-app.listen(PORT, () => {
-  console.log(`🚀 YouTube Script AI Server running on port ${PORT}`);
-  console.log(`📊 Database: ${process.env.DATABASE_URL ? 'Connected' : 'Local'}`);
-  console.log(`🤖 Anthropic API: ${process.env.ANTHROPIC_API_KEY ? 'Configured' : 'Missing'}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV}`);
-});
+// Tests require this file for its helpers, so only `node server.js` touches the database and listens
+if (require.main === module) {
+  initDB();
+
+  app.listen(PORT, () => {
+    console.log(`🚀 YouTube Script AI Server running on port ${PORT}`);
+    console.log(`📊 Database: ${process.env.DATABASE_URL ? 'Connected' : 'Local'}`);
+    console.log(`🤖 LLM provider: ${LLM_PROVIDER} (${LLM_PROVIDERS[LLM_PROVIDER] && LLM_PROVIDERS[LLM_PROVIDER].isConfigured() ? 'Configured' : 'Missing'})`);
+    console.log(`📧 Mail transport: ${mailer.name}`);
+    console.log(`💳 Billing provider: ${BILLING_PROVIDER} (${billing && billing.isConfigured() ? 'Configured' : 'Missing'})`);
+    console.log(`🌍 Environment: ${process.env.NODE_ENV}`);
+  });
+}
+
+module.exports = {
+  app,
+  pool,
+  generateText,
+  generateStructured,
+  createUsageMeter,
+  reserveQuota,
+  settleQuota,
+  billing,
+  createFakeBillingProvider,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  handleBillingWebhook,
+  BillingError,
+  parseTranscript,
+  collectVoiceSamples,
+  diffLines,
+  parseStructured,
+  renderExport,
+  parseImportItem,
+  checkEntitlement
+};
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { stubPool, listen } = require('./helpers');
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// An in-memory refresh_tokens table for user 5, seeded with one live token
+const sessionDatabase = (seedToken) => {
+  const tokens = [{ id: 1, user_id: 5, token_hash: hash(seedToken), family_id: 'family-1', revoked_at: null, replaced_by: null }];
+  const user = { email: 'creator@example.com', first_name: 'Ada', access_level: 'free', token_version: 0, suspended_at: null };
+
+  const stub = stubPool((sql, params) => {
+    if (/FROM refresh_tokens t\s+JOIN users u/.test(sql)) {
+      const row = tokens.find(token => token.token_hash === params[0]);
+      return { rows: row ? [{ ...row, ...user, expires_at: new Date(Date.now() + 60000) }] : [] };
+    }
+    if (/INSERT INTO refresh_tokens/.test(sql)) {
+      const row = { id: tokens.length + 1, user_id: params[0], token_hash: params[1], family_id: params[2], revoked_at: null, replaced_by: null };
+      tokens.push(row);
+      return { rows: [{ id: row.id }] };
+    }
+    if (/SET revoked_at = CURRENT_TIMESTAMP, replaced_by = \$1 WHERE id = \$2/.test(sql)) {
+      Object.assign(tokens.find(token => token.id === params[1]), { revoked_at: new Date(), replaced_by: params[0] });
+    }
+    if (/SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = \$1 AND revoked_at IS NULL/.test(sql)) {
+      tokens.filter(token => token.family_id === params[0] && !token.revoked_at).forEach(token => { token.revoked_at = new Date(); });
+    }
+    return undefined;
+  });
+
+  return { ...stub, tokens };
+};
+
+const refresh = (app, refreshToken) => fetch(`${app.baseUrl}/api/auth/refresh`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ refreshToken })
+});
+
+test('each refresh rotates the token, well past the login rate limit', async (t) => {
+  const db = sessionDatabase('seed-rotation');
+  const app = await listen();
+  t.after(async () => {
+    db.restore();
+    await app.close();
+  });
+
+  let current = 'seed-rotation';
+  for (let i = 0; i < 8; i++) {
+    const response = await refresh(app, current);
+    assert.strictEqual(response.status, 200);
+    const body = await response.json();
+    assert.ok(body.token);
+    assert.notStrictEqual(body.refreshToken, current);
+    current = body.refreshToken;
+  }
+
+  assert.strictEqual(db.tokens.filter(token => !token.revoked_at).length, 1);
+  assert.ok(db.tokens.every(token => token.family_id === 'family-1'));
+});
+
+test('replaying a rotated token revokes the whole family', async (t) => {
+  const db = sessionDatabase('seed-reuse');
+  const app = await listen();
+  t.after(async () => {
+    db.restore();
+    await app.close();
+  });
+
+  const rotated = await (await refresh(app, 'seed-reuse')).json();
+
+  const replay = await refresh(app, 'seed-reuse');
+  assert.strictEqual(replay.status, 401);
+  assert.strictEqual((await replay.json()).code, 'REFRESH_REVOKED');
+  assert.ok(db.tokens.every(token => token.revoked_at));
+
+  const latest = await refresh(app, rotated.refreshToken);
+  assert.strictEqual(latest.status, 401);
+  assert.strictEqual((await latest.json()).code, 'REFRESH_REVOKED');
+});
+
+test('unknown tokens are refused and retrying one is rate limited', async (t) => {
+  const db = sessionDatabase('seed-unknown');
+  const app = await listen();
+  t.after(async () => {
+    db.restore();
+    await app.close();
+  });
+
+  const statuses = [];
+  for (let i = 0; i < 11; i++) {
+    statuses.push((await refresh(app, 'not-a-token')).status);
+  }
+  assert.deepStrictEqual(statuses, [...Array(10).fill(401), 429]);
+  assert.strictEqual((await refresh(app, 'seed-unknown')).status, 200);
+});
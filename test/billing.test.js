@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { server, stubPool, listen } = require('./helpers');
+
+const { billing, createFakeBillingProvider, signWebhookPayload, verifyWebhookSignature, handleBillingWebhook, BillingError } = server;
+
+const SECRET = 'whsec_test';
+
+test('webhook signatures verify and reject tampering, wrong secrets and stale timestamps', () => {
+  const payload = JSON.stringify({ id: 'evt_1' });
+  const header = signWebhookPayload(payload, SECRET);
+
+  assert.doesNotThrow(() => verifyWebhookSignature(payload, header, SECRET));
+  assert.throws(() => verifyWebhookSignature(`${payload} `, header, SECRET), BillingError);
+  assert.throws(() => verifyWebhookSignature(payload, header, 'whsec_other'), BillingError);
+  assert.throws(() => verifyWebhookSignature(payload, '', SECRET), /Missing webhook signature/);
+
+  const stale = signWebhookPayload(payload, SECRET, Math.floor(Date.now() / 1000) - 600);
+  assert.throws(() => verifyWebhookSignature(payload, stale, SECRET), /tolerance/);
+});
+
+// Answers the queries applyBillingEvent and syncUserPlan make for user 42
+const billingDatabase = () => {
+  const seenEvents = new Set();
+  const subscriptions = new Map();
+  const users = { 42: { access_level: 'free', subscription_status: null } };
+
+  const stub = stubPool((sql, params) => {
+    if (/token_version, preferred_voice/.test(sql)) {
+      return { rows: users[params[0]] ? [{ ...users[params[0]], token_version: 0, role: 'user' }] : [] };
+    }
+    if (/INSERT INTO billing_events/.test(sql)) {
+      if (seenEvents.has(params[1])) return { rows: [] };
+      seenEvents.add(params[1]);
+      return { rows: [{ event_id: params[1] }] };
+    }
+    if (/SELECT id FROM users WHERE id = \$1 OR billing_customer_id/.test(sql)) {
+      return { rows: users[params[0]] ? [{ id: params[0] }] : [] };
+    }
+    if (/INSERT INTO billing_subscriptions/.test(sql)) {
+      subscriptions.set(params[2], { access_level: params[5], status: params[6] });
+      return { rows: [{ id: 1 }] };
+    }
+    if (/FROM billing_subscriptions s/.test(sql)) {
+      return { rows: [...subscriptions.values()] };
+    }
+    if (/UPDATE users SET access_level/.test(sql)) {
+      users[params[0]] = { access_level: params[1], subscription_status: params[2] };
+    }
+    return undefined;
+  });
+
+  return { ...stub, users };
+};
+
+test('fake checkout delivers a signed webhook that upgrades the user once', async (t) => {
+  const db = billingDatabase();
+  t.after(db.restore);
+
+  const session = await billing.createCheckoutSession({
+    user: { id: 42, email: 'creator@example.com' },
+    priceId: billing.priceFor('premium')
+  });
+  const { subscription, delivery } = billing.completeCheckout(session.id);
+
+  assert.deepStrictEqual(await handleBillingWebhook(delivery.payload, delivery.signature), { handled: true, stale: false });
+  assert.deepStrictEqual(db.users[42], { access_level: 'premium', subscription_status: 'active' });
+
+  assert.deepStrictEqual(await handleBillingWebhook(delivery.payload, delivery.signature), { handled: true, duplicate: true });
+
+  const canceled = billing.updateSubscription(subscription.id, { status: 'canceled' });
+  await handleBillingWebhook(canceled.delivery.payload, canceled.delivery.signature);
+  assert.deepStrictEqual(db.users[42], { access_level: 'free', subscription_status: 'canceled' });
+});
+
+test('webhook endpoint rejects a delivery whose body was altered', async (t) => {
+  const db = billingDatabase();
+  const app = await listen();
+  t.after(async () => {
+    db.restore();
+    await app.close();
+  });
+
+  const session = await billing.createCheckoutSession({ user: { id: 42 }, priceId: billing.priceFor('pro') });
+  const { delivery } = billing.completeCheckout(session.id);
+  const post = (body) => fetch(`${app.baseUrl}/api/billing/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': delivery.signature },
+    body
+  });
+
+  const tampered = await post(delivery.payload.replace(/price_fake_pro/, 'price_fake_premium'));
+  assert.strictEqual(tampered.status, 400);
+  assert.strictEqual((await tampered.json()).code, 'INVALID_SIGNATURE');
+  assert.strictEqual(db.users[42].access_level, 'free');
+
+  const genuine = await post(delivery.payload);
+  assert.strictEqual(genuine.status, 200);
+  assert.strictEqual(db.users[42].access_level, 'pro');
+});
+
+test('the fake provider will not start without its own webhook secret', () => {
+  assert.throws(() => createFakeBillingProvider({ webhookSecret: '' }), /BILLING_WEBHOOK_SECRET/);
+  assert.strictEqual(billing.webhookSecret(), process.env.BILLING_WEBHOOK_SECRET);
+});
+
+test('fake checkout completion needs the signed-in owner of the session', async (t) => {
+  const db = billingDatabase();
+  const app = await listen();
+  t.after(async () => {
+    db.restore();
+    await app.close();
+  });
+
+  const session = await billing.createCheckoutSession({ user: { id: 42 }, priceId: billing.priceFor('pro') });
+  const complete = (userId) => fetch(`${app.baseUrl}/api/billing/fake/checkout/${session.id}/complete`, {
+    method: 'POST',
+    headers: userId ? { Authorization: `Bearer ${jwt.sign({ userId, tokenVersion: 0 }, process.env.JWT_SECRET)}` } : {}
+  });
+  db.users[7] = { access_level: 'free', subscription_status: null };
+
+  assert.strictEqual((await complete()).status, 401);
+  assert.strictEqual((await complete(7)).status, 404);
+  assert.strictEqual(db.users[42].access_level, 'free');
+
+  assert.strictEqual((await complete(42)).status, 200);
+  assert.strictEqual(db.users[42].access_level, 'pro');
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { server, stubPool } = require('./helpers');
+
+const { checkEntitlement } = server;
+
+const plans = [
+  { access_level: 'free', plan_rank: 0, features_enabled: ['script', 'titles'], premium_voices: false, max_duration_minutes: 10, model_tiers: ['standard'] },
+  { access_level: 'premium', plan_rank: 1, features_enabled: ['script', 'titles', 'hooks'], premium_voices: true, max_duration_minutes: 30, model_tiers: ['standard'] },
+  { access_level: 'pro', plan_rank: 2, features_enabled: ['script', 'titles', 'hooks'], premium_voices: true, max_duration_minutes: 60, model_tiers: ['standard', 'advanced'] }
+];
+
+const planDatabase = () => stubPool((sql) => {
+  if (/FROM usage_quotas ORDER BY plan_rank/.test(sql)) return { rows: plans };
+  if (/FROM voice_presets/.test(sql)) return { rows: [{ name: 'narrator', display_name: 'Narrator', is_premium: true }] };
+  return undefined;
+});
+
+const free = { userId: 5, accessLevel: 'free' };
+
+test('each plan gate names the cheapest plan that lifts it', async (t) => {
+  const db = planDatabase();
+  t.after(db.restore);
+
+  const feature = await checkEntitlement(free, 'hooks');
+  assert.deepStrictEqual([feature.status, feature.body.entitlement, feature.body.requiredPlan], [403, 'feature', 'premium']);
+
+  const voice = await checkEntitlement(free, 'script', { voicePreset: 'narrator' });
+  assert.strictEqual(voice.body.entitlement, 'premium_voice');
+  assert.match(voice.body.error, /Narrator voice is only available on premium plans\. Upgrade to Premium/);
+
+  const duration = await checkEntitlement(free, 'script', { duration: '40-45' });
+  assert.deepStrictEqual([duration.body.entitlement, duration.body.requiredPlan], ['duration', 'pro']);
+
+  const model = await checkEntitlement({ ...free, accessLevel: 'premium' }, 'titles', { modelTier: 'advanced' });
+  assert.deepStrictEqual([model.body.entitlement, model.body.requiredPlan], ['model', 'pro']);
+
+  const beyondEveryPlan = await checkEntitlement({ ...free, accessLevel: 'pro' }, 'script', { duration: '90' });
+  assert.deepStrictEqual([beyondEveryPlan.body.entitlement, beyondEveryPlan.body.requiredPlan], ['duration', null]);
+});
+
+test('requests within the plan pass and unknown tiers are a bad request', async (t) => {
+  const db = planDatabase();
+  t.after(db.restore);
+
+  assert.strictEqual(await checkEntitlement(free, 'script', { duration: '8', modelTier: 'standard' }), null);
+  assert.strictEqual((await checkEntitlement(free, 'script', { modelTier: 'huge' })).status, 400);
+  assert.strictEqual((await checkEntitlement({ ...free, accessLevel: 'gold' }, 'script')).body.code, 'PLAN_NOT_FOUND');
+});
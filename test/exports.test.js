@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { server } = require('./helpers');
+
+const { renderExport } = server;
+
+const script = {
+  id: 12,
+  title: 'Home Espresso',
+  topic: 'home espresso',
+  duration: '8',
+  script_content: 'HOOK\n[Camera pans over the grinder]\nMost people brew **espresso** wrong. Here is why it matters.',
+  hooks: [{ type: 'Curiosity', text: 'Nobody tells you this.', psychology: 'Open loop' }],
+  titles: ['I Tried Every Espresso Machine'],
+  tags: ['espresso', 'coffee']
+};
+
+test('teleprompter text drops headings, stage directions and formatting', () => {
+  assert.strictEqual(renderExport(script, 'txt'), 'Most people brew espresso wrong. Here is why it matters.\n');
+});
+
+test('subtitles get one cue per sentence timed at the speaking rate', () => {
+  assert.strictEqual(renderExport(script, 'srt'), [
+    '1', '00:00:00,000 --> 00:00:02,000', 'Most people brew espresso wrong.', '',
+    '2', '00:00:02,000 --> 00:00:04,000', 'Here is why it matters.', ''
+  ].join('\n'));
+  assert.match(renderExport(script, 'vtt'), /^WEBVTT\n\n00:00:00\.000 --> 00:00:02\.000\n/);
+});
+
+test('markdown carries the package sections', () => {
+  const markdown = renderExport(script, 'markdown');
+
+  assert.match(markdown, /^# Home Espresso\n/);
+  assert.match(markdown, /\*\*Duration:\*\* 8 minutes/);
+  assert.match(markdown, /## Hooks\n\n- \*\*Curiosity:\*\* Nobody tells you this\. _\(Open loop\)_/);
+  assert.match(markdown, /## Tags\n\nespresso, coffee\n$/);
+  assert.strictEqual(renderExport(script, 'docx'), null);
+});
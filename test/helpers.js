@@ -0,0 +1,47 @@
+// Test helpers - server.js is loaded with the mock LLM provider and the fake billing provider,
+// and its pg pool is swapped for a stub so no database is needed
+process.env.LLM_PROVIDER = 'mock';
+process.env.BILLING_PROVIDER = 'fake';
+process.env.BILLING_WEBHOOK_SECRET = 'whsec_test_suite';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+delete process.env.STRIPE_SECRET_KEY;
+
+const server = require('../server');
+
+// Routes every pool.query and client.query to `handler(sql, params)`, which returns { rows } or
+// undefined for an empty result. Returns the list of queries seen, the most clients checked out
+// at once and a restore function.
+const stubPool = (handler = () => undefined) => {
+  const { pool } = server;
+  const original = { query: pool.query, connect: pool.connect };
+  const queries = [];
+  const clients = { open: 0, peak: 0 };
+
+  const query = async (sql, params = []) => {
+    queries.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+    return (await handler(sql, params)) || { rows: [] };
+  };
+
+  pool.query = query;
+  pool.connect = async () => {
+    clients.open++;
+    clients.peak = Math.max(clients.peak, clients.open);
+    return { query, release: () => { clients.open--; } };
+  };
+
+  return {
+    queries,
+    clients,
+    restore: () => Object.assign(pool, original)
+  };
+};
+
+// Starts the app on a random port; call close() when done
+const listen = () => new Promise((resolve) => {
+  const httpServer = server.app.listen(0, () => {
+    const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+    resolve({ baseUrl, close: () => new Promise(done => httpServer.close(done)) });
+  });
+});
+
+module.exports = { server, stubPool, listen };
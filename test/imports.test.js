@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { server } = require('./helpers');
+
+const { renderExport, parseImportItem } = server;
+
+const script = {
+  id: 12,
+  title: 'Home Espresso',
+  topic: 'home espresso',
+  tone: 'casual',
+  script_content: 'HOOK\nMost people brew espresso wrong.',
+  hooks: [{ type: 'Curiosity', text: 'Nobody tells you this.', psychology: 'Open loop' }],
+  titles: ['I Tried Every Espresso Machine', 'Why Your Espresso Is Sour'],
+  tags: ['espresso', 'coffee']
+};
+
+test('JSON and Markdown exports import back into the same fields', () => {
+  for (const format of ['json', 'markdown']) {
+    const { fields } = parseImportItem({ content: renderExport(script, format), filename: `espresso.${format === 'json' ? 'json' : 'md'}` });
+
+    assert.strictEqual(fields.title, 'Home Espresso', format);
+    assert.strictEqual(fields.topic, 'home espresso', format);
+    assert.strictEqual(fields.tone, 'casual', format);
+    assert.strictEqual(fields.scriptContent, script.script_content, format);
+    assert.deepStrictEqual(fields.titles, script.titles, format);
+    assert.deepStrictEqual(fields.tags, script.tags, format);
+    assert.strictEqual(fields.scriptStats.words, 6, format);
+  }
+});
+
+test('plain text takes its first short line as the title', () => {
+  const { format, fields } = parseImportItem({ content: 'Espresso basics\n\nMost people brew espresso wrong.' });
+
+  assert.strictEqual(format, 'text');
+  assert.strictEqual(fields.title, 'Espresso basics');
+  assert.strictEqual(fields.scriptContent, 'Most people brew espresso wrong.');
+});
+
+test('items without a title or content are refused', () => {
+  assert.throws(() => parseImportItem({ content: '' }), /no content/);
+  assert.throws(() => parseImportItem({ content: '## Tags\n\nespresso', format: 'markdown' }), /title/);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { server } = require('./helpers');
+
+const { generateText, generateStructured, createUsageMeter } = server;
+
+test('mock provider answers deterministically and meters usage', async () => {
+  const meter = createUsageMeter();
+  const first = await generateText('script', 'Write a script about "home espresso"', { meter });
+  const second = await generateText('script', 'Write a script about "home espresso"');
+
+  assert.strictEqual(first.provider, 'mock');
+  assert.strictEqual(first.text, second.text);
+  assert.match(first.text, /^HOOK\n.*home espresso/);
+  assert.strictEqual(meter.calls, 1);
+  assert.ok(meter.inputTokens > 0 && meter.outputTokens > 0);
+});
+
+test('mock provider output passes the structured schemas', async () => {
+  const titles = await generateStructured('titles', 'Titles for "budget travel"');
+  assert.ok(titles.length > 0);
+  assert.ok(titles.every(title => typeof title === 'string' && title.includes('budget travel')));
+
+  const plan = await generateStructured('series', 'Plan a YouTube series of exactly 4 episodes on the broad topic "sourdough"');
+  assert.strictEqual(plan.length, 4);
+  assert.deepStrictEqual(Object.keys(plan[0]), ['topic', 'title', 'hook']);
+
+  const analysis = await generateStructured('transcript', 'Analyze this transcript. TITLE: "Espresso 101"');
+  assert.ok(analysis.summary.length > 0);
+  assert.ok(analysis.keyPoints.length > 0);
+  assert.strictEqual(analysis.retentionStructure[0].section, 'HOOK');
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { stubPool, listen } = require('./helpers');
+
+const plan = {
+  access_level: 'pro',
+  plan_rank: 2,
+  features_enabled: ['titles', 'tags', 'hooks'],
+  premium_voices: true,
+  max_duration_minutes: null,
+  model_tiers: null,
+  monthly_titles_limit: 100,
+  monthly_tags_limit: 100,
+  monthly_hooks_limit: 100,
+  metering: 'requests'
+};
+
+// Each quota check waits a tick while holding its client, as a contended advisory lock would
+const packageDatabase = () => stubPool(async (sql) => {
+  if (/token_version, preferred_voice/.test(sql)) return { rows: [{ access_level: 'pro', token_version: 0, role: 'user' }] };
+  if (/FROM usage_quotas ORDER BY plan_rank/.test(sql)) return { rows: [plan] };
+  if (/pg_advisory_xact_lock/.test(sql)) await new Promise(resolve => setTimeout(resolve, 5));
+  if (/JOIN usage_quotas q ON q.access_level = u.access_level/.test(sql)) return { rows: [plan] };
+  if (/as reserved/.test(sql)) return { rows: [{ used: '0', reserved: '0' }] };
+  if (/INSERT INTO quota_reservations/.test(sql)) return { rows: [{ id: 1 }] };
+  return undefined;
+});
+
+test('package assets are reserved once each and one at a time', async (t) => {
+  const db = packageDatabase();
+  const app = await listen();
+  t.after(async () => {
+    db.restore();
+    await app.close();
+  });
+
+  const response = await fetch(`${app.baseUrl}/api/generate/package`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${jwt.sign({ userId: 5, tokenVersion: 0 }, process.env.JWT_SECRET)}`
+    },
+    body: JSON.stringify({ topic: 'home espresso', assets: ['titles', 'tags', 'titles', 'hooks'] })
+  });
+  assert.strictEqual(response.status, 200);
+  const body = await response.json();
+
+  assert.deepStrictEqual(Object.keys(body.assets).sort(), ['hooks', 'tags', 'titles']);
+  assert.strictEqual(body.partial, false);
+  assert.strictEqual(db.queries.filter(query => /INSERT INTO quota_reservations/.test(query.sql)).length, 3);
+  assert.strictEqual(db.clients.peak, 1);
+});
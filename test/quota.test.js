@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { server, stubPool } = require('./helpers');
+
+const { reserveQuota } = server;
+
+const plan = {
+  features_enabled: ['titles'],
+  monthly_titles_limit: 5,
+  metering: 'requests',
+  monthly_token_limit: null,
+  monthly_credit_limit: null
+};
+
+const quotaDatabase = ({ used, reserved }) => stubPool((sql) => {
+  if (/JOIN usage_quotas q ON q.access_level = u.access_level/.test(sql)) return { rows: [plan] };
+  if (/as reserved/.test(sql)) return { rows: [{ used: String(used), reserved: String(reserved) }] };
+  if (/INSERT INTO quota_reservations/.test(sql)) return { rows: [{ id: 7 }] };
+  return undefined;
+});
+
+test('reserves a request while in-flight reservations leave room', async (t) => {
+  const db = quotaDatabase({ used: 3, reserved: 1 });
+  t.after(db.restore);
+
+  const quota = await reserveQuota(9, 'titles');
+  assert.strictEqual(quota.allowed, true);
+  assert.strictEqual(quota.reservationId, 7);
+  assert.deepStrictEqual(db.queries.find(query => /pg_advisory_xact_lock/.test(query.sql)).params[1], 9);
+  assert.ok(db.queries.some(query => query.sql === 'COMMIT'));
+});
+
+test('counts in-flight reservations against the limit', async (t) => {
+  const db = quotaDatabase({ used: 3, reserved: 2 });
+  t.after(db.restore);
+
+  const quota = await reserveQuota(9, 'titles');
+  assert.strictEqual(quota.allowed, false);
+  assert.match(quota.reason, /requests still in progress/);
+  assert.ok(!db.queries.some(query => /INSERT INTO quota_reservations/.test(query.sql)));
+});
+
+test('workspace requests lock and bill the workspace owner', async (t) => {
+  const db = quotaDatabase({ used: 0, reserved: 0 });
+  t.after(db.restore);
+
+  const quota = await reserveQuota(9, 'titles', { workspace: { id: 3, ownerId: 11 } });
+  assert.strictEqual(quota.allowed, true);
+  assert.strictEqual(db.queries.find(query => /pg_advisory_xact_lock/.test(query.sql)).params[1], 11);
+  assert.deepStrictEqual(db.queries.find(query => /INSERT INTO quota_reservations/.test(query.sql)).params.slice(0, 2), [9, 3]);
+});
+
+test('features outside the plan are refused', async (t) => {
+  const db = quotaDatabase({ used: 0, reserved: 0 });
+  t.after(db.restore);
+
+  const quota = await reserveQuota(9, 'script');
+  assert.deepStrictEqual(quota, { allowed: false, reason: 'Feature not available in your plan' });
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { stubPool, listen } = require('./helpers');
+
+const AUTHOR = 1;
+const REVIEWER = 2;
+const EDITOR = 3;
+const VIEWER = 4;
+const ROLES = { [AUTHOR]: 'editor', [REVIEWER]: 'owner', [EDITOR]: 'editor', [VIEWER]: 'viewer' };
+
+// One workspace script written by AUTHOR; its review was requested by `requestedBy`
+const reviewDatabase = ({ status, requestedBy = AUTHOR }) => stubPool((sql, params) => {
+  if (/token_version, preferred_voice/.test(sql)) return { rows: [{ access_level: 'pro', token_version: 0, role: 'user' }] };
+  if (/JOIN workspace_members m/.test(sql)) return { rows: [{ id: 3, name: 'Team', owner_id: REVIEWER, role: ROLES[params[1]], access_level: 'pro' }] };
+  if (/FROM saved_scripts WHERE id = \$1 .*FOR UPDATE/s.test(sql)) return { rows: [{ id: 10, status, user_id: AUTHOR }] };
+  if (/SELECT user_id FROM script_status_history/.test(sql)) return { rows: [{ user_id: requestedBy }] };
+  if (/^\s*UPDATE saved_scripts/.test(sql)) return { rows: [{ id: 10, status: /status = 'draft'/.test(sql) ? 'draft' : params[1] }] };
+  if (/INSERT INTO script_revisions/.test(sql)) return { rows: [{ id: 1, revision_number: 2, source: params[2], user_id: params[1] }] };
+  if (/INSERT INTO script_status_history/.test(sql)) return { rows: [{ id: 1, from_status: status, to_status: params[2] || 'draft', user_id: params[1] }] };
+  return undefined;
+});
+
+const request = (app, userId, method, path, body, { personal = false } = {}) => fetch(`${app.baseUrl}${path}`, {
+  method,
+  headers: {
+    'Content-Type': 'application/json',
+    ...(personal ? {} : { 'X-Workspace-Id': '3' }),
+    Authorization: `Bearer ${jwt.sign({ userId, tokenVersion: 0 }, process.env.JWT_SECRET)}`
+  },
+  body: JSON.stringify(body)
+});
+
+test('a workspace script cannot be approved by its author or whoever requested the review', async (t) => {
+  const db = reviewDatabase({ status: 'in_review' });
+  const app = await listen();
+  t.after(async () => {
+    db.restore();
+    await app.close();
+  });
+
+  const own = await request(app, AUTHOR, 'POST', '/api/scripts/10/approve', {});
+  assert.strictEqual(own.status, 403);
+
+  const bypass = await request(app, AUTHOR, 'POST', '/api/scripts/10/status', { status: 'approved' });
+  assert.strictEqual(bypass.status, 409);
+
+  const approved = await request(app, REVIEWER, 'POST', '/api/scripts/10/approve', {});
+  assert.strictEqual(approved.status, 200);
+  assert.strictEqual((await approved.json()).status, 'approved');
+});
+
+test('whoever requested the review cannot decide it, even as owner', async (t) => {
+  const db = reviewDatabase({ status: 'in_review', requestedBy: REVIEWER });
+  const app = await listen();
+  t.after(async () => {
+    db.restore();
+    await app.close();
+  });
+
+  assert.strictEqual((await request(app, REVIEWER, 'POST', '/api/scripts/10/reject', { note: 'Tighten the hook' })).status, 403);
+  assert.strictEqual((await request(app, AUTHOR, 'POST', '/api/scripts/10/reject', { note: 'Never mind' })).status, 403);
+  assert.strictEqual((await request(app, VIEWER, 'POST', '/api/scripts/10/approve', {})).status, 403);
+  assert.strictEqual((await request(app, EDITOR, 'POST', '/api/scripts/10/reject', {})).status, 400);
+
+  const rejected = await request(app, EDITOR, 'POST', '/api/scripts/10/reject', { note: 'Tighten the hook' });
+  assert.strictEqual(rejected.status, 200);
+  assert.strictEqual((await rejected.json()).status, 'draft');
+});
+
+test('personal scripts are reviewed by their owner', async (t) => {
+  const db = reviewDatabase({ status: 'in_review' });
+  const app = await listen();
+  t.after(async () => {
+    db.restore();
+    await app.close();
+  });
+
+  const approved = await request(app, AUTHOR, 'POST', '/api/scripts/10/approve', {}, { personal: true });
+  assert.strictEqual(approved.status, 200);
+  assert.ok(!db.queries.some(query => /SELECT user_id FROM script_status_history/.test(query.sql)));
+});
+
+test('editing an approved script sends it back to draft', async (t) => {
+  const db = reviewDatabase({ status: 'approved' });
+  const app = await listen();
+  t.after(async () => {
+    db.restore();
+    await app.close();
+  });
+
+  const response = await request(app, AUTHOR, 'PUT', '/api/scripts/10', { scriptContent: 'HOOK\nA new opening line.' });
+  assert.strictEqual(response.status, 200);
+  const body = await response.json();
+  assert.strictEqual(body.script.status, 'draft');
+  assert.deepStrictEqual([body.statusChange.fromStatus, body.statusChange.toStatus], ['approved', 'draft']);
+});
+
+test('published scripts cannot be edited', async (t) => {
+  const db = reviewDatabase({ status: 'published' });
+  const app = await listen();
+  t.after(async () => {
+    db.restore();
+    await app.close();
+  });
+
+  const response = await request(app, AUTHOR, 'PUT', '/api/scripts/10', { title: 'Renamed' });
+  assert.strictEqual(response.status, 409);
+  assert.ok(!db.queries.some(query => /^UPDATE saved_scripts/.test(query.sql)));
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { server } = require('./helpers');
+
+const { diffLines } = server;
+
+test('groups unchanged, removed and added lines', () => {
+  assert.deepStrictEqual(diffLines('HOOK\nold line\nBODY\nend', 'HOOK\nnew line\nBODY\nend\nCTA'), [
+    { type: 'equal', lines: ['HOOK'] },
+    { type: 'remove', lines: ['old line'] },
+    { type: 'add', lines: ['new line'] },
+    { type: 'equal', lines: ['BODY', 'end'] },
+    { type: 'add', lines: ['CTA'] }
+  ]);
+});
+
+test('long scripts with a local edit still get a line diff', () => {
+  const lines = Array.from({ length: 20000 }, (_, index) => `line ${index}`);
+  const edited = [...lines];
+  edited[10000] = 'rewritten';
+
+  const hunks = diffLines(lines.join('\n'), edited.join('\n'));
+  assert.deepStrictEqual(hunks.map(hunk => [hunk.type, hunk.lines.length]), [
+    ['equal', 10000], ['remove', 1], ['add', 1], ['equal', 9999]
+  ]);
+});
+
+test('a large rewrite is shown as replaced without building the full table', () => {
+  const before = Array.from({ length: 5000 }, (_, index) => `old ${index}`).join('\n');
+  const after = Array.from({ length: 5000 }, (_, index) => `new ${index}`).join('\n');
+
+  const hunks = diffLines(before, after);
+  assert.deepStrictEqual(hunks.map(hunk => [hunk.type, hunk.lines.length]), [['remove', 5000], ['add', 5000]]);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { stubPool, listen } = require('./helpers');
+
+// User 5 owns series 4; script 1 is in no series
+const seriesDatabase = () => stubPool((sql, params) => {
+  if (/token_version, preferred_voice/.test(sql)) return { rows: [{ access_level: 'pro', token_version: 0, role: 'user' }] };
+  if (/SELECT \* FROM content_series WHERE id = \$1/.test(sql)) return { rows: String(params[0]) === '4' ? [{ id: 4 }] : [] };
+  if (/SELECT series_id FROM saved_scripts/.test(sql)) return { rows: [{ series_id: null }] };
+  return undefined;
+});
+
+const withApp = async (t) => {
+  const db = seriesDatabase();
+  const app = await listen();
+  t.after(async () => {
+    db.restore();
+    await app.close();
+  });
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${app.baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${jwt.sign({ userId: 5, tokenVersion: 0 }, process.env.JWT_SECRET)}`
+      },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { db, request };
+};
+
+test('malformed series ids are rejected before they reach the database', async (t) => {
+  const { db, request } = await withApp(t);
+
+  assert.strictEqual((await request('POST', '/api/scripts/save', { title: 'T', topic: 'T', seriesId: 'abc' })).status, 400);
+  assert.strictEqual((await request('GET', '/api/calendar?seriesId=4;drop')).status, 400);
+  assert.strictEqual((await request('GET', '/api/scripts/saved?seriesId=x')).status, 400);
+  assert.strictEqual((await request('GET', '/api/series/abc')).status, 404);
+  assert.strictEqual((await request('PATCH', '/api/series/abc', { name: 'Renamed' })).status, 404);
+  assert.strictEqual((await request('DELETE', '/api/series/abc')).status, 404);
+  assert.ok(!db.queries.some(query => query.params.some(param => /abc|drop|^x$/.test(String(param)))));
+});
+
+test('a series position needs a series', async (t) => {
+  const { request } = await withApp(t);
+
+  const alone = await request('PUT', '/api/scripts/1/schedule', { seriesPosition: 2 });
+  assert.strictEqual(alone.status, 400);
+  assert.match(alone.body.error, /not in a series/);
+
+  assert.strictEqual((await request('PUT', '/api/scripts/1/schedule', { seriesId: null, seriesPosition: 2 })).status, 400);
+  assert.strictEqual((await request('PUT', '/api/scripts/1/schedule', { seriesId: 9 })).status, 404);
+});
+
+test('deleting a series clears episode positions in the same transaction', async (t) => {
+  const { db, request } = await withApp(t);
+
+  assert.strictEqual((await request('DELETE', '/api/series/4')).status, 200);
+  const statements = db.queries.map(query => query.sql).filter(sql => !/^SELECT/.test(sql));
+  assert.deepStrictEqual(statements.map(sql => sql.split(' ').slice(0, 2).join(' ')), [
+    'BEGIN', 'UPDATE saved_scripts', 'DELETE FROM', 'COMMIT'
+  ]);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { stubPool, listen } = require('./helpers');
+
+const plan = {
+  access_level: 'pro',
+  plan_rank: 2,
+  features_enabled: ['script'],
+  premium_voices: true,
+  max_duration_minutes: null,
+  monthly_script_limit: 10,
+  metering: 'requests'
+};
+
+const parseEvents = (body) => body.trim().split('\n\n').map(block => {
+  const event = block.match(/^event: (.+)$/m);
+  const data = block.match(/^data: (.+)$/m);
+  return { event: event && event[1], data: data && JSON.parse(data[1]) };
+});
+
+test('streams the script as deltas and finishes with its stats', async (t) => {
+  const db = stubPool((sql) => {
+    if (/token_version, preferred_voice/.test(sql)) return { rows: [{ access_level: 'pro', token_version: 0, role: 'user' }] };
+    if (/FROM usage_quotas ORDER BY plan_rank/.test(sql)) return { rows: [plan] };
+    if (/JOIN usage_quotas q ON q.access_level = u.access_level/.test(sql)) return { rows: [plan] };
+    if (/as reserved/.test(sql)) return { rows: [{ used: '0', reserved: '0' }] };
+    if (/INSERT INTO quota_reservations/.test(sql)) return { rows: [{ id: 3 }] };
+    return undefined;
+  });
+  const app = await listen();
+  t.after(async () => {
+    db.restore();
+    await app.close();
+  });
+
+  const response = await fetch(`${app.baseUrl}/api/generate/script?stream=true`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${jwt.sign({ userId: 5, tokenVersion: 0 }, process.env.JWT_SECRET)}`
+    },
+    body: JSON.stringify({ topic: 'home espresso', duration: '5' })
+  });
+  assert.strictEqual(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const events = parseEvents(await response.text());
+  const deltas = events.filter(event => event.event === 'delta');
+  const done = events[events.length - 1];
+
+  assert.ok(deltas.length > 1);
+  assert.strictEqual(done.event, 'done');
+  const script = deltas.map(event => event.data.text).join('');
+  assert.match(script, /home espresso/);
+  assert.strictEqual(done.data.stats.words, script.trim().split(/\s+/).length);
+
+  const settled = db.queries.find(query => /UPDATE quota_reservations SET status/.test(query.sql));
+  assert.deepStrictEqual(settled.params, [3, 'committed']);
+  assert.strictEqual(db.queries.find(query => /INSERT INTO usage_logs/.test(query.sql)).params[2], true);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { server } = require('./helpers');
+
+const { parseStructured } = server;
+
+test('finds the JSON answer inside prose and code fences', () => {
+  const text = 'Sure! Here are your titles:\n```json\n["I Tried Every Espresso Machine", "i tried every espresso machine", "  Why Your Espresso Is Sour "]\n```\nLet me know!';
+
+  assert.deepStrictEqual(parseStructured('titles', text), ['I Tried Every Espresso Machine', 'Why Your Espresso Is Sour']);
+});
+
+test('skips JSON values that do not fit the schema', () => {
+  const text = 'Categories: ["Curiosity"]. Hooks: [{"type": "Curiosity", "text": "Nobody tells you this.", "psychology": "Open loop"}]';
+
+  assert.deepStrictEqual(parseStructured('hooks', text), [
+    { type: 'Curiosity', text: 'Nobody tells you this.', psychology: 'Open loop' }
+  ]);
+});
+
+test('rejects answers with no valid candidate', () => {
+  assert.throws(() => parseStructured('hooks', '[{"type": "Story", "text": "Once upon a time"}]'));
+  assert.throws(() => parseStructured('titles', 'I could not think of any titles.'), /No JSON value found/);
+});
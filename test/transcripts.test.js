@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { server, stubPool, listen } = require('./helpers');
+
+const { parseTranscript } = server;
+
+test('parses SRT cues with CRLF line endings and styling tags', () => {
+  const parsed = parseTranscript('1\r\n00:00:01,000 --> 00:00:03,000\r\nHello there\r\n\r\n2\r\n00:00:03,000 --> 00:00:06,500\r\n{\\an8}General <i>Kenobi</i>\r\n');
+
+  assert.strictEqual(parsed.format, 'srt');
+  assert.deepStrictEqual(parsed.cues, [
+    { start: 1, end: 3, text: 'Hello there' },
+    { start: 3, end: 6.5, text: 'General Kenobi' }
+  ]);
+  assert.strictEqual(parsed.text, 'Hello there General Kenobi');
+  assert.strictEqual(parsed.durationSeconds, 7);
+  assert.strictEqual(parsed.wordCount, 4);
+});
+
+test('drops the repeated lines of rolling WebVTT captions', () => {
+  const parsed = parseTranscript([
+    'WEBVTT',
+    'Kind: captions',
+    '',
+    '00:00:00.000 --> 00:00:02.500 align:start',
+    'Most people <c>brew</c> espresso wrong',
+    '',
+    '00:00:02.500 --> 00:00:05.000',
+    'Most people brew espresso wrong',
+    'and here is why',
+    '',
+    '01:00:35.000 --> 01:01:05.250',
+    'Step one is the grinder.'
+  ].join('\n'));
+
+  assert.strictEqual(parsed.format, 'vtt');
+  assert.strictEqual(parsed.text, 'Most people brew espresso wrong and here is why Step one is the grinder.');
+  assert.strictEqual(parsed.cues[2].start, 3635);
+});
+
+test('keeps plain text as written', () => {
+  const parsed = parseTranscript('So today   we talk about budgets.\n\n\n\nThen savings.');
+
+  assert.strictEqual(parsed.format, 'text');
+  assert.deepStrictEqual(parsed.cues, []);
+  assert.strictEqual(parsed.text, 'So today we talk about budgets.\n\nThen savings.');
+  assert.strictEqual(parsed.durationSeconds, null);
+});
+
+test('malformed source ids are refused without generating or logging usage', async (t) => {
+  const plan = { access_level: 'pro', plan_rank: 2, features_enabled: ['script', 'titles'], premium_voices: true, max_duration_minutes: null };
+  const db = stubPool((sql) => {
+    if (/token_version, preferred_voice/.test(sql)) return { rows: [{ access_level: 'pro', token_version: 0, role: 'user' }] };
+    if (/FROM usage_quotas ORDER BY plan_rank/.test(sql)) return { rows: [plan] };
+    return undefined;
+  });
+  const app = await listen();
+  t.after(async () => {
+    db.restore();
+    await app.close();
+  });
+
+  const request = (method, path, body) => fetch(`${app.baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${jwt.sign({ userId: 5, tokenVersion: 0 }, process.env.JWT_SECRET)}`
+    },
+    body: body && JSON.stringify(body)
+  });
+
+  assert.strictEqual((await request('POST', '/api/generate/script', { topic: 'espresso', sourceId: 'abc' })).status, 400);
+  assert.strictEqual((await request('POST', '/api/generate/script?stream=true', { topic: 'espresso', sourceId: 'abc' })).status, 400);
+  assert.strictEqual((await request('POST', '/api/generate/package', { topic: 'espresso', assets: ['titles'], sourceId: 'abc' })).status, 400);
+  assert.strictEqual((await request('POST', '/api/scripts/save', { title: 'T', topic: 'T', sourceId: 'abc' })).status, 400);
+  assert.strictEqual((await request('GET', '/api/sources/abc')).status, 404);
+  assert.strictEqual((await request('DELETE', '/api/sources/abc')).status, 404);
+  assert.ok(!db.queries.some(query => /INSERT INTO usage_logs|reference_sources/.test(query.sql)));
+});
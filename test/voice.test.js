@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { server } = require('./helpers');
+
+const { collectVoiceSamples } = server;
+
+test('uploaded samples contribute their script text', async () => {
+  const samples = await collectVoiceSamples(1, {
+    samples: [
+      'Okay so here is the thing nobody tells you about espresso.',
+      { filename: 'episode.md', content: '# Episode 12\n\n## Script\n\nWelcome back to the channel.' }
+    ]
+  });
+
+  assert.strictEqual(samples.length, 2);
+  assert.match(samples[0], /nobody tells you about espresso/);
+  assert.strictEqual(samples[1], 'Welcome back to the channel.');
+});
+
+test('a sample without script content is reported by position', async () => {
+  await assert.rejects(collectVoiceSamples(1, { samples: ['Hello and welcome back.', { content: '' }] }), /^Error: Sample 2: Item has no content/);
+});
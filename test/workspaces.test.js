@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const { stubPool, listen } = require('./helpers');
+
+const OWNER = 1;
+const EDITOR = 2;
+const VIEWER = 3;
+const OUTSIDER = 4;
+const ROLES = { [OWNER]: 'owner', [EDITOR]: 'editor', [VIEWER]: 'viewer' };
+
+// Workspace 3 with one member of each role; saved_scripts answers like an empty table
+const workspaceDatabase = () => stubPool((sql, params) => {
+  if (/token_version, preferred_voice/.test(sql)) return { rows: [{ access_level: 'pro', token_version: 0, role: 'user' }] };
+  if (/JOIN workspace_members m ON m.workspace_id = w.id AND m.user_id = \$2/.test(sql)) {
+    const role = params[0] === 3 && ROLES[params[1]];
+    return { rows: role ? [{ id: 3, name: 'Team', owner_id: OWNER, role, access_level: 'pro' }] : [] };
+  }
+  if (/INSERT INTO saved_scripts/.test(sql)) return { rows: [{ id: 20, created_at: new Date() }] };
+  return undefined;
+});
+
+const withApp = async (t) => {
+  const db = workspaceDatabase();
+  const app = await listen();
+  t.after(async () => {
+    db.restore();
+    await app.close();
+  });
+
+  const request = async (userId, method, path, { workspaceId, body } = {}) => {
+    const response = await fetch(`${app.baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(workspaceId !== undefined ? { 'X-Workspace-Id': String(workspaceId) } : {}),
+        Authorization: `Bearer ${jwt.sign({ userId, tokenVersion: 0 }, process.env.JWT_SECRET)}`
+      },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { db, request };
+};
+
+test('workspace routes hide the workspace from non-members and check roles', async (t) => {
+  const { request } = await withApp(t);
+
+  assert.strictEqual((await request(OUTSIDER, 'GET', '/api/scripts/saved', { workspaceId: 3 })).status, 404);
+  assert.strictEqual((await request(OWNER, 'GET', '/api/scripts/saved', { workspaceId: 'x' })).status, 400);
+  assert.strictEqual((await request(VIEWER, 'GET', '/api/scripts/saved', { workspaceId: 3 })).status, 200);
+
+  const save = { title: 'Episode 1', topic: 'espresso' };
+  const denied = await request(VIEWER, 'POST', '/api/scripts/save', { workspaceId: 3, body: save });
+  assert.strictEqual(denied.status, 403);
+  assert.strictEqual(denied.body.role, 'viewer');
+  assert.strictEqual((await request(EDITOR, 'POST', '/api/scripts/save', { workspaceId: 3, body: save })).status, 200);
+
+  assert.strictEqual((await request(EDITOR, 'PATCH', '/api/workspaces/3', { body: { name: 'Renamed' } })).status, 403);
+  assert.strictEqual((await request(OUTSIDER, 'GET', '/api/workspaces/3')).status, 404);
+  assert.strictEqual((await request(EDITOR, 'DELETE', `/api/workspaces/3/members/${VIEWER}`)).status, 403);
+});
+
+test('scripts are read and written in the workspace library or the personal one, never both', async (t) => {
+  const { db, request } = await withApp(t);
+
+  await request(EDITOR, 'POST', '/api/scripts/save', { workspaceId: 3, body: { title: 'Shared', topic: 'espresso' } });
+  const shared = db.queries.find(query => /INSERT INTO saved_scripts/.test(query.sql));
+  assert.strictEqual(shared.params[0], EDITOR);
+  assert.strictEqual(shared.params[17], 3);
+
+  db.queries.length = 0;
+  await request(EDITOR, 'GET', '/api/scripts/7', { workspaceId: 3 });
+  const workspaceRead = db.queries.find(query => /FROM saved_scripts WHERE id = \$1/.test(query.sql));
+  assert.match(workspaceRead.sql, /AND workspace_id = \$2/);
+  assert.deepStrictEqual(workspaceRead.params, ['7', 3]);
+
+  db.queries.length = 0;
+  await request(EDITOR, 'GET', '/api/scripts/7');
+  const personalRead = db.queries.find(query => /FROM saved_scripts WHERE id = \$1/.test(query.sql));
+  assert.match(personalRead.sql, /AND user_id = \$2 AND workspace_id IS NULL/);
+  assert.deepStrictEqual(personalRead.params, ['7', EDITOR]);
+});